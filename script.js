@@ -8,13 +8,33 @@
 // CONFIGURATION
 // ============================================================================
 
+// `process` only exists when bundled or run under Node
+const ENV = typeof process !== 'undefined' && process.env ? process.env : {};
+
 const CONFIG = {
-  API_BASE_URL: process.env.API_BASE_URL || 'http://localhost:3000/api',
+  API_BASE_URL: ENV.API_BASE_URL || 'http://localhost:3000/api',
   POLL_INTERVAL: 5000, // 5 seconds for real-time updates
-  WEBSOCKET_URL: process.env.WS_URL || 'ws://localhost:3000/ws',
+  WEBSOCKET_URL: ENV.WS_URL || 'ws://localhost:3000/ws',
   CACHE_DURATION: 60000, // 1 minute
   MAX_RETRIES: 3,
   RETRY_DELAY: 2000, // 2 seconds
+  WS_BACKOFF_MAX: 60000, // 1 minute cap between reconnect attempts
+  WS_HEARTBEAT_INTERVAL: 20000, // 20 seconds between pings
+  WS_HEARTBEAT_TIMEOUT: 10000, // 10 seconds to receive a pong
+  LIFECYCLE_TICK: 1000, // 1 second for countdowns and auto-close
+  OUTBOX_STORAGE_KEY: 'lsx-vote-outbox',
+  OUTBOX_RETRY_INTERVAL: 30000, // 30 seconds between replays while votes are pending
+  DEVICE_ID_STORAGE_KEY: 'lsx-device-id',
+  VOTED_POLLS_STORAGE_KEY: 'lsx-voted-polls',
+  IMPORT_BATCH_SIZE: 500, // votes per import request
+  AUTH_STORAGE_KEY: 'lsx-auth',
+  TOKEN_REFRESH_MARGIN: 60000, // refresh access tokens 1 minute before they expire
+  ANONYMOUS_ROLE: 'voter', // until the API reports the role of signed-out visitors
+  RECONCILE_INTERVAL: 60000, // 1 minute between comparisons with the server's stats
+  RECONCILE_DELAY: 2000, // wait for in-flight votes before checking a suspicious update
+  RECONCILE_LOG_LIMIT: 100, // discrepancies kept in memory
+  RESULTS_SNAPSHOT_STORAGE_KEY: 'lsx-results-snapshots',
+  RESULTS_SNAPSHOT_LIMIT: 100, // snapshots kept per poll
 };
 
 // ============================================================================
@@ -22,17 +42,24 @@ const CONFIG = {
 // ============================================================================
 
 const state = {
-  votes: [],
-  candidates: [],
+  polls: [],
+  activePollId: null,
+  votes: {}, // keyed by poll id
+  candidates: {}, // poll options, keyed by poll id
   totalVotes: 0,
   isLoading: false,
   error: null,
   lastUpdated: null,
   wsConnected: false,
   pollingActive: false,
+  syncCursors: {}, // last synced vote sequence, keyed by poll id
+  outbox: [], // votes waiting to be sent, persisted to localStorage
+  session: null, // signed-in user and tokens, persisted to localStorage
+  anonymousRole: null, // role of signed-out visitors, as reported by the API
+  syncIssues: {}, // polls whose tallies differ from the server's, keyed by poll id
+  resultSnapshots: {}, // frozen results, keyed by poll id, persisted to localStorage
   cache: {
-    votes: null,
-    timestamp: null,
+    votes: {}, // { [pollId]: { votes, timestamp } }
   },
 };
 
@@ -40,19 +67,32 @@ const state = {
 // API INTEGRATION
 // ============================================================================
 
+const ETAG_CACHE_LIMIT = 100;
+
+// ETag and last response body per GET endpoint, for conditional requests
+const etagCache = new Map();
+
 /**
- * Generic API request handler with retry logic and error handling
+ * Generic API request handler with retry logic and error handling.
+ * GET requests send If-None-Match and resolve a 304 from the last response.
+ * The session's access token is sent unless options.anonymous is set; when
+ * it has expired it is refreshed once before asking the user to sign in.
  */
 async function apiRequest(endpoint, options = {}) {
   const {
     method = 'GET',
     body = null,
     retries = CONFIG.MAX_RETRIES,
+    conditional = method === 'GET',
   } = options;
 
   const url = `${CONFIG.API_BASE_URL}${endpoint}`;
+  const cached = conditional ? etagCache.get(endpoint) : null;
+  const session = options.anonymous ? null : state.session;
   const headers = {
     'Content-Type': 'application/json',
+    ...(session ? { Authorization: `Bearer ${session.accessToken}` } : {}),
+    ...(cached ? { 'If-None-Match': cached.etag } : {}),
     ...options.headers,
   };
 
@@ -63,13 +103,38 @@ async function apiRequest(endpoint, options = {}) {
       body: body ? JSON.stringify(body) : null,
     });
 
+    if (response.status === 304 && cached) {
+      return { ...cached.data, notModified: true };
+    }
+
     if (!response.ok) {
-      throw new Error(`API Error: ${response.status} ${response.statusText}`);
+      const errorBody = await response.json().catch(() => ({}));
+      if (response.status === 401 && !options.anonymous && !options.reauthenticated) {
+        if (session && (await refreshSession())) {
+          return apiRequest(endpoint, { ...options, reauthenticated: true });
+        }
+        handleUnauthorized();
+      }
+      const error = new Error(
+        errorBody.error || `API Error: ${response.status} ${response.statusText}`
+      );
+      error.status = response.status;
+      error.code = errorBody.code;
+      error.vote = errorBody.vote;
+      throw error;
     }
 
-    return await response.json();
+    const data = await response.json();
+    const etag = response.headers && response.headers.get('ETag');
+    if (conditional && etag) {
+      rememberEtag(endpoint, etag, data);
+    }
+
+    return data;
   } catch (error) {
-    if (retries > 0) {
+    // Client errors are final; only network and server errors are retried
+    const retryable = !(error.status >= 400 && error.status < 500);
+    if (retries > 0 && retryable) {
       console.warn(
         `API request failed, retrying... (${CONFIG.MAX_RETRIES - retries + 1}/${CONFIG.MAX_RETRIES})`
       );
@@ -77,65 +142,193 @@ async function apiRequest(endpoint, options = {}) {
       return apiRequest(endpoint, { ...options, retries: retries - 1 });
     }
 
-    updateError(`Failed to fetch from ${endpoint}: ${error.message}`);
+    if (!options.silent) {
+      updateError(`Failed to fetch from ${endpoint}: ${error.message}`);
+    }
     throw error;
   }
 }
 
 /**
- * Fetch all votes from API
+ * Remember the ETag of a GET response, evicting the oldest entries
+ */
+function rememberEtag(endpoint, etag, data) {
+  etagCache.delete(endpoint);
+  etagCache.set(endpoint, { etag, data });
+  while (etagCache.size > ETAG_CACHE_LIMIT) {
+    etagCache.delete(etagCache.keys().next().value);
+  }
+}
+
+/**
+ * Fetch all polls (events) from API
  */
-async function fetchVotes() {
+async function fetchPolls() {
   try {
-    setState({ isLoading: true });
-    const data = await apiRequest('/votes');
-    return data.votes || [];
+    const data = await apiRequest('/events');
+    return (data.data || []).map(normalizePoll);
   } catch (error) {
-    console.error('Error fetching votes:', error);
+    console.error('Error fetching polls:', error);
     return [];
+  }
+}
+
+/**
+ * Fetch all votes for a poll from API
+ */
+async function fetchVotes(pollId) {
+  const delta = await fetchVoteDelta(pollId);
+  return delta ? delta.votes : [];
+}
+
+/**
+ * Fetch the votes of a poll changed after a sync cursor.
+ * Without a cursor the server returns the full vote list.
+ */
+async function fetchVoteDelta(pollId, since) {
+  try {
+    setState({ isLoading: true });
+    const query = since !== undefined && since !== null ? `?since=${encodeURIComponent(since)}` : '';
+    const data = await apiRequest(`/events/${encodeURIComponent(pollId)}/votes${query}`);
+    const votes = (data.votes || []).map((vote) => normalizeVote(vote, pollId));
+    return {
+      votes,
+      removed: data.removed || [],
+      cursor: data.cursor !== undefined ? data.cursor : getVoteCursor(votes, since),
+      notModified: Boolean(data.notModified),
+    };
+  } catch (error) {
+    console.error(`Error fetching votes for poll ${pollId}:`, error);
+    return null;
   } finally {
     setState({ isLoading: false });
   }
 }
 
 /**
- * Fetch candidates from API
+ * Fetch candidates (poll options) for a poll from API
  */
-async function fetchCandidates() {
+async function fetchCandidates(pollId) {
   try {
-    const data = await apiRequest('/candidates');
-    return data.candidates || [];
+    const data = await apiRequest(`/events/${encodeURIComponent(pollId)}`);
+    return (data.data && data.data.options) || [];
   } catch (error) {
-    console.error('Error fetching candidates:', error);
+    console.error(`Error fetching candidates for poll ${pollId}:`, error);
     return [];
   }
 }
 
 /**
- * Submit a new vote
+ * Submit a new vote for a poll option.
+ * The idempotency key lets the server recognise a replayed vote; a duplicate
+ * response means the vote was already recorded and counts as success.
  */
-async function submitVote(candidateId) {
+async function submitVote(pollId, candidateId, options = {}) {
+  const {
+    idempotencyKey = generateIdempotencyKey(),
+    timestamp = new Date().toISOString(),
+    deviceId,
+    selections,
+    rankings,
+    silent = false,
+  } = options;
+
   try {
-    const data = await apiRequest('/votes', {
+    const data = await apiRequest(`/events/${encodeURIComponent(pollId)}/vote`, {
       method: 'POST',
+      headers: { 'Idempotency-Key': idempotencyKey },
       body: {
-        candidateId,
-        timestamp: new Date().toISOString(),
+        optionId: candidateId,
+        timestamp,
+        idempotencyKey,
+        deviceId,
+        selections,
+        rankings,
       },
+      silent,
     });
     return data;
   } catch (error) {
+    if (isDuplicateVoteError(error)) {
+      return { success: true, duplicate: true };
+    }
     console.error('Error submitting vote:', error);
     throw error;
   }
 }
 
 /**
- * Fetch vote statistics
+ * Submit a batch of votes for a poll in one request.
+ * Each vote carries its own idempotency key, so a batch can be resent safely.
+ * Returns { accepted, rejected: [{ index, error, code }] }.
+ */
+async function submitVoteBatch(pollId, votes) {
+  try {
+    const data = await apiRequest(`/events/${encodeURIComponent(pollId)}/votes`, {
+      method: 'POST',
+      body: { votes },
+      silent: true,
+    });
+    return data.data;
+  } catch (error) {
+    console.error('Error submitting vote batch:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create a new poll (event)
+ */
+async function createPoll(pollData) {
+  try {
+    const data = await apiRequest('/events', {
+      method: 'POST',
+      body: pollData,
+    });
+    return data.data;
+  } catch (error) {
+    console.error('Error creating poll:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update an existing poll (event)
+ */
+async function updatePoll(pollId, pollData) {
+  try {
+    const data = await apiRequest(`/events/${encodeURIComponent(pollId)}`, {
+      method: 'PUT',
+      body: pollData,
+    });
+    return data.data;
+  } catch (error) {
+    console.error(`Error updating poll ${pollId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a poll (event)
+ */
+async function deletePoll(pollId) {
+  try {
+    return await apiRequest(`/events/${encodeURIComponent(pollId)}`, {
+      method: 'DELETE',
+    });
+  } catch (error) {
+    console.error(`Error deleting poll ${pollId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Fetch vote statistics, optionally scoped to a single poll
  */
-async function fetchVoteStats() {
+async function fetchVoteStats(pollId) {
   try {
-    const data = await apiRequest('/stats');
+    const query = pollId ? `?eventId=${encodeURIComponent(pollId)}` : '';
+    const data = await apiRequest(`/stats${query}`, { silent: true });
     return data;
   } catch (error) {
     console.error('Error fetching stats:', error);
@@ -143,27 +336,171 @@ async function fetchVoteStats() {
   }
 }
 
+/**
+ * Sign in, returning { accessToken, refreshToken, expiresIn, user }
+ */
+async function requestLogin(username, password) {
+  const data = await apiRequest('/auth/login', {
+    method: 'POST',
+    body: { username, password },
+    anonymous: true,
+    retries: 0,
+    silent: true,
+  });
+  return data.data;
+}
+
+/**
+ * Exchange a refresh token for new tokens
+ */
+async function requestTokenRefresh(refreshToken) {
+  const data = await apiRequest('/auth/refresh', {
+    method: 'POST',
+    body: { refreshToken },
+    anonymous: true,
+    retries: 0,
+    silent: true,
+  });
+  return data.data;
+}
+
+/**
+ * Revoke a session's tokens on the server
+ */
+async function requestLogout(session) {
+  try {
+    await apiRequest('/auth/logout', {
+      method: 'POST',
+      body: { refreshToken: session.refreshToken },
+      headers: { Authorization: `Bearer ${session.accessToken}` },
+      anonymous: true,
+      retries: 0,
+      silent: true,
+    });
+  } catch (error) {
+    console.warn('Error signing out:', error);
+  }
+}
+
+/**
+ * Fetch the signed-in user and the role of anonymous visitors
+ */
+async function fetchCurrentUser() {
+  try {
+    const data = await apiRequest('/auth/me', { conditional: false, retries: 0, silent: true });
+    return data.data;
+  } catch (error) {
+    console.warn('Error fetching current user:', error);
+    return null;
+  }
+}
+
+/**
+ * Fetch the whole audit log
+ */
+async function fetchAuditLog() {
+  try {
+    const data = await apiRequest('/audit', { silent: true });
+    return data.entries;
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    return null;
+  }
+}
+
+/**
+ * Store a review decision on votes on the server. Resolves to the audit entry.
+ */
+async function submitVoteReview(pollId, voteIds, decision) {
+  try {
+    const data = await apiRequest(`/events/${encodeURIComponent(pollId)}/review`, {
+      method: 'POST',
+      body: { voteIds, decision },
+      silent: true,
+    });
+    return data.data;
+  } catch (error) {
+    console.error('Error recording vote review:', error);
+    throw error;
+  }
+}
+
+/**
+ * Apply a correction (reset, void, merge, reassign or undo) to a poll's votes.
+ * Resolves to { snapshot, affected }; the snapshot undoes the correction.
+ */
+async function requestPollCorrection(pollId, action, body = {}) {
+  try {
+    const data = await apiRequest(`/events/${encodeURIComponent(pollId)}/${action}`, {
+      method: 'POST',
+      body,
+      retries: 0, // corrections are not idempotent
+    });
+    return data.data;
+  } catch (error) {
+    console.error(`Error applying ${action} to poll ${pollId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Fetch the snapshots saved before each correction of a poll, newest first
+ */
+async function fetchPollSnapshots(pollId) {
+  try {
+    const data = await apiRequest(`/events/${encodeURIComponent(pollId)}/snapshots`, { silent: true });
+    return data.data || [];
+  } catch (error) {
+    console.error(`Error fetching snapshots for poll ${pollId}:`, error);
+    return null;
+  }
+}
+
 // ============================================================================
 // REAL-TIME UPDATES WITH WEBSOCKET
 // ============================================================================
 
 let wsConnection = null;
+let wsReconnectAttempts = 0;
+let wsReconnectTimer = null;
+let wsHeartbeatTimer = null;
+let wsPongTimer = null;
+let wsShouldReconnect = true;
+const subscribedPollIds = new Set();
 
 /**
  * Initialize WebSocket connection for real-time updates
  */
 function initWebSocket() {
+  wsShouldReconnect = true;
+
   return new Promise((resolve, reject) => {
     try {
-      wsConnection = new WebSocket(CONFIG.WEBSOCKET_URL);
+      const socket = new WebSocket(CONFIG.WEBSOCKET_URL);
+      wsConnection = socket;
 
-      wsConnection.onopen = () => {
+      socket.onopen = () => {
         console.log('WebSocket connected');
+        const reconnected = wsReconnectAttempts > 0;
+        wsReconnectAttempts = 0;
         setState({ wsConnected: true });
+
+        // The socket takes over from the polling fallback
+        stopPolling();
+        startHeartbeat();
+        subscribedPollIds.clear();
+        syncSubscriptions();
+        if (reconnected) {
+          // Catch up on votes missed while disconnected
+          syncAllPollVotes();
+        }
+        flushVoteOutbox();
+        renderStats();
         resolve();
       };
 
-      wsConnection.onmessage = (event) => {
+      socket.onmessage = (event) => {
+        markConnectionAlive();
         try {
           const message = JSON.parse(event.data);
           handleWebSocketMessage(message);
@@ -172,27 +509,150 @@ function initWebSocket() {
         }
       };
 
-      wsConnection.onerror = (error) => {
+      socket.onerror = (error) => {
         console.error('WebSocket error:', error);
-        updateError('Real-time connection error');
         reject(error);
       };
 
-      wsConnection.onclose = () => {
-        console.log('WebSocket disconnected');
-        setState({ wsConnected: false });
-        // Attempt to reconnect after delay
-        setTimeout(() => {
-          console.log('Attempting to reconnect WebSocket...');
-          initWebSocket().catch(console.error);
-        }, CONFIG.RETRY_DELAY);
-      };
+      socket.onclose = () => handleWebSocketClose(socket);
     } catch (error) {
       reject(error);
     }
   });
 }
 
+/**
+ * Handle a closed or dead socket: fall back to polling and reconnect
+ */
+function handleWebSocketClose(socket) {
+  if (wsConnection !== socket) return;
+
+  console.log('WebSocket disconnected');
+  wsConnection = null;
+  stopHeartbeat();
+  subscribedPollIds.clear();
+  setState({ wsConnected: false });
+  renderStats();
+
+  if (!wsShouldReconnect) return;
+
+  startPolling();
+  scheduleReconnect();
+}
+
+/**
+ * Get the reconnect delay for an attempt: exponential backoff with jitter
+ */
+function getReconnectDelay(attempt) {
+  const exponential = Math.min(
+    CONFIG.WS_BACKOFF_MAX,
+    CONFIG.RETRY_DELAY * 2 ** attempt
+  );
+  // Randomize the upper half so clients don't reconnect in lockstep
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+}
+
+/**
+ * Schedule the next reconnect attempt
+ */
+function scheduleReconnect() {
+  if (wsReconnectTimer) return;
+
+  const delay = getReconnectDelay(wsReconnectAttempts);
+  wsReconnectAttempts += 1;
+  console.log(`Attempting to reconnect WebSocket in ${delay}ms...`);
+
+  wsReconnectTimer = setTimeout(() => {
+    wsReconnectTimer = null;
+    initWebSocket().catch(() => {
+      // onclose schedules the next attempt
+    });
+  }, delay);
+}
+
+/**
+ * Start sending pings and watch for pongs
+ */
+function startHeartbeat() {
+  stopHeartbeat();
+
+  wsHeartbeatTimer = setInterval(() => {
+    sendWebSocketMessage('ping', {});
+    if (wsPongTimer) return;
+
+    wsPongTimer = setTimeout(() => {
+      console.warn('WebSocket heartbeat timed out');
+      const socket = wsConnection;
+      if (socket) {
+        socket.close();
+        handleWebSocketClose(socket);
+      }
+    }, CONFIG.WS_HEARTBEAT_TIMEOUT);
+  }, CONFIG.WS_HEARTBEAT_INTERVAL);
+}
+
+/**
+ * Stop the heartbeat timers
+ */
+function stopHeartbeat() {
+  clearInterval(wsHeartbeatTimer);
+  clearTimeout(wsPongTimer);
+  wsHeartbeatTimer = null;
+  wsPongTimer = null;
+}
+
+/**
+ * Record that the server is alive; any message counts as a pong
+ */
+function markConnectionAlive() {
+  clearTimeout(wsPongTimer);
+  wsPongTimer = null;
+}
+
+/**
+ * Subscribe to polls that appeared and unsubscribe from removed ones
+ */
+function syncSubscriptions() {
+  const pollIds = state.polls.map((poll) => poll.id);
+  const wanted = new Set(pollIds);
+  const toSubscribe = pollIds.filter((pollId) => !subscribedPollIds.has(pollId));
+  const toUnsubscribe = Array.from(subscribedPollIds).filter((pollId) => !wanted.has(pollId));
+
+  if (toSubscribe.length > 0 && sendWebSocketMessage('subscribe', { pollIds: toSubscribe })) {
+    toSubscribe.forEach((pollId) => subscribedPollIds.add(pollId));
+  }
+
+  if (toUnsubscribe.length > 0 && sendWebSocketMessage('unsubscribe', { pollIds: toUnsubscribe })) {
+    toUnsubscribe.forEach((pollId) => subscribedPollIds.delete(pollId));
+  }
+}
+
+/**
+ * Sync every poll's votes and re-render the ones that changed
+ */
+async function syncAllPollVotes() {
+  const pollIds = state.polls.map((poll) => poll.id);
+  const results = await Promise.all(pollIds.map((pollId) => syncPollVotes(pollId)));
+  results.forEach((changed, index) => {
+    if (changed) {
+      renderPollUpdate(pollIds[index]);
+    }
+  });
+}
+
+/**
+ * Stop the WebSocket for good, without reconnecting
+ */
+function closeWebSocket() {
+  wsShouldReconnect = false;
+  clearTimeout(wsReconnectTimer);
+  wsReconnectTimer = null;
+  stopHeartbeat();
+  if (wsConnection) {
+    wsConnection.close();
+  }
+}
+
 /**
  * Handle incoming WebSocket messages
  */
@@ -204,6 +664,12 @@ function handleWebSocketMessage(message) {
     case 'stats_update':
       handleStatsUpdate(message.data);
       break;
+    case 'pong':
+      // Liveness is recorded for every message in onmessage
+      break;
+    case 'poll_update':
+      reloadPollsSoon();
+      break;
     case 'error':
       updateError(message.data.message);
       break;
@@ -212,22 +678,95 @@ function handleWebSocketMessage(message) {
   }
 }
 
+// Polls with a pending fetch of new votes for a reviewer
+const reviewSyncTimers = {};
+
+/**
+ * Fetch a poll's new votes with the reviewer's token, at most once a second
+ */
+function syncReviewedVotesSoon(pollId) {
+  if (reviewSyncTimers[pollId]) return;
+  reviewSyncTimers[pollId] = setTimeout(() => {
+    delete reviewSyncTimers[pollId];
+    syncPollVotes(pollId).then((changed) => {
+      if (changed) renderPollUpdate(pollId);
+    });
+  }, 1000);
+}
+
 /**
  * Handle new vote event
  */
 function handleNewVote(voteData) {
-  state.votes.push(voteData);
-  state.totalVotes = state.votes.length;
-  invalidateCache();
-  renderVoteResults();
+  const pollId = voteData.pollId || voteData.eventId;
+  if (!pollId) {
+    console.warn('Ignoring vote without poll id:', voteData);
+    return;
+  }
+
+  // Broadcasts leave out the voter, IP and device that the burst checks
+  // need, so reviewers fetch the votes instead of merging the broadcast
+  if (hasPermission(PERMISSION.REVIEW_VOTES)) {
+    syncReviewedVotesSoon(pollId);
+    return;
+  }
+
+  // A sequence jump means messages were missed; resync from the cursor
+  const cursor = state.syncCursors[pollId];
+  const seq = voteData.seq;
+  if (seq !== undefined && cursor !== undefined && Number(seq) > Number(cursor) + 1) {
+    console.warn(`Vote stream gap for poll ${pollId} (${cursor} -> ${seq}), resyncing`);
+    syncPollVotes(pollId).then((changed) => {
+      if (changed) renderPollUpdate(pollId);
+    });
+    return;
+  }
+
+  const { votes, changed } = mergeVotes(getPollVotes(pollId), [normalizeVote(voteData, pollId)]);
+  if (seq !== undefined && (cursor === undefined || Number(seq) > Number(cursor))) {
+    state.syncCursors[pollId] = seq;
+  }
+  if (!changed) return;
+
+  setPollVotes(pollId, votes);
+  invalidateCache(pollId);
+  renderPollUpdate(pollId);
+}
+
+/**
+ * Reload polls after another client created, edited or deleted one
+ */
+const reloadPollsSoon = debounce(() => loadInitialData(), 500);
+
+/**
+ * Re-render the views affected by a change to one poll's votes
+ */
+function renderPollUpdate(pollId) {
+  renderVoteResults(pollId);
+  renderPollsList();
   renderStats();
+  renderAnalytics();
+  renderPollDetail();
+  renderReviewPanelSoon();
 }
 
 /**
- * Handle stats update event
+ * Handle stats update event. The server's numbers are checked against the
+ * local votes instead of replacing them, so a missed vote gets resynced
+ * rather than hidden. Its totalVotes counts every poll.
  */
 function handleStatsUpdate(stats) {
-  state.totalVotes = stats.totalVotes;
+  const { totalVotes, ...pollStats } = stats;
+  updateTotalVotes();
+
+  if (pollStats.pollId && getPollById(pollStats.pollId)) {
+    if (findStatsDiscrepancies(pollStats.pollId, pollStats).length > 0) {
+      reconcilePollSoon(pollStats.pollId);
+    }
+  } else if (totalVotes !== undefined && totalVotes !== state.totalVotes) {
+    reconcileAllPollsSoon();
+  }
+
   invalidateCache();
   renderStats();
 }
@@ -244,7 +783,9 @@ function sendWebSocketMessage(type, data) {
         timestamp: new Date().toISOString(),
       })
     );
+    return true;
   }
+  return false;
 }
 
 // ============================================================================
@@ -257,23 +798,15 @@ let pollingInterval = null;
  * Start polling for vote updates
  */
 function startPolling() {
-  if (state.pollingActive) return;
+  // Never poll while the socket is delivering updates
+  if (state.pollingActive || state.wsConnected) return;
 
   state.pollingActive = true;
   console.log('Starting vote polling...');
 
   pollingInterval = setInterval(async () => {
     try {
-      const votes = await fetchVotes();
-      
-      // Check if there are new votes
-      if (votes.length > state.votes.length) {
-        state.votes = votes;
-        state.totalVotes = votes.length;
-        invalidateCache();
-        renderVoteResults();
-        renderStats();
-      }
+      await syncAllPollVotes();
     } catch (error) {
       console.error('Polling error:', error);
     }
@@ -297,358 +830,6533 @@ function stopPolling() {
 // ============================================================================
 
 /**
- * Process votes and calculate statistics
+ * Normalize a poll (event) from the API into the client shape
  */
-function processVoteData(votes) {
-  const stats = {
-    totalVotes: votes.length,
-    votesByCandidate: {},
-    percentages: {},
-    lastUpdated: new Date(),
+function normalizePoll(poll) {
+  return {
+    ...poll,
+    name: poll.name || poll.title || '',
+    description: poll.description || '',
+    options: poll.options || [],
   };
+}
 
-  // Group votes by candidate
-  votes.forEach((vote) => {
-    const candidateId = vote.candidateId;
-    stats.votesByCandidate[candidateId] =
-      (stats.votesByCandidate[candidateId] || 0) + 1;
-  });
+/**
+ * Normalize a vote so it always carries its poll id and candidate id
+ */
+function normalizeVote(vote, pollId) {
+  return {
+    ...vote,
+    pollId: vote.pollId || vote.eventId || pollId,
+    candidateId: vote.candidateId || vote.optionId,
+  };
+}
 
-  // Calculate percentages
-  state.candidates.forEach((candidate) => {
-    const candidateId = candidate.id;
-    const voteCount = stats.votesByCandidate[candidateId] || 0;
-    stats.percentages[candidateId] =
-      stats.totalVotes > 0 ? (voteCount / stats.totalVotes) * 100 : 0;
-  });
+/**
+ * Get poll by ID
+ */
+function getPollById(pollId) {
+  return state.polls.find((p) => p.id === pollId);
+}
 
-  return stats;
+/**
+ * Get all votes recorded for a poll
+ */
+function getPollVotes(pollId) {
+  return state.votes[pollId] || [];
 }
 
 /**
- * Get votes for a specific candidate
+ * Get the candidates (options) of a poll
  */
-function getVotesForCandidate(candidateId) {
-  return state.votes.filter((vote) => vote.candidateId === candidateId);
+function getPollCandidates(pollId) {
+  return state.candidates[pollId] || [];
 }
 
 /**
- * Get candidate by ID
+ * Replace the votes of a poll and refresh the overall total
  */
-function getCandidateById(candidateId) {
-  return state.candidates.find((c) => c.id === candidateId);
+function setPollVotes(pollId, votes) {
+  state.votes[pollId] = votes;
+  updateTotalVotes();
 }
 
 /**
- * Get top candidates by vote count
+ * Recount the votes the tallies include across all polls, leaving out votes
+ * excluded after review and votes for removed options
  */
-function getTopCandidates(limit = 5) {
-  const stats = processVoteData(state.votes);
-  return state.candidates
-    .map((candidate) => ({
-      ...candidate,
-      votes: stats.votesByCandidate[candidate.id] || 0,
-      percentage: stats.percentages[candidate.id] || 0,
-    }))
-    .sort((a, b) => b.votes - a.votes)
-    .slice(0, limit);
+function updateTotalVotes() {
+  state.totalVotes = Object.keys(state.votes).reduce(
+    (sum, pollId) => sum + getTalliedVotes(pollId).length,
+    0
+  );
 }
 
 /**
- * Calculate voting trends (votes per time interval)
+ * Get the key that identifies a vote for de-duplication
  */
-function calculateVotingTrends(intervalMinutes = 5) {
-  const trends = {};
-  const now = new Date();
+function getVoteKey(vote) {
+  if (vote.id !== undefined && vote.id !== null) return String(vote.id);
+  return `${vote.pollId}|${vote.candidateId}|${vote.voterId || ''}|${vote.timestamp}`;
+}
 
-  state.votes.forEach((vote) => {
-    const voteTime = new Date(vote.timestamp);
-    const timeDiff = Math.floor((now - voteTime) / (1000 * 60 * intervalMinutes));
-    const timeKey = `${intervalMinutes * timeDiff} mins ago`;
+/**
+ * Merge incoming votes into a vote list, de-duplicating by id.
+ * Incoming votes replace existing ones with the same id (corrections);
+ * removed ids and votes flagged as deleted are dropped.
+ */
+function mergeVotes(existing, incoming = [], removed = []) {
+  const byKey = new Map(existing.map((vote) => [getVoteKey(vote), vote]));
+  let changed = false;
+
+  incoming.forEach((vote) => {
+    const key = getVoteKey(vote);
+    const current = byKey.get(key);
+
+    if (vote.deleted) {
+      changed = byKey.delete(key) || changed;
+      return;
+    }
+    if (!current || JSON.stringify(current) !== JSON.stringify(vote)) {
+      byKey.set(key, vote);
+      changed = true;
+    }
+  });
+
+  removed.forEach((voteId) => {
+    changed = byKey.delete(String(voteId)) || changed;
+  });
+
+  return { votes: changed ? Array.from(byKey.values()) : existing, changed };
+}
+
+/**
+ * Derive a sync cursor from votes when the server does not send one
+ */
+function getVoteCursor(votes, fallback = null) {
+  return votes.reduce((cursor, vote) => {
+    const position = vote.seq !== undefined ? vote.seq : vote.id;
+    if (position === undefined || position === null) return cursor;
+    if (cursor === null || cursor === undefined) return position;
+    return Number(position) > Number(cursor) ? position : cursor;
+  }, fallback);
+}
+
+/**
+ * Pull the votes of a poll changed since its last sync and merge them.
+ * Returns true when the poll's votes changed.
+ */
+async function syncPollVotes(pollId) {
+  const since = state.syncCursors[pollId];
+  const delta = await fetchVoteDelta(pollId, since);
+  if (!delta || (delta.notModified && since !== undefined)) return false;
+
+  // Without a cursor the response is the full list and replaces local votes
+  const base = since === undefined ? [] : getPollVotes(pollId);
+  const { votes, changed } = mergeVotes(base, delta.votes, delta.removed);
+  state.syncCursors[pollId] = delta.cursor;
+
+  if (!changed && since !== undefined) return false;
+
+  setPollVotes(pollId, votes);
+  setCachedVotes(pollId, votes);
+  return true;
+}
+
+/**
+ * Keep the votes a poll's tallies include, as /stats does. Votes left with
+ * only removed options are not counted until they are reassigned.
+ */
+function getTalliedVotes(pollId, votes = getCountedVotes(pollId)) {
+  const ballotType = getBallotType(getPollById(pollId));
+  const candidateIds = new Set(getPollCandidates(pollId).map((candidate) => candidate.id));
+  return votes.filter((vote) => getCountedChoices(vote, ballotType).some((candidateId) => candidateIds.has(candidateId)));
+}
+
+/**
+ * Process a poll's votes and calculate statistics
+ */
+function processVoteData(pollId, votes = getCountedVotes(pollId)) {
+  const poll = getPollById(pollId);
+  const ballotType = getBallotType(poll);
+  const groupWeights = getGroupWeights(poll);
+  const candidateIds = getPollCandidates(pollId).map((candidate) => candidate.id);
+  const isCandidate = (candidateId) => candidateIds.includes(candidateId);
+  const countedVotes = getTalliedVotes(pollId, votes);
+  const stats = {
+    pollId,
+    ballotType,
+    groupWeights,
+    totalVotes: countedVotes.length,
+    orphanedVotes: votes.length - countedVotes.length,
+    weightedTotal: 0,
+    votesByCandidate: {},
+    percentages: {},
+    groups: {},
+    lastUpdated: new Date(),
+  };
+
+  // Group votes by candidate and voter group, each vote counting its weight:
+  // approval ballots count every selection, ranked ballots count first preferences
+  countedVotes.forEach((vote) => {
+    const weight = getVoteWeight(vote);
+    const groupName = getVoteGroup(vote);
+    if (!stats.groups[groupName]) {
+      stats.groups[groupName] = { totalVotes: 0, weightedTotal: 0, votesByCandidate: {}, percentages: {} };
+    }
+    const group = stats.groups[groupName];
+
+    group.totalVotes += 1;
+    group.weightedTotal += weight;
+    stats.weightedTotal += weight;
+
+    getCountedChoices(vote, ballotType).filter(isCandidate).forEach((candidateId) => {
+      group.votesByCandidate[candidateId] = (group.votesByCandidate[candidateId] || 0) + weight;
+      stats.votesByCandidate[candidateId] =
+        (stats.votesByCandidate[candidateId] || 0) + weight;
+    });
+  });
+
+  // Calculate percentages within each group
+  Object.values(stats.groups).forEach((group) => {
+    candidateIds.forEach((candidateId) => {
+      const voteCount = group.votesByCandidate[candidateId] || 0;
+      group.percentages[candidateId] =
+        group.weightedTotal > 0 ? (voteCount / group.weightedTotal) * 100 : 0;
+    });
+  });
+
+  // Combine them: without group weights every vote counts alike, otherwise each
+  // group's percentage is scaled by its weight. Groups that have not voted yet
+  // are left out so they do not drag every candidate down.
+  const scoredGroups = groupWeights
+    ? Object.keys(stats.groups).filter((groupName) => groupWeights[groupName] > 0)
+    : [];
+  const totalGroupWeight = scoredGroups.reduce((sum, groupName) => sum + groupWeights[groupName], 0);
+
+  candidateIds.forEach((candidateId) => {
+    if (!groupWeights) {
+      const voteCount = stats.votesByCandidate[candidateId] || 0;
+      stats.percentages[candidateId] =
+        stats.weightedTotal > 0 ? (voteCount / stats.weightedTotal) * 100 : 0;
+      return;
+    }
+
+    stats.percentages[candidateId] = totalGroupWeight > 0
+      ? scoredGroups.reduce(
+        (sum, groupName) => sum + groupWeights[groupName] * stats.groups[groupName].percentages[candidateId],
+        0
+      ) / totalGroupWeight
+      : 0;
+  });
+
+  if (ballotType === BALLOT_TYPE.RANKED) {
+    Object.assign(stats, calculateInstantRunoff(candidateIds, countedVotes));
+  }
+
+  return stats;
+}
+
+/**
+ * Get the weight a vote counts with
+ */
+function getVoteWeight(vote) {
+  if (vote.weight === undefined || vote.weight === null) return 1;
+  const weight = Number(vote.weight);
+  return Number.isFinite(weight) && weight >= 0 ? weight : 1;
+}
+
+/**
+ * Get the voter group a vote was cast in
+ */
+function getVoteGroup(vote) {
+  return vote.group || DEFAULT_VOTER_GROUP;
+}
+
+/**
+ * Get the candidates a vote counts towards in the headline tally
+ */
+function getCountedChoices(vote, ballotType) {
+  switch (ballotType) {
+    case BALLOT_TYPE.MULTI:
+    case BALLOT_TYPE.APPROVAL:
+      return Array.from(new Set(vote.selections || [vote.candidateId]));
+    case BALLOT_TYPE.RANKED:
+      return [getBallotRankings(vote)[0]].filter(Boolean);
+    default:
+      return [vote.candidateId];
+  }
+}
+
+/**
+ * Get the ranked preferences of a vote, most preferred first
+ */
+function getBallotRankings(vote) {
+  return vote.rankings || [vote.candidateId];
+}
+
+/**
+ * Tally ranked ballots by instant runoff.
+ * Each round counts every ballot for its highest-ranked continuing candidate;
+ * a candidate with a majority of non-exhausted ballots wins, otherwise the
+ * lowest is eliminated. Ballots count with their vote weight; group weights
+ * do not apply to the runoff. Ties for last place go to whoever had fewer votes in
+ * the most recent earlier round where they differed, then by id.
+ */
+function calculateInstantRunoff(candidateIds, votes) {
+  const continuing = new Set(candidateIds);
+  const eliminated = [];
+  const rounds = [];
+
+  while (continuing.size > 0) {
+    const counts = {};
+    continuing.forEach((candidateId) => {
+      counts[candidateId] = 0;
+    });
+
+    let exhausted = 0;
+    votes.forEach((vote) => {
+      const choice = getBallotRankings(vote).find((candidateId) => continuing.has(candidateId));
+      if (choice === undefined) {
+        exhausted += getVoteWeight(vote);
+      } else {
+        counts[choice] += getVoteWeight(vote);
+      }
+    });
+
+    const round = { number: rounds.length + 1, counts, exhausted, eliminated: null };
+    rounds.push(round);
+
+    const standing = Array.from(continuing).sort((a, b) => counts[b] - counts[a]);
+    const active = votes.reduce((sum, vote) => sum + getVoteWeight(vote), 0) - exhausted;
+    const leader = standing[0];
+
+    if (active === 0 || continuing.size === 1 || counts[leader] * 2 > active) {
+      return {
+        rounds,
+        winner: active > 0 ? leader : null,
+        standings: [...standing, ...eliminated.slice().reverse()],
+      };
+    }
+
+    const loser = pickRunoffElimination(standing, counts, rounds);
+    round.eliminated = loser;
+    continuing.delete(loser);
+    eliminated.push(loser);
+  }
+
+  return { rounds, winner: null, standings: eliminated.slice().reverse() };
+}
+
+/**
+ * Choose the candidate to eliminate from a runoff round
+ */
+function pickRunoffElimination(standing, counts, rounds) {
+  const lowestCount = counts[standing[standing.length - 1]];
+  let tied = standing.filter((candidateId) => counts[candidateId] === lowestCount);
+
+  for (let i = rounds.length - 2; i >= 0 && tied.length > 1; i -= 1) {
+    const earlier = rounds[i].counts;
+    const lowestEarlier = Math.min(...tied.map((candidateId) => earlier[candidateId] || 0));
+    tied = tied.filter((candidateId) => (earlier[candidateId] || 0) === lowestEarlier);
+  }
+
+  return tied.sort().pop();
+}
+
+/**
+ * Get votes for a specific candidate of a poll
+ */
+function getVotesForCandidate(pollId, candidateId) {
+  return getPollVotes(pollId).filter((vote) => vote.candidateId === candidateId);
+}
+
+/**
+ * Get candidate of a poll by ID
+ */
+function getCandidateById(pollId, candidateId) {
+  return getPollCandidates(pollId).find((c) => c.id === candidateId);
+}
+
+/**
+ * Get top candidates of a poll by vote count
+ */
+function getTopCandidates(pollId, limit = 5, votes = getCountedVotes(pollId)) {
+  const stats = processVoteData(pollId, votes);
+  // Ranked polls are ordered by runoff outcome rather than first preferences,
+  // others by combined percentage so group weights decide the order
+  const rank = (candidate) =>
+    stats.standings ? stats.standings.indexOf(candidate.id) : -candidate.percentage;
+
+  return getPollCandidates(pollId)
+    .map((candidate) => ({
+      ...candidate,
+      votes: stats.votesByCandidate[candidate.id] || 0,
+      percentage: stats.percentages[candidate.id] || 0,
+    }))
+    .sort((a, b) => rank(a) - rank(b))
+    .slice(0, limit);
+}
+
+/**
+ * Get the number of voters eligible for a poll, or null when not configured
+ */
+function getEligibleVoters(poll) {
+  const eligible = Number(poll && poll.eligibleVoters);
+  return Number.isInteger(eligible) && eligible > 0 ? eligible : null;
+}
+
+/**
+ * Count the distinct voters of a poll; anonymous votes count once each.
+ * The server's voterKey stands in for voter IDs only admins can see.
+ */
+function countPollParticipants(pollId) {
+  const voters = new Set(
+    getPollVotes(pollId).map((vote) => vote.voterKey || vote.voterId || vote.deviceId || getVoteKey(vote))
+  );
+  return voters.size;
+}
+
+/**
+ * Aggregate the overview metrics across all polls. Participation only covers
+ * polls that have an eligible-voter count.
+ */
+function calculateOverviewStats(now = Date.now()) {
+  const overview = {
+    totalVotes: state.totalVotes,
+    activePolls: 0,
+    completedPolls: 0,
+    participants: 0,
+    eligibleVoters: 0,
+    participationRate: null,
+  };
+
+  state.polls.forEach((poll) => {
+    const status = getPollStatus(poll, now);
+    if (STATUS_FILTERS.active.includes(status)) overview.activePolls += 1;
+    if (STATUS_FILTERS.completed.includes(status)) overview.completedPolls += 1;
+
+    const eligible = getEligibleVoters(poll);
+    if (eligible) {
+      overview.eligibleVoters += eligible;
+      overview.participants += countPollParticipants(poll.id);
+    }
+  });
+
+  if (overview.eligibleVoters > 0) {
+    overview.participationRate = (overview.participants / overview.eligibleVoters) * 100;
+  }
+
+  return overview;
+}
+
+// ============================================================================
+// VOTING TRENDS
+// ============================================================================
+
+const TREND_BUCKET = {
+  MINUTE: 'minute',
+  HOUR: 'hour',
+  DAY: 'day',
+};
+
+const TREND_BUCKET_MS = {
+  minute: 60000,
+  hour: 3600000,
+  day: 86400000,
+};
+
+const TREND_RANGE = {
+  LAST_HOUR: 'hour',
+  LAST_DAY: '24h',
+  WHOLE_POLL: 'poll',
+};
+
+const MAX_TREND_BUCKETS = 500;
+
+/**
+ * Calculate time-bucketed voting trends of a poll.
+ * Buckets are aligned to the calendar in a time zone (e.g. every hour starts
+ * at :00 local time), so they stay put between renders. Options:
+ *   range     TREND_RANGE.LAST_HOUR, LAST_DAY or WHOLE_POLL
+ *   bucket    TREND_BUCKET.MINUTE, HOUR or DAY; chosen from the range if omitted
+ *   timeZone  IANA time zone, defaults to the browser's
+ *   now       reference time, defaults to the current time
+ * Returns the buckets with vote counts, running totals (including votes cast
+ * before the range) and votes per minute, for the poll and for each candidate.
+ */
+function calculateVotingTrends(pollId, options = {}) {
+  const {
+    range = TREND_RANGE.LAST_DAY,
+    timeZone = getLocalTimeZone(),
+    now = new Date(),
+  } = options;
+
+  const poll = getPollById(pollId);
+  const ballotType = getBallotType(poll);
+  const votes = getPollVotes(pollId)
+    .map((vote) => ({ vote, time: new Date(vote.timestamp).getTime() }))
+    .filter(({ time }) => !Number.isNaN(time));
+
+  const { start, end } = getTrendRange(poll, votes, range, now.getTime());
+  let bucket = options.bucket || getDefaultTrendBucket(end - start);
+  while (bucket !== TREND_BUCKET.DAY && (end - start) / TREND_BUCKET_MS[bucket] > MAX_TREND_BUCKETS) {
+    bucket = bucket === TREND_BUCKET.MINUTE ? TREND_BUCKET.HOUR : TREND_BUCKET.DAY;
+  }
+
+  const buckets = [];
+  for (let bucketStart = floorToTrendBucket(start, bucket, timeZone); bucketStart < end;) {
+    const bucketEnd = getNextTrendBucket(bucketStart, bucket, timeZone);
+    buckets.push({
+      start: new Date(bucketStart),
+      end: new Date(bucketEnd),
+      label: formatTrendBucket(bucketStart, bucket, timeZone),
+      // The current bucket has only run until now
+      minutes: (Math.min(bucketEnd, end) - bucketStart) / 60000,
+    });
+    bucketStart = bucketEnd;
+  }
+
+  const createSeries = () => ({ counts: buckets.map(() => 0), before: 0 });
+  const total = createSeries();
+  const candidates = {};
+  getPollCandidates(pollId).forEach((candidate) => {
+    candidates[candidate.id] = createSeries();
+  });
+
+  const rangeStart = buckets.length > 0 ? buckets[0].start.getTime() : start;
+  votes.forEach(({ vote, time }) => {
+    if (time >= end) return;
+    const index = time < rangeStart ? -1 : findTrendBucketIndex(buckets, time);
+    const series = [total, ...getCountedChoices(vote, ballotType).map((id) => candidates[id]).filter(Boolean)];
+    series.forEach((entry) => {
+      if (index === -1) entry.before += 1;
+      else entry.counts[index] += 1;
+    });
+  });
+
+  const finishSeries = ({ counts, before }) => {
+    let runningTotal = before;
+    return {
+      counts,
+      cumulative: counts.map((count) => (runningTotal += count)),
+      ratePerMinute: counts.map((count, index) => (buckets[index].minutes > 0 ? count / buckets[index].minutes : 0)),
+    };
+  };
+
+  Object.keys(candidates).forEach((candidateId) => {
+    candidates[candidateId] = finishSeries(candidates[candidateId]);
+  });
+
+  return {
+    pollId,
+    range,
+    bucket,
+    timeZone,
+    start: new Date(rangeStart),
+    end: new Date(end),
+    buckets,
+    total: finishSeries(total),
+    candidates,
+  };
+}
+
+/**
+ * Resolve the start and end times of a trend range
+ */
+function getTrendRange(poll, votes, range, now) {
+  switch (range) {
+    case TREND_RANGE.LAST_HOUR:
+      return { start: now - TREND_BUCKET_MS.hour, end: now };
+    case TREND_RANGE.WHOLE_POLL: {
+      const firstVote = votes.reduce((earliest, { time }) => Math.min(earliest, time), now);
+      const opened = poll && poll.startTime ? new Date(poll.startTime).getTime() : firstVote;
+      const closed = poll && poll.endTime ? new Date(poll.endTime).getTime() : now;
+      const end = Math.min(now, closed);
+      return { start: Math.min(opened, firstVote, end - TREND_BUCKET_MS.minute), end };
+    }
+    default:
+      return { start: now - TREND_BUCKET_MS.day, end: now };
+  }
+}
+
+/**
+ * Pick a bucket size that gives a readable number of points for a time span
+ */
+function getDefaultTrendBucket(spanMs) {
+  if (spanMs <= 2 * TREND_BUCKET_MS.hour) return TREND_BUCKET.MINUTE;
+  if (spanMs <= 3 * TREND_BUCKET_MS.day) return TREND_BUCKET.HOUR;
+  return TREND_BUCKET.DAY;
+}
+
+/**
+ * Find the bucket containing a time (buckets are sorted and contiguous)
+ */
+function findTrendBucketIndex(buckets, time) {
+  let low = 0;
+  let high = buckets.length - 1;
+  while (low <= high) {
+    const middle = Math.floor((low + high) / 2);
+    if (time < buckets[middle].start.getTime()) high = middle - 1;
+    else if (time >= buckets[middle].end.getTime()) low = middle + 1;
+    else return middle;
+  }
+  return -1;
+}
+
+/**
+ * Get the start of the bucket containing a time, in a time zone
+ */
+function floorToTrendBucket(time, bucket, timeZone) {
+  const offset = getTimeZoneOffset(time, timeZone);
+  const local = time + offset;
+  const floored = local - (((local % TREND_BUCKET_MS[bucket]) + TREND_BUCKET_MS[bucket]) % TREND_BUCKET_MS[bucket]);
+  // The offset may differ at the bucket start when it falls before a DST change
+  return floored - getTimeZoneOffset(floored - offset, timeZone);
+}
+
+/**
+ * Get the start of the bucket after the one starting at a time.
+ * Stepping 1.5 buckets and flooring copes with 23 and 25 hour DST days.
+ */
+function getNextTrendBucket(bucketStart, bucket, timeZone) {
+  return floorToTrendBucket(bucketStart + TREND_BUCKET_MS[bucket] * 1.5, bucket, timeZone);
+}
+
+const timeZoneFormatters = {};
+
+/**
+ * Get the offset of a time zone from UTC at a time, in milliseconds
+ */
+function getTimeZoneOffset(time, timeZone) {
+  if (!timeZoneFormatters[timeZone]) {
+    timeZoneFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    });
+  }
+
+  const parts = {};
+  timeZoneFormatters[timeZone].formatToParts(new Date(time)).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - (time - (((time % 1000) + 1000) % 1000));
+}
+
+/**
+ * Label a bucket by its start time in a time zone
+ */
+function formatTrendBucket(time, bucket, timeZone) {
+  const format = bucket === TREND_BUCKET.DAY
+    ? { month: 'short', day: 'numeric' }
+    : { hour: '2-digit', minute: '2-digit' };
+  return new Date(time).toLocaleString(undefined, { ...format, timeZone });
+}
+
+/**
+ * Get the browser's time zone
+ */
+function getLocalTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+// ============================================================================
+// ANOMALY DETECTION
+// ============================================================================
+
+const ANOMALY_TYPE = {
+  RATE_SPIKE: 'rate_spike',
+  VOTER_BURST: 'voter_burst',
+  IP_BURST: 'ip_burst',
+  DEVICE_BURST: 'device_burst',
+  REGULAR_TIMING: 'regular_timing',
+};
+
+const ANOMALY_LABELS = {
+  rate_spike: 'Rate spike',
+  voter_burst: 'Voter ID burst',
+  ip_burst: 'IP address burst',
+  device_burst: 'Device burst',
+  regular_timing: 'Regular timing',
+};
+
+// Vote fields that identify a source, and the flag raised for each
+const ANOMALY_SOURCES = [
+  { field: 'voterId', type: ANOMALY_TYPE.VOTER_BURST },
+  { field: 'ipHash', type: ANOMALY_TYPE.IP_BURST },
+  { field: 'deviceId', type: ANOMALY_TYPE.DEVICE_BURST },
+];
+
+const ANOMALY_SETTINGS = {
+  burstWindow: 60000, // 1 minute
+  burstMinVotes: 5, // votes from one source within the window
+  spikeFactor: 4, // bucket count against the candidate's average bucket
+  spikeMinVotes: 10,
+  regularMinVotes: 8, // consecutive votes checked for even spacing
+  regularMaxVariation: 0.1, // coefficient of variation of the gaps between them
+};
+
+const VOTE_REVIEW = {
+  EXCLUDED: 'excluded',
+  INCLUDED: 'included',
+};
+
+// Poll shown in the review panel
+let reviewPollId = null;
+
+/**
+ * Detect suspicious votes in a poll's raw vote stream. Returns flags of the
+ * form { id, type, label, detail, candidateId, source, start, end, voteKeys }.
+ */
+function detectVoteAnomalies(pollId, settings = ANOMALY_SETTINGS) {
+  const poll = getPollById(pollId);
+  const ballotType = getBallotType(poll);
+  const votes = getPollVotes(pollId)
+    .map((vote) => ({ vote, key: getVoteKey(vote), time: new Date(vote.timestamp).getTime() }))
+    .filter(({ time }) => !Number.isNaN(time))
+    .sort((a, b) => a.time - b.time);
+
+  const flags = [...detectRateSpikes(pollId, votes, ballotType, settings)];
+
+  ANOMALY_SOURCES.forEach(({ field, type }) => {
+    const bySource = {};
+    votes.forEach((entry) => {
+      const source = entry.vote[field];
+      if (source) (bySource[source] = bySource[source] || []).push(entry);
+    });
+
+    Object.entries(bySource).forEach(([source, entries]) => {
+      findVoteBursts(entries, settings).forEach((burst) => {
+        flags.push(createAnomalyFlag(type, burst, { source, detail: `${burst.length} votes from ${field} ${source}` }));
+      });
+      findRegularRuns(entries, settings).forEach((run) => {
+        flags.push(createAnomalyFlag(ANOMALY_TYPE.REGULAR_TIMING, run, { source, detail: `${run.length} evenly spaced votes from ${field} ${source}` }));
+      });
+    });
+  });
+
+  // Bots rotating identities still give themselves away by their rhythm
+  getPollCandidates(pollId).forEach((candidate) => {
+    const entries = votes.filter(({ vote }) => getCountedChoices(vote, ballotType).includes(candidate.id));
+    findRegularRuns(entries, settings).forEach((run) => {
+      flags.push(createAnomalyFlag(ANOMALY_TYPE.REGULAR_TIMING, run, {
+        candidateId: candidate.id,
+        detail: `${run.length} evenly spaced votes for ${candidate.name}`,
+      }));
+    });
+  });
+
+  return flags.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Flag trend buckets where a candidate received far more votes than usual
+ */
+function detectRateSpikes(pollId, votes, ballotType, settings) {
+  if (votes.length < settings.spikeMinVotes) return [];
+
+  const trends = calculateVotingTrends(pollId, { range: TREND_RANGE.WHOLE_POLL, bucket: TREND_BUCKET.MINUTE });
+  // Compare against the stretch that saw votes, so quiet hours before the
+  // first vote or after the last one do not lower the baseline
+  const firstActive = trends.total.counts.findIndex((count) => count > 0);
+  const lastActive = trends.total.counts.length - 1 - trends.total.counts.slice().reverse().findIndex((count) => count > 0);
+  const activeBuckets = lastActive - firstActive + 1;
+  if (firstActive === -1 || activeBuckets < 2) return [];
+
+  const flags = [];
+  Object.entries(trends.candidates).forEach(([candidateId, series]) => {
+    const total = series.counts.reduce((sum, count) => sum + count, 0);
+    series.counts.forEach((count, index) => {
+      const baseline = (total - count) / (activeBuckets - 1);
+      if (count < settings.spikeMinVotes || count < settings.spikeFactor * Math.max(1, baseline)) return;
+
+      const bucket = trends.buckets[index];
+      const entries = votes.filter(
+        ({ vote, time }) =>
+          time >= bucket.start.getTime() &&
+          time < bucket.end.getTime() &&
+          getCountedChoices(vote, ballotType).includes(candidateId)
+      );
+      const candidate = getCandidateById(pollId, candidateId);
+      flags.push(createAnomalyFlag(ANOMALY_TYPE.RATE_SPIKE, entries, {
+        candidateId,
+        detail: `${count} votes for ${candidate ? candidate.name : candidateId} in ${bucket.label} (usually ${baseline.toFixed(1)} per ${trends.bucket})`,
+      }));
+    });
+  });
+  return flags;
+}
+
+/**
+ * Find runs of time-sorted votes where enough of them fall within the burst
+ * window; overlapping windows are merged into one run
+ */
+function findVoteBursts(entries, settings) {
+  const runs = [];
+  let first = 0;
+  entries.forEach((entry, last) => {
+    while (entry.time - entries[first].time > settings.burstWindow) first += 1;
+    if (last - first + 1 < settings.burstMinVotes) return;
+
+    const current = runs[runs.length - 1];
+    if (current && current.end >= first) current.end = last;
+    else runs.push({ start: first, end: last });
+  });
+  return runs.map(({ start, end }) => entries.slice(start, end + 1));
+}
+
+/**
+ * Find runs of time-sorted votes spaced out almost exactly evenly
+ */
+function findRegularRuns(entries, settings) {
+  const size = settings.regularMinVotes;
+  const runs = [];
+  for (let first = 0; first + size <= entries.length; first += 1) {
+    const gaps = [];
+    for (let index = first + 1; index < first + size; index += 1) {
+      gaps.push(entries[index].time - entries[index - 1].time);
+    }
+    const mean = gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length;
+    if (mean <= 0) continue;
+    const deviation = Math.sqrt(gaps.reduce((sum, gap) => sum + (gap - mean) ** 2, 0) / gaps.length);
+    if (deviation / mean > settings.regularMaxVariation) continue;
+
+    const last = first + size - 1;
+    const current = runs[runs.length - 1];
+    if (current && current.end >= first) current.end = last;
+    else runs.push({ start: first, end: last });
+  }
+  return runs.map(({ start, end }) => entries.slice(start, end + 1));
+}
+
+/**
+ * Build a flag for a group of suspicious votes
+ */
+function createAnomalyFlag(type, entries, { source = null, candidateId = null, detail = '' } = {}) {
+  const start = entries[0].time;
+  return {
+    id: `${type}:${source || candidateId || ''}:${start}`,
+    type,
+    label: ANOMALY_LABELS[type],
+    detail,
+    source,
+    candidateId,
+    start: new Date(start),
+    end: new Date(entries[entries.length - 1].time),
+    voteKeys: entries.map(({ key }) => key),
+  };
+}
+
+/**
+ * Check whether an admin excluded a vote from the tallies. Decisions are
+ * kept by the server on each vote, so every dashboard sees the same ones.
+ */
+function isVoteExcluded(vote) {
+  return Boolean(vote) && vote.review === VOTE_REVIEW.EXCLUDED;
+}
+
+/**
+ * Get the votes of a poll that count towards its tallies
+ */
+function getCountedVotes(pollId) {
+  return getPollVotes(pollId).filter((vote) => !isVoteExcluded(vote));
+}
+
+/**
+ * Set the review of the given votes locally and redraw the poll
+ */
+function applyVoteReview(pollId, reviews) {
+  setPollVotes(pollId, getPollVotes(pollId).map((vote) => {
+    const key = getVoteKey(vote);
+    return reviews.has(key) ? { ...vote, review: reviews.get(key) } : vote;
+  }));
+  invalidateCache(pollId);
+  renderPollUpdate(pollId);
+  renderReviewPanel();
+}
+
+/**
+ * Exclude votes from (or include them in) a poll's tallies. The change shows
+ * at once and is rolled back if the server does not store it.
+ */
+async function setVoteReview(pollId, voteKeys, decision) {
+  if (!requirePermission(PERMISSION.REVIEW_VOTES)) return false;
+
+  const keys = new Set(voteKeys);
+  const previous = new Map(getPollVotes(pollId)
+    .filter((vote) => keys.has(getVoteKey(vote)))
+    .map((vote) => [getVoteKey(vote), vote.review]));
+  applyVoteReview(pollId, new Map(voteKeys.map((key) => [key, decision])));
+
+  try {
+    await submitVoteReview(pollId, voteKeys, decision);
+    return true;
+  } catch (error) {
+    applyVoteReview(pollId, previous);
+    updateError(`Failed to save the review decision: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Apply a review decision to every vote of a flag
+ */
+async function reviewAnomaly(pollId, flagId, decision) {
+  const flag = detectVoteAnomalies(pollId).find((candidate) => candidate.id === flagId);
+  if (!flag) return false;
+  return setVoteReview(pollId, flag.voteKeys, decision);
+}
+
+/**
+ * Re-run detection at most once a second while votes stream in
+ */
+const renderReviewPanelSoon = debounce(() => renderReviewPanel(), 1000);
+
+/**
+ * Render the flagged votes of the selected poll for review
+ */
+function renderReviewPanel() {
+  const container = document.getElementById('review-container');
+  const select = document.getElementById('review-poll');
+  if (!container || !select) return;
+  if (!hasPermission(PERMISSION.REVIEW_VOTES)) {
+    container.innerHTML = '';
+    return;
+  }
+
+  if (!getPollById(reviewPollId)) reviewPollId = state.activePollId;
+  select.innerHTML = state.polls
+    .map((poll) => `<option value="${escapeHtml(poll.id)}" ${poll.id === reviewPollId ? 'selected' : ''}>${escapeHtml(poll.name)}</option>`)
+    .join('');
+
+  if (!reviewPollId) {
+    container.innerHTML = '<p class="no-data">No polls to review</p>';
+    return;
+  }
+
+  const flags = detectVoteAnomalies(reviewPollId);
+  const flaggedKeys = new Set(flags.flatMap((flag) => flag.voteKeys));
+  const excludedCount = getPollVotes(reviewPollId).filter(isVoteExcluded).length;
+
+  let html = `<p class="review-summary">${flaggedKeys.size} flagged votes &middot; ${excludedCount} excluded from the tallies</p>`;
+  if (flags.length === 0) {
+    container.innerHTML = `${html}<p class="no-data">Nothing suspicious found</p>`;
+    return;
+  }
+
+  const votesByKey = {};
+  getPollVotes(reviewPollId).forEach((vote) => {
+    votesByKey[getVoteKey(vote)] = vote;
+  });
+  const pollArg = escapeHtml(JSON.stringify(reviewPollId));
+
+  html += '<div class="review-list">';
+  flags.forEach((flag) => {
+    const excluded = flag.voteKeys.filter((key) => isVoteExcluded(votesByKey[key])).length;
+    const flagArg = escapeHtml(JSON.stringify(flag.id));
+    html += `
+      <div class="review-item ${excluded === flag.voteKeys.length ? 'excluded' : ''}">
+        <div class="review-header">
+          <span class="review-type">${escapeHtml(flag.label)}</span>
+          <span class="review-time">${escapeHtml(flag.start.toLocaleString())} &ndash; ${escapeHtml(flag.end.toLocaleTimeString())}</span>
+        </div>
+        <p class="review-detail">${escapeHtml(flag.detail)}</p>
+        <p class="review-status">${excluded} of ${flag.voteKeys.length} votes excluded</p>
+        <div class="review-actions">
+          <button class="btn btn-danger btn-sm" onclick="reviewAnomaly(${pollArg}, ${flagArg}, '${VOTE_REVIEW.EXCLUDED}')">Exclude votes</button>
+          <button class="btn btn-secondary btn-sm" onclick="reviewAnomaly(${pollArg}, ${flagArg}, '${VOTE_REVIEW.INCLUDED}')">Include votes</button>
+        </div>
+        <details class="review-votes">
+          <summary>Show votes</summary>
+          <ul>${flag.voteKeys.map((key) => buildReviewVoteHtml(reviewPollId, votesByKey[key], key)).join('')}</ul>
+        </details>
+      </div>
+    `;
+  });
+  html += '</div>';
+
+  container.innerHTML = html;
+}
+
+/**
+ * Build one vote of a flag with a toggle to exclude or include it
+ */
+function buildReviewVoteHtml(pollId, vote, voteKey) {
+  if (!vote) return '';
+  const excluded = isVoteExcluded(vote);
+  const candidate = getCandidateById(pollId, vote.candidateId);
+  const source = vote.voterId || vote.ipHash || vote.deviceId || 'anonymous';
+  const args = [pollId, [voteKey], excluded ? VOTE_REVIEW.INCLUDED : VOTE_REVIEW.EXCLUDED]
+    .map((arg) => escapeHtml(JSON.stringify(arg)))
+    .join(', ');
+
+  return `
+    <li class="${excluded ? 'excluded' : ''}">
+      ${escapeHtml(new Date(vote.timestamp).toLocaleTimeString())}
+      &middot; ${escapeHtml(candidate ? candidate.name : vote.candidateId)}
+      &middot; ${escapeHtml(source)}
+      <button class="btn btn-secondary btn-sm" onclick="setVoteReview(${args})">${excluded ? 'Include' : 'Exclude'}</button>
+    </li>
+  `;
+}
+
+/**
+ * Wire up the review panel's poll picker
+ */
+function bindReviewEvents() {
+  const select = document.getElementById('review-poll');
+  if (!select) return;
+
+  select.addEventListener('change', () => {
+    reviewPollId = select.value;
+    renderReviewPanel();
+  });
+}
+
+// ============================================================================
+// AUDIT LOG
+// ============================================================================
+
+const AUDIT_TYPE = {
+  LOG_STARTED: 'log_started',
+  POLL_CREATED: 'poll_created',
+  POLL_UPDATED: 'poll_updated',
+  POLL_DELETED: 'poll_deleted',
+  VOTE_CAST: 'vote_cast',
+  VOTES_EXCLUDED: 'votes_excluded',
+  VOTES_INCLUDED: 'votes_included',
+  POLL_RESET: 'poll_reset',
+  VOTES_VOIDED: 'votes_voided',
+  OPTIONS_MERGED: 'options_merged',
+  VOTES_REASSIGNED: 'votes_reassigned',
+  SNAPSHOT_RESTORED: 'snapshot_restored',
+};
+
+const AUDIT_LABELS = {
+  log_started: 'Log started',
+  poll_created: 'Poll created',
+  poll_updated: 'Poll edited',
+  poll_deleted: 'Poll deleted',
+  vote_cast: 'Vote cast',
+  votes_excluded: 'Votes excluded',
+  votes_included: 'Votes included',
+  poll_reset: 'Poll reset',
+  votes_voided: 'Votes voided',
+  options_merged: 'Options merged',
+  votes_reassigned: 'Votes reassigned',
+  snapshot_restored: 'Correction undone',
+};
+
+// prevHash of the first entry
+const AUDIT_GENESIS_HASH = '0'.repeat(64);
+
+// Weighted tallies are sums of fractions, so allow for rounding
+const AUDIT_TOLERANCE = 1e-9;
+
+const AUDIT_VIEW_LIMIT = 200; // entries listed in the viewer
+
+// Last loaded log and verification report
+let auditLog = { entries: [], report: null };
+
+/**
+ * Compute the hash of an audit entry the way the server does
+ */
+function computeAuditHash(entry) {
+  const content = JSON.stringify([entry.seq, entry.type, entry.pollId, entry.actor, entry.timestamp, entry.data]);
+  return hashString(`${entry.prevHash}\n${content}`);
+}
+
+/**
+ * Whether this browser can compute SHA-256 (hashString falls back to a
+ * weaker hash outside secure contexts)
+ */
+function canVerifyAuditLog() {
+  return typeof crypto !== 'undefined' && Boolean(crypto.subtle) && typeof TextEncoder !== 'undefined';
+}
+
+/**
+ * Recompute the hash chain, stopping at the first entry that does not fit.
+ * Returns { valid, checked, brokenAt, reason }.
+ */
+async function verifyAuditChain(entries) {
+  let prevHash = AUDIT_GENESIS_HASH;
+  for (let index = 0; index < entries.length; index += 1) {
+    const entry = entries[index];
+    let reason = null;
+    if (entry.seq !== index + 1) {
+      reason = `Entry ${index + 1} is missing`;
+    } else if (entry.prevHash !== prevHash) {
+      reason = `Entry ${entry.seq} does not follow entry ${entry.seq - 1}`;
+    } else if ((await computeAuditHash(entry)) !== entry.hash) {
+      reason = `Entry ${entry.seq} was altered`;
+    }
+    if (reason) return { valid: false, checked: index, brokenAt: index + 1, reason };
+    prevHash = entry.hash;
+  }
+  return { valid: true, checked: entries.length, brokenAt: null, reason: null };
+}
+
+/**
+ * Rebuild each poll's votes and exclusions from the log
+ */
+function replayAuditLog(entries) {
+  const polls = {};
+  const getPoll = (pollId) => {
+    if (!polls[pollId]) polls[pollId] = { deleted: false, votes: new Map(), excluded: new Set() };
+    return polls[pollId];
+  };
+
+  entries.forEach(({ type, pollId, data }) => {
+    switch (type) {
+      case AUDIT_TYPE.LOG_STARTED:
+        data.events.forEach((event) => getPoll(event.id));
+        data.votes.forEach((vote) => getPoll(vote.pollId).votes.set(getVoteKey(vote), vote));
+        break;
+      case AUDIT_TYPE.POLL_CREATED:
+        getPoll(pollId);
+        break;
+      case AUDIT_TYPE.POLL_DELETED:
+        getPoll(pollId).deleted = true;
+        break;
+      case AUDIT_TYPE.VOTE_CAST:
+        getPoll(pollId).votes.set(getVoteKey(data.vote), data.vote);
+        break;
+      case AUDIT_TYPE.VOTES_EXCLUDED:
+        data.voteIds.forEach((voteId) => getPoll(pollId).excluded.add(voteId));
+        break;
+      case AUDIT_TYPE.VOTES_INCLUDED:
+        data.voteIds.forEach((voteId) => getPoll(pollId).excluded.delete(voteId));
+        break;
+      case AUDIT_TYPE.POLL_RESET:
+      case AUDIT_TYPE.VOTES_VOIDED:
+        data.voteIds.forEach((voteId) => getPoll(pollId).votes.delete(voteId));
+        break;
+      // These record every vote they changed as it is afterwards
+      case AUDIT_TYPE.OPTIONS_MERGED:
+      case AUDIT_TYPE.VOTES_REASSIGNED:
+      case AUDIT_TYPE.SNAPSHOT_RESTORED:
+        data.votes.forEach((vote) => getPoll(pollId).votes.set(getVoteKey(vote), vote));
+        break;
+      default:
+        break;
+    }
+  });
+
+  return polls;
+}
+
+/**
+ * List the differences between two tallies as { candidateId, expected, actual };
+ * a null candidateId stands for the vote total, which is skipped when the
+ * actual tally has none
+ */
+function compareTallies(expected, actual) {
+  const differs = (a, b) => Math.abs((a || 0) - (b || 0)) > AUDIT_TOLERANCE;
+  const differences = [];
+  if (actual.totalVotes !== undefined && expected.totalVotes !== actual.totalVotes) {
+    differences.push({ candidateId: null, expected: expected.totalVotes, actual: actual.totalVotes });
+  }
+
+  const candidateIds = new Set([
+    ...Object.keys(expected.votesByCandidate || {}),
+    ...Object.keys(actual.votesByCandidate || {}),
+  ]);
+  candidateIds.forEach((candidateId) => {
+    const expectedCount = expected.votesByCandidate[candidateId] || 0;
+    const actualCount = (actual.votesByCandidate || {})[candidateId] || 0;
+    if (differs(expectedCount, actualCount)) {
+      differences.push({ candidateId, expected: expectedCount, actual: actualCount });
+    }
+  });
+  return differences;
+}
+
+/**
+ * Load the audit log, verify its hash chain and recount every poll from it.
+ * The recount without excluded votes is compared with the server's /stats
+ * and with the dashboard's own tallies.
+ */
+async function verifyAuditLog() {
+  if (!requirePermission(PERMISSION.VIEW_AUDIT)) return null;
+
+  const entries = await fetchAuditLog();
+  if (!entries) {
+    updateError('Failed to load the audit log');
+    return null;
+  }
+
+  const chain = canVerifyAuditLog()
+    ? await verifyAuditChain(entries)
+    : { valid: null, checked: 0, brokenAt: null, reason: 'This browser cannot compute SHA-256 hashes' };
+  const serverStats = await fetchVoteStats();
+  const mismatches = [];
+
+  Object.entries(replayAuditLog(entries)).forEach(([pollId, replayed]) => {
+    if (replayed.deleted || !getPollById(pollId)) return;
+
+    const counted = Array.from(replayed.votes.values())
+      .map((vote) => normalizeVote(vote, pollId))
+      .filter((vote) => !replayed.excluded.has(getVoteKey(vote)));
+    const serverPoll = serverStats && serverStats.polls && serverStats.polls[pollId];
+    if (serverPoll) {
+      compareTallies(processVoteData(pollId, counted), serverPoll).forEach((difference) => {
+        mismatches.push({ pollId, source: 'server', ...difference });
+      });
+    }
+
+    compareTallies(processVoteData(pollId, counted), processVoteData(pollId)).forEach((difference) => {
+      mismatches.push({ pollId, source: 'dashboard', ...difference });
+    });
+  });
+
+  const report = {
+    checkedAt: new Date(),
+    entries: entries.length,
+    chain,
+    statsAvailable: Boolean(serverStats && serverStats.polls),
+    mismatches,
+  };
+  auditLog = { entries, report };
+  renderAuditLog();
+  return report;
+}
+
+/**
+ * Describe what an audit entry recorded
+ */
+function describeAuditEntry(entry) {
+  const { data } = entry;
+  switch (entry.type) {
+    case AUDIT_TYPE.LOG_STARTED:
+      return `${data.events.length} polls and ${data.votes.length} votes already recorded`;
+    case AUDIT_TYPE.POLL_CREATED:
+      return data.event.name;
+    case AUDIT_TYPE.POLL_UPDATED:
+      return `Changed ${Object.keys(data.changes).join(', ')}`;
+    case AUDIT_TYPE.VOTE_CAST: {
+      const candidate = getCandidateById(entry.pollId, data.vote.candidateId);
+      return `For ${candidate ? candidate.name : data.vote.candidateId}`;
+    }
+    case AUDIT_TYPE.VOTES_EXCLUDED:
+    case AUDIT_TYPE.VOTES_INCLUDED:
+    case AUDIT_TYPE.POLL_RESET:
+      return `${data.voteIds.length} votes`;
+    case AUDIT_TYPE.VOTES_VOIDED:
+      return `${data.voteIds.length} votes${data.reason ? `: ${data.reason}` : ''}`;
+    case AUDIT_TYPE.OPTIONS_MERGED:
+    case AUDIT_TYPE.VOTES_REASSIGNED: {
+      const target = getCandidateById(entry.pollId, data.targetId || data.toOptionId);
+      return `${data.votes.length} votes moved to ${target ? target.name : data.targetId || data.toOptionId}`;
+    }
+    case AUDIT_TYPE.SNAPSHOT_RESTORED:
+      return `${CORRECTION_LABELS[data.action] || data.action} undone, ${data.votes.length} votes restored`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Build the verification report
+ */
+function buildAuditReportHtml(report) {
+  const { chain } = report;
+  let chainHtml;
+  if (chain.valid === null) {
+    chainHtml = `<p class="audit-status">Hash chain not checked: ${escapeHtml(chain.reason)}</p>`;
+  } else if (chain.valid) {
+    chainHtml = `<p class="audit-status audit-ok">Hash chain intact: ${chain.checked} entries verified</p>`;
+  } else {
+    chainHtml = `<p class="audit-status audit-broken">Hash chain broken: ${escapeHtml(chain.reason)} (${chain.checked} entries verified before it)</p>`;
+  }
+
+  let html = chainHtml;
+  if (!report.statsAvailable) {
+    html += '<p class="audit-status">Server statistics unavailable, tallies only compared with the dashboard</p>';
+  }
+  if (report.mismatches.length === 0) {
+    html += '<p class="audit-status audit-ok">Tallies recounted from the log match</p>';
+    return html;
+  }
+
+  html += `<p class="audit-status audit-broken">${report.mismatches.length} tally mismatches</p>`;
+  html += '<table class="audit-table"><thead><tr><th>Poll</th><th>Compared with</th><th>Candidate</th><th>From log</th><th>Reported</th></tr></thead><tbody>';
+  report.mismatches.forEach((mismatch) => {
+    const poll = getPollById(mismatch.pollId);
+    const candidate = mismatch.candidateId && getCandidateById(mismatch.pollId, mismatch.candidateId);
+    html += `
+      <tr>
+        <td>${escapeHtml(poll ? poll.name : mismatch.pollId)}</td>
+        <td>${mismatch.source === 'server' ? 'Server /stats' : 'Dashboard'}</td>
+        <td>${escapeHtml(mismatch.candidateId ? (candidate ? candidate.name : mismatch.candidateId) : 'Total votes')}</td>
+        <td>${formatVoteCount(mismatch.expected)}</td>
+        <td>${formatVoteCount(mismatch.actual)}</td>
+      </tr>
+    `;
+  });
+  html += '</tbody></table>';
+  return html;
+}
+
+/**
+ * Render the audit log viewer
+ */
+function renderAuditLog() {
+  const container = document.getElementById('audit-container');
+  const select = document.getElementById('audit-poll');
+  if (!container || !select) return;
+  if (!hasPermission(PERMISSION.VIEW_AUDIT)) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const selected = select.value;
+  select.innerHTML = `<option value="">All polls</option>${state.polls
+    .map((poll) => `<option value="${escapeHtml(poll.id)}" ${poll.id === selected ? 'selected' : ''}>${escapeHtml(poll.name)}</option>`)
+    .join('')}`;
+
+  const { entries, report } = auditLog;
+  if (!report) {
+    container.innerHTML = '<p class="no-data">Verify the log to load it</p>';
+    return;
+  }
+
+  const shown = entries
+    .filter((entry) => !selected || entry.pollId === selected)
+    .slice(-AUDIT_VIEW_LIMIT)
+    .reverse();
+
+  let html = `<div class="audit-report">${buildAuditReportHtml(report)}</div>`;
+  html += `<p class="audit-status">Checked ${escapeHtml(report.checkedAt.toLocaleString())}; showing the latest ${shown.length} entries</p>`;
+  html += '<table class="audit-table"><thead><tr><th>#</th><th>Time</th><th>Event</th><th>Poll</th><th>By</th><th>Details</th><th>Hash</th></tr></thead><tbody>';
+  shown.forEach((entry) => {
+    const poll = entry.pollId && getPollById(entry.pollId);
+    html += `
+      <tr>
+        <td>${entry.seq}</td>
+        <td>${escapeHtml(formatDate(entry.timestamp))}</td>
+        <td>${escapeHtml(AUDIT_LABELS[entry.type] || entry.type)}</td>
+        <td>${escapeHtml(poll ? poll.name : entry.pollId || '')}</td>
+        <td>${escapeHtml(entry.actor || '')}</td>
+        <td>${escapeHtml(describeAuditEntry(entry))}</td>
+        <td><code title="${escapeHtml(entry.hash)}">${escapeHtml(entry.hash.slice(0, 12))}</code></td>
+      </tr>
+    `;
+  });
+  html += '</tbody></table>';
+
+  container.innerHTML = html;
+}
+
+/**
+ * Bind the audit log controls
+ */
+function bindAuditEvents() {
+  const verifyButton = document.getElementById('verify-audit');
+  const select = document.getElementById('audit-poll');
+  if (!verifyButton || !select) return;
+
+  verifyButton.addEventListener('click', async () => {
+    verifyButton.disabled = true;
+    try {
+      await verifyAuditLog();
+    } finally {
+      verifyButton.disabled = false;
+    }
+  });
+  select.addEventListener('change', renderAuditLog);
+}
+
+// ============================================================================
+// RECONCILIATION
+// ============================================================================
+
+let reconcileInterval = null;
+
+// Discrepancies found so far, newest last
+const reconcileLog = [];
+
+// Polls with a pending check after a suspicious stats_update
+const reconcileTimers = {};
+
+/**
+ * Compare a poll's local tally of its counted votes with the server's statistics
+ */
+function findStatsDiscrepancies(pollId, serverStats) {
+  return compareTallies(processVoteData(pollId), serverStats);
+}
+
+/**
+ * Record a discrepancy so it is never silently dropped
+ */
+function logDiscrepancy(pollId, differences, outcome) {
+  const entry = { pollId, differences, outcome, timestamp: new Date() };
+  reconcileLog.push(entry);
+  if (reconcileLog.length > CONFIG.RECONCILE_LOG_LIMIT) reconcileLog.shift();
+  console.warn(`Poll ${pollId} out of sync with the server (${outcome}):`, differences);
+  return entry;
+}
+
+/**
+ * Check one poll against the server and resync it when the tallies differ.
+ * Resolves to true when the poll ends up in sync.
+ */
+async function reconcilePoll(pollId) {
+  const serverStats = await fetchVoteStats(pollId);
+  if (!serverStats || !getPollById(pollId)) return true;
+
+  const differences = findStatsDiscrepancies(pollId, serverStats);
+  if (differences.length === 0) {
+    if (state.syncIssues[pollId]) {
+      setSyncIssue(pollId, null);
+    }
+    return true;
+  }
+
+  setSyncIssue(pollId, { differences, since: new Date() });
+
+  // Reload every vote of the poll rather than the delta since the cursor
+  delete state.syncCursors[pollId];
+  invalidateCache(pollId);
+  try {
+    await syncPollVotes(pollId);
+    renderPollUpdate(pollId);
+  } catch (error) {
+    console.error(`Error resyncing poll ${pollId}:`, error);
+  }
+
+  const freshStats = await fetchVoteStats(pollId);
+  const remaining = freshStats ? findStatsDiscrepancies(pollId, freshStats) : differences;
+  logDiscrepancy(pollId, differences, remaining.length === 0 ? 'resynced' : 'still out of sync');
+  setSyncIssue(pollId, remaining.length === 0 ? null : { differences: remaining, since: new Date() });
+  return remaining.length === 0;
+}
+
+/**
+ * Compare every poll with the server's statistics and resync those that differ
+ */
+async function reconcileAllPolls() {
+  const stats = await fetchVoteStats();
+  if (!stats || !stats.polls) return;
+
+  const outOfSync = state.polls
+    .map((poll) => poll.id)
+    .filter((pollId) => stats.polls[pollId] && findStatsDiscrepancies(pollId, stats.polls[pollId]).length > 0);
+  // Polls flagged earlier are checked again even if they now look right
+  Object.keys(state.syncIssues).forEach((pollId) => {
+    if (!outOfSync.includes(pollId)) outOfSync.push(pollId);
+  });
+
+  await Promise.all(outOfSync.map((pollId) => reconcilePoll(pollId)));
+}
+
+/**
+ * Check every poll shortly, once updates have settled
+ */
+const reconcileAllPollsSoon = debounce(() => reconcileAllPolls(), CONFIG.RECONCILE_DELAY);
+
+/**
+ * Check a poll shortly, so votes still on their way can arrive first
+ */
+function reconcilePollSoon(pollId) {
+  clearTimeout(reconcileTimers[pollId]);
+  reconcileTimers[pollId] = setTimeout(() => {
+    delete reconcileTimers[pollId];
+    reconcilePoll(pollId);
+  }, CONFIG.RECONCILE_DELAY);
+}
+
+/**
+ * Mark a poll as out of sync (or clear it with null) and update the indicator
+ */
+function setSyncIssue(pollId, issue) {
+  const syncIssues = { ...state.syncIssues };
+  if (issue) syncIssues[pollId] = issue;
+  else delete syncIssues[pollId];
+  setState({ syncIssues });
+  renderSyncStatus();
+}
+
+/**
+ * Render the "data out of sync" indicator
+ */
+function renderSyncStatus() {
+  const container = document.getElementById('sync-status');
+  if (!container) return;
+
+  const pollIds = Object.keys(state.syncIssues);
+  container.classList.toggle('hidden', pollIds.length === 0);
+  if (pollIds.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const items = pollIds.map((pollId) => {
+    const poll = getPollById(pollId);
+    const details = state.syncIssues[pollId].differences
+      .map(({ candidateId, expected, actual }) => {
+        const candidate = candidateId && getCandidateById(pollId, candidateId);
+        const label = candidateId ? (candidate ? candidate.name : candidateId) : 'Total votes';
+        return `${label}: ${formatVoteCount(expected)} here, ${formatVoteCount(actual)} on the server`;
+      })
+      .join('; ');
+    return `<li><strong>${escapeHtml(poll ? poll.name : pollId)}</strong> &ndash; ${escapeHtml(details)}</li>`;
+  });
+
+  container.innerHTML = `
+    <div class="alert alert-warning">
+      <strong>Data out of sync.</strong> Some numbers differ from the server and are being reloaded.
+      <ul>${items.join('')}</ul>
+      <button type="button" class="btn btn-secondary btn-sm" onclick="reconcileAllPolls()">Resync now</button>
+    </div>
+  `;
+}
+
+/**
+ * Start comparing tallies with the server periodically
+ */
+function startReconcileTimer() {
+  if (reconcileInterval) return;
+  reconcileInterval = setInterval(reconcileAllPolls, CONFIG.RECONCILE_INTERVAL);
+}
+
+/**
+ * Stop the periodic comparison
+ */
+function stopReconcileTimer() {
+  clearInterval(reconcileInterval);
+  reconcileInterval = null;
+  Object.keys(reconcileTimers).forEach((pollId) => {
+    clearTimeout(reconcileTimers[pollId]);
+    delete reconcileTimers[pollId];
+  });
+}
+
+// ============================================================================
+// CACHING MECHANISM
+// ============================================================================
+
+/**
+ * Get cached votes of a poll if valid
+ */
+function getCachedVotes(pollId) {
+  const now = Date.now();
+  const entry = state.cache.votes[pollId];
+  if (entry && now - entry.timestamp < CONFIG.CACHE_DURATION) {
+    console.log(`Using cached votes for poll ${pollId}`);
+    return entry.votes;
+  }
+  return null;
+}
+
+/**
+ * Set votes cache of a poll
+ */
+function setCachedVotes(pollId, votes) {
+  state.cache.votes[pollId] = { votes, timestamp: Date.now() };
+}
+
+/**
+ * Invalidate cache of a poll, or of every poll when no id is given
+ */
+function invalidateCache(pollId) {
+  if (pollId === undefined) {
+    state.cache.votes = {};
+    return;
+  }
+  delete state.cache.votes[pollId];
+}
+
+// ============================================================================
+// STATE MANAGEMENT
+// ============================================================================
+
+/**
+ * Update state
+ */
+function setState(updates) {
+  Object.assign(state, updates);
+  console.log('State updated:', state);
+}
+
+/**
+ * Update error state
+ */
+function updateError(errorMessage) {
+  setState({ error: errorMessage });
+  renderError();
+}
+
+/**
+ * Clear error
+ */
+function clearError() {
+  setState({ error: null });
+  const errorContainer = document.getElementById('error-container');
+  if (errorContainer) {
+    errorContainer.innerHTML = '';
+  }
+}
+
+// ============================================================================
+// UI RENDERING
+// ============================================================================
+
+/**
+ * Build the card markup for a single poll
+ */
+function buildPollCardHtml(poll) {
+  const isActive = poll.id === state.activePollId;
+  const status = getPollStatus(poll);
+
+  return `
+    <div class="vote-card poll-card ${isActive ? 'active' : ''}" data-poll-id="${poll.id}">
+      <h3 class="vote-title"><a href="#${getPollPath(poll.id)}">${escapeHtml(poll.name)}</a></h3>
+      <p class="poll-description">${escapeHtml(poll.description)}</p>
+      <div class="poll-meta">
+        <span class="badge ${getStatusBadgeClass(status)}">${status}</span>
+        <span class="badge badge-primary">${getPollCandidates(poll.id).length} options</span>
+        <span class="badge badge-success">${getPollVotes(poll.id).length} votes</span>
+      </div>
+      ${buildCountdownHtml(poll)}
+      <div class="poll-actions">
+        <button
+          class="btn btn-secondary btn-sm"
+          onclick="selectPoll('${poll.id}')"
+          ${isActive ? 'disabled' : ''}
+        >
+          ${isActive ? 'Selected' : 'Open Poll'}
+        </button>
+        ${hasPermission(PERMISSION.MANAGE_POLLS) ? `
+          ${buildLifecycleActionsHtml(poll)}
+          <button class="btn btn-secondary btn-sm" onclick="openPollModal('${poll.id}')">Edit</button>
+          <button class="btn btn-secondary btn-sm" onclick="openCorrectionsModal('${poll.id}')">Corrections</button>
+          <button class="btn btn-danger btn-sm" onclick="handleDeletePoll('${poll.id}')">Delete</button>
+        ` : ''}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render polls into the active, completed and archived lists
+ */
+function renderPollsList() {
+  const groups = [
+    {
+      containerId: 'polls-container',
+      statuses: [POLL_STATUS.DRAFT, POLL_STATUS.SCHEDULED, POLL_STATUS.OPEN],
+      emptyMessage: 'No active polls',
+    },
+    {
+      containerId: 'completed-polls-container',
+      statuses: [POLL_STATUS.CLOSED],
+      emptyMessage: 'No completed polls',
+    },
+    {
+      containerId: 'archived-polls-container',
+      statuses: [POLL_STATUS.ARCHIVED],
+      emptyMessage: 'No archived polls',
+    },
+  ];
+
+  const searchFilters = { ...DEFAULT_POLL_FILTERS, query: pollFilters.query, sort: pollFilters.sort };
+  const matchingPolls = getFilteredPolls(searchFilters);
+
+  groups.forEach(({ containerId, statuses, emptyMessage }) => {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const polls = matchingPolls.filter((poll) => statuses.includes(getPollStatus(poll)));
+    container.innerHTML =
+      polls.length === 0
+        ? `<p class="no-data">${pollFilters.query ? 'No matching polls' : emptyMessage}</p>`
+        : `<div class="polls-list">${polls.map(buildPollCardHtml).join('')}</div>`;
+  });
+}
+
+/**
+ * Build the results markup for a single poll; linkProfiles makes option names
+ * open their profile
+ */
+function buildVoteResultsHtml(pollId, limit = 5, linkProfiles = false) {
+  const poll = getPollById(pollId);
+  const stats = processVoteData(pollId);
+  const topCandidates = getTopCandidates(pollId, limit);
+  const movement = getResultsMovement(pollId);
+
+  let html = '<div class="vote-results">';
+  html += `<h3>${escapeHtml(poll ? poll.name : 'Vote Results')}</h3>`;
+  const excludedCount = getPollVotes(pollId).length - getCountedVotes(pollId).length;
+  html += `<p class="results-total">${stats.totalVotes} total votes &middot; ${escapeHtml(getBallotTypeLabel(stats.ballotType))}${excludedCount > 0 ? ` &middot; ${excludedCount} excluded after review` : ''}${stats.orphanedVotes > 0 ? ` &middot; ${stats.orphanedVotes} for removed options` : ''}</p>`;
+  if (stats.groupWeights) {
+    const scoring = Object.entries(stats.groupWeights)
+      .map(([group, weight]) => `${formatGroupName(group)} ${weight}`)
+      .join(' + ');
+    html += `<p class="results-scoring">Combined score: ${escapeHtml(scoring)}</p>`;
+  }
+  if (movement) {
+    html += `<p class="results-baseline">Movement since ${escapeHtml(movement.baseline.label)} (${escapeHtml(formatDate(movement.baseline.takenAt))})</p>`;
+  }
+
+  if (stats.totalVotes === 0) {
+    html += '<p class="no-data">No votes yet</p>';
+  } else {
+    html += '<div class="results-list">';
+    topCandidates.forEach((candidate) => {
+      const barWidth = candidate.percentage;
+      const barColor = getBarColor(candidate.percentage);
+
+      html += `
+        <div class="result-item">
+          <div class="candidate-info">
+            <span class="candidate-name">${linkProfiles ? buildProfileButtonHtml(pollId, candidate, candidate.name) : escapeHtml(candidate.name)} ${movement ? buildMovementHtml(movement.rows[candidate.id], movement.baseline.label) : ''}</span>
+            <span class="vote-count">${formatVoteCount(candidate.votes)} votes (${candidate.percentage.toFixed(1)}%)</span>
+          </div>
+          <div class="progress-bar">
+            <div class="progress-fill" style="width: ${barWidth}%; background-color: ${barColor};">
+              <span class="percentage-label">${candidate.percentage.toFixed(1)}%</span>
+            </div>
+          </div>
+          ${buildGroupBreakdownHtml(stats, candidate.id)}
+        </div>
+      `;
+    });
+    html += '</div>';
+
+    if (stats.ballotType === BALLOT_TYPE.RANKED) {
+      html += buildRunoffRoundsHtml(pollId, stats);
+    } else if (stats.ballotType !== BALLOT_TYPE.SINGLE) {
+      html += '<p class="results-note">Ballots may select several options, so percentages can add up to more than 100%.</p>';
+    }
+  }
+
+  html += '</div>';
+  return html;
+}
+
+/**
+ * Build a candidate's percentage in each voter group, shown when votes come
+ * from more than one group or the poll weights its groups
+ */
+function buildGroupBreakdownHtml(stats, candidateId) {
+  const groupNames = Object.keys(stats.groups);
+  if (!stats.groupWeights && groupNames.length < 2) return '';
+
+  let html = '<div class="group-breakdown">';
+  groupNames.sort().forEach((groupName) => {
+    const group = stats.groups[groupName];
+    html += `
+      <span class="group-share" title="${formatVoteCount(group.votesByCandidate[candidateId] || 0)} of ${formatVoteCount(group.weightedTotal)} weighted votes">
+        ${escapeHtml(formatGroupName(groupName))} ${group.percentages[candidateId].toFixed(1)}%
+      </span>
+    `;
+  });
+  html += '</div>';
+  return html;
+}
+
+/**
+ * Build the round-by-round elimination table of a ranked poll
+ */
+function buildRunoffRoundsHtml(pollId, stats) {
+  const winner = getCandidateById(pollId, stats.winner);
+  const label = (candidateId) => {
+    const candidate = getCandidateById(pollId, candidateId);
+    return escapeHtml(candidate ? candidate.name : candidateId);
+  };
+
+  let html = '<div class="runoff-rounds">';
+  html += `<p class="runoff-winner">${winner ? `Winner after ${stats.rounds.length} round(s): <strong>${escapeHtml(winner.name)}</strong>` : 'No winner yet'}</p>`;
+  html += '<table class="runoff-table"><thead><tr><th>Candidate</th>';
+  stats.rounds.forEach((round) => {
+    html += `<th>Round ${round.number}</th>`;
+  });
+  html += '</tr></thead><tbody>';
+
+  stats.standings.forEach((candidateId) => {
+    html += `<tr><td>${label(candidateId)}</td>`;
+    stats.rounds.forEach((round) => {
+      if (!(candidateId in round.counts)) {
+        html += '<td class="runoff-out">&mdash;</td>';
+        return;
+      }
+      const isFinalRound = round === stats.rounds[stats.rounds.length - 1];
+      let cellClass = '';
+      if (round.eliminated === candidateId) cellClass = 'runoff-eliminated';
+      else if (isFinalRound && stats.winner === candidateId) cellClass = 'runoff-won';
+      html += `<td class="${cellClass}">${formatVoteCount(round.counts[candidateId])}</td>`;
+    });
+    html += '</tr>';
+  });
+
+  html += '<tr class="runoff-exhausted"><td>Exhausted ballots</td>';
+  stats.rounds.forEach((round) => {
+    html += `<td>${formatVoteCount(round.exhausted)}</td>`;
+  });
+  html += '</tr></tbody></table></div>';
+
+  return html;
+}
+
+/**
+ * Render vote results with bar charts, for one poll or for every poll
+ */
+function renderVoteResults(pollId) {
+  const resultsContainer = document.getElementById('results-container');
+  if (!resultsContainer) return;
+
+  if (pollId !== undefined) {
+    const pollElement = findPollElement(resultsContainer, pollId);
+    if (pollElement) {
+      // Only the results body, so an open export menu stays open
+      pollElement.querySelector('.results-body').innerHTML = buildVoteResultsHtml(pollId, 5, true);
+      return;
+    }
+    if (!matchesPollFilters(getPollById(pollId))) return;
+  }
+
+  if (state.polls.length === 0) {
+    resultsContainer.innerHTML = '<p class="no-data">No polls available</p>';
+    return;
+  }
+
+  const polls = getFilteredPolls();
+  if (polls.length === 0) {
+    resultsContainer.innerHTML = '<p class="no-data">No polls match the current filters</p>';
+    return;
+  }
+
+  resultsContainer.innerHTML = polls
+    .map(
+      (poll) => `
+        <div class="card poll-results" data-poll-id="${poll.id}">
+          <div class="results-body">${buildVoteResultsHtml(poll.id, 5, true)}</div>
+          <div class="results-actions">
+            <a class="btn btn-secondary btn-sm" href="#${getPollPath(poll.id, 'results')}">Full results</a>
+            <button type="button" class="btn btn-secondary btn-sm" onclick="shareResults('${poll.id}')">Share results</button>
+          </div>
+          ${hasPermission(PERMISSION.EXPORT_DATA) ? buildExportMenuHtml(poll.id) : ''}
+        </div>
+      `
+    )
+    .join('');
+}
+
+/**
+ * Render the overview stat cards
+ */
+function renderStats() {
+  const overview = calculateOverviewStats();
+
+  animateStatValue('total-votes', overview.totalVotes);
+  animateStatValue('active-polls', overview.activePolls);
+  animateStatValue('completed-polls', overview.completedPolls);
+  animateStatValue('participation-rate', overview.participationRate, (value) => `${value.toFixed(1)}%`);
+
+  const detail = document.getElementById('participation-detail');
+  if (detail) {
+    detail.textContent = overview.eligibleVoters
+      ? `${overview.participants.toLocaleString()} of ${overview.eligibleVoters.toLocaleString()} eligible voters`
+      : 'Set eligible voters on a poll to track participation';
+  }
+}
+
+const STAT_ANIMATION_DURATION = 600; // ms
+
+// Running stat card animations, keyed by element id
+const statAnimations = {};
+
+/**
+ * Count a stat card up or down from its current value to a new one
+ */
+function animateStatValue(elementId, value, format = (count) => Math.round(count).toLocaleString()) {
+  const element = document.getElementById(elementId);
+  if (!element) return;
+
+  if (statAnimations[elementId]) {
+    cancelAnimationFrame(statAnimations[elementId]);
+    delete statAnimations[elementId];
+  }
+
+  if (value === null) {
+    element.dataset.value = '';
+    element.textContent = '\u2014';
+    return;
+  }
+
+  const from = element.dataset.value ? Number(element.dataset.value) : 0;
+  element.dataset.value = value;
+  if (from === value || typeof requestAnimationFrame === 'undefined') {
+    element.textContent = format(value);
+    return;
+  }
+
+  let startedAt = null;
+  const step = (time) => {
+    if (startedAt === null) startedAt = time;
+    const progress = Math.min(1, (time - startedAt) / STAT_ANIMATION_DURATION);
+    const eased = 1 - Math.pow(1 - progress, 3);
+    element.textContent = format(from + (value - from) * eased);
+    if (progress < 1) {
+      statAnimations[elementId] = requestAnimationFrame(step);
+    } else {
+      delete statAnimations[elementId];
+    }
+  };
+  statAnimations[elementId] = requestAnimationFrame(step);
+}
+
+/**
+ * Build the "voting as" line of a one-vote-per-voter poll, whose voters are
+ * signed-in accounts
+ */
+function buildVoterIdHtml(poll) {
+  if (getVotingPolicy(poll) !== VOTING_POLICY.PER_VOTER) return '';
+  const voterId = getVoterId();
+  if (!voterId) {
+    return '<p class="voter-identity">One vote per account: <button type="button" class="btn btn-secondary btn-sm" onclick="openLoginModal()">sign in</button> to vote</p>';
+  }
+  return `<p class="voter-identity">Voting as ${escapeHtml(voterId)}</p>`;
+}
+
+/**
+ * Build the "voting as" group of a poll with weighted voter groups
+ */
+function buildVoterGroupHtml(poll) {
+  const group = getVoterGroup(poll);
+  if (!group) return '';
+  return `<p class="voter-group">Voting as ${escapeHtml(formatGroupName(group))}</p>`;
+}
+
+/**
+ * Build the one-click candidate cards of a single-choice poll
+ */
+function buildSingleBallotHtml(poll, candidates, disabled, recordedVote) {
+  let html = '<div class="candidates-grid">';
+  candidates.forEach((candidate) => {
+    const isChoice = recordedVote && recordedVote.candidateId === candidate.id;
+    html += `
+      <div class="candidate-card ${isChoice ? 'voted' : ''}">
+        ${buildCandidatePhotoHtml(candidate)}
+        <h3>${escapeHtml(candidate.name)}</h3>
+        ${buildCandidateMetaHtml(candidate)}
+        <p class="candidate-description">${escapeHtml(candidate.description || '')}</p>
+        ${hasCandidateProfile(candidate) ? buildProfileButtonHtml(poll.id, candidate) : ''}
+        <button 
+          class="vote-btn" 
+          onclick="handleVoteClick('${poll.id}', '${candidate.id}')"
+          ${disabled ? 'disabled' : ''}
+        >
+          ${isChoice ? 'Voted' : 'Vote'}
+        </button>
+      </div>
+    `;
+  });
+  html += '</div>';
+  return html;
+}
+
+/**
+ * Build the checkbox ballot of a multi-select or approval poll
+ */
+function buildSelectionBallotHtml(poll, candidates, disabled) {
+  const maxSelections = getMaxSelections(poll);
+  let html = `<form class="ballot-form" data-poll-id="${poll.id}" onsubmit="event.preventDefault(); handleBallotSubmit('${poll.id}')">`;
+  html += `<p class="ballot-hint">${maxSelections ? `Select up to ${maxSelections} option(s)` : 'Select every option you approve of'}</p>`;
+  html += '<div class="candidates-grid">';
+  candidates.forEach((candidate) => {
+    html += `
+      <label class="candidate-card selectable">
+        <input type="checkbox" name="ballot-selection" value="${escapeHtml(candidate.id)}"
+          onchange="updateSelectionLimit('${poll.id}')" ${disabled ? 'disabled' : ''}>
+        ${buildCandidatePhotoHtml(candidate)}
+        <h3>${escapeHtml(candidate.name)}</h3>
+        ${buildCandidateMetaHtml(candidate)}
+        <p class="candidate-description">${escapeHtml(candidate.description || '')}</p>
+        ${hasCandidateProfile(candidate) ? buildProfileButtonHtml(poll.id, candidate) : ''}
+      </label>
+    `;
+  });
+  html += '</div>';
+  html += `<button type="submit" class="btn btn-primary" ${disabled ? 'disabled' : ''}>Submit Ballot</button>`;
+  html += '</form>';
+  return html;
+}
+
+/**
+ * Build the drag-to-rank ballot of a ranked-choice poll
+ */
+function buildRankedBallotHtml(poll, candidates, disabled) {
+  const maxSelections = getMaxSelections(poll);
+  let html = `<form class="ballot-form" data-poll-id="${poll.id}" onsubmit="event.preventDefault(); handleBallotSubmit('${poll.id}')">`;
+  html += `<p class="ballot-hint">Drag options into your order of preference${maxSelections ? `; your top ${maxSelections} will be counted` : ''}</p>`;
+  html += '<ol class="ranking-list">';
+  candidates.forEach((candidate) => {
+    html += `
+      <li class="ranking-item" draggable="${disabled ? 'false' : 'true'}" data-candidate-id="${escapeHtml(candidate.id)}"
+        ondragstart="handleRankDragStart(event)" ondragover="handleRankDragOver(event)" ondragend="handleRankDragEnd(event)">
+        ${buildCandidatePhotoHtml(candidate, 'ranking-photo')}
+        <span class="ranking-name">${escapeHtml(candidate.name)}</span>
+        ${hasCandidateProfile(candidate) ? buildProfileButtonHtml(poll.id, candidate) : ''}
+        <span class="ranking-controls">
+          <button type="button" onclick="moveRankedCandidate(this, -1)" aria-label="Move up" ${disabled ? 'disabled' : ''}>&uarr;</button>
+          <button type="button" onclick="moveRankedCandidate(this, 1)" aria-label="Move down" ${disabled ? 'disabled' : ''}>&darr;</button>
+        </span>
+      </li>
+    `;
+  });
+  html += '</ol>';
+  html += `<button type="submit" class="btn btn-primary" ${disabled ? 'disabled' : ''}>Submit Ballot</button>`;
+  html += '</form>';
+  return html;
+}
+
+/**
+ * Render error message
+ */
+function renderError() {
+  const errorContainer = document.getElementById('error-container');
+  if (!errorContainer) return;
+
+  if (state.error) {
+    errorContainer.innerHTML = `
+      <div class="error-message">
+        <strong>Error:</strong> ${escapeHtml(state.error)}
+        <button onclick="clearError()" class="close-btn">×</button>
+      </div>
+    `;
+  } else {
+    errorContainer.innerHTML = '';
+  }
+}
+
+/**
+ * Render candidate voting form for a poll
+ */
+function renderVotingForm(pollId = state.activePollId) {
+  const formContainer = document.getElementById('voting-form');
+  if (!formContainer) return;
+
+  const poll = getPollById(pollId);
+  const candidates = getPollCandidates(pollId);
+
+  let html = '<div class="voting-form">';
+  html += `<h2>Cast Your Vote${poll ? `: ${escapeHtml(poll.name)}` : ''}</h2>`;
+
+  if (!poll) {
+    html += '<p class="no-data">Select a poll to vote</p>';
+  } else if (candidates.length === 0) {
+    html += '<p class="no-data">No candidates available</p>';
+  } else {
+    const acceptingVotes = isPollAcceptingVotes(poll.id);
+    const canVote = hasPermission(PERMISSION.VOTE);
+    const recordedVote = getRecordedVote(poll.id);
+    const alreadyVoted = hasAlreadyVoted(poll.id);
+    html += buildCountdownHtml(poll);
+    html += `<p class="voting-policy">${escapeHtml(getVotingPolicyLabel(getVotingPolicy(poll)))}</p>`;
+    html += buildVoterIdHtml(poll);
+    html += buildVoterGroupHtml(poll);
+    if (!acceptingVotes) {
+      html += `<p class="voting-closed">${escapeHtml(getVotingUnavailableMessage(poll))}</p>`;
+    } else if (!canVote) {
+      html += state.session
+        ? `<p class="voting-closed">${escapeHtml(ROLE_LABELS[getCurrentRole()])} accounts cannot vote</p>`
+        : '<p class="voting-closed">Please <button type="button" class="btn btn-secondary btn-sm" onclick="openLoginModal()">sign in</button> to vote</p>';
+    } else if (alreadyVoted) {
+      const votedFor = getCandidateById(poll.id, recordedVote.candidateId);
+      html += `<p class="already-voted">You already voted for ${escapeHtml(votedFor ? votedFor.name : 'this poll')} on ${formatDate(recordedVote.timestamp)}</p>`;
+    }
+    const ballotType = getBallotType(poll);
+    const disabled = state.isLoading || !acceptingVotes || !canVote || alreadyVoted;
+    if (ballotType === BALLOT_TYPE.RANKED) {
+      html += buildRankedBallotHtml(poll, candidates, disabled);
+    } else if (ballotType !== BALLOT_TYPE.SINGLE) {
+      html += buildSelectionBallotHtml(poll, candidates, disabled);
+    } else {
+      html += buildSingleBallotHtml(poll, candidates, disabled, recordedVote);
+    }
+  }
+
+  html += '</div>';
+  formContainer.innerHTML = html;
+}
+
+/**
+ * Render trends chart for a poll: one line per candidate over the selected range
+ */
+function renderTrends(pollId = state.activePollId) {
+  const trends = calculateVotingTrends(pollId, {
+    range: trendSettings.range,
+    bucket: trendSettings.bucket || undefined,
+  });
+  const metric = trendSettings.metric;
+
+  updateChart('voting-trends-chart', 'line', {
+    labels: trends.buckets.map((bucket) => bucket.label),
+    series: getPollCandidates(pollId).map((candidate, index) => ({
+      label: candidate.name,
+      color: CHART_COLORS[index % CHART_COLORS.length],
+      values: trends.candidates[candidate.id][metric],
+    })),
+    formatValue: metric === 'ratePerMinute' ? (value) => `${value.toFixed(2)} votes/min` : undefined,
+  });
+}
+
+/**
+ * Render the share of each candidate in a poll as a donut chart
+ */
+function renderDistributionChart(pollId = state.activePollId) {
+  const stats = processVoteData(pollId);
+  updateChart('poll-distribution-chart', 'donut', {
+    items: getPollCandidates(pollId).map((candidate, index) => ({
+      label: candidate.name,
+      value: stats.percentages[candidate.id] || 0,
+      color: CHART_COLORS[index % CHART_COLORS.length],
+    })),
+    formatValue: (value) => `${value.toFixed(1)}%`,
+  });
+}
+
+/**
+ * Render the polls with the most votes as horizontal bars
+ */
+function renderTopPollsChart(limit = 5) {
+  const items = state.polls
+    .map((poll) => ({ label: poll.name, value: getPollVotes(poll.id).length }))
+    .sort((a, b) => b.value - a.value)
+    .slice(0, limit)
+    .map((item, index) => ({ ...item, color: CHART_COLORS[index % CHART_COLORS.length] }));
+
+  updateChart('top-polls-chart', 'bar', { items });
+}
+
+/**
+ * Render the votes of each voter group in a poll as a pie chart
+ */
+function renderDemographicsChart(pollId = state.activePollId) {
+  const stats = processVoteData(pollId);
+  updateChart('demographics-chart', 'pie', {
+    items: Object.keys(stats.groups).sort().map((groupName, index) => ({
+      label: formatGroupName(groupName),
+      value: stats.groups[groupName].totalVotes,
+      color: CHART_COLORS[index % CHART_COLORS.length],
+    })),
+  });
+}
+
+/**
+ * Render every chart of the analytics section
+ */
+function renderAnalytics(pollId = state.activePollId) {
+  renderTrends(pollId);
+  renderDistributionChart(pollId);
+  renderTopPollsChart();
+  renderDemographicsChart(pollId);
+}
+
+// ============================================================================
+// CHART RENDERING
+// ============================================================================
+
+const CHART_COLORS = ['#6366f1', '#ec4899', '#10b981', '#f59e0b', '#3b82f6', '#ef4444', '#8b5cf6', '#14b8a6'];
+
+const CHART_STYLE = {
+  font: '12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+  text: '#cbd5e1',
+  muted: '#94a3b8',
+  grid: 'rgba(71, 85, 105, 0.6)',
+  background: '#1e293b',
+  padding: 16,
+  defaultHeight: 260,
+  animationDuration: 400, // ms
+};
+
+// Selected options of the voting trends chart
+const trendSettings = {
+  range: TREND_RANGE.LAST_DAY,
+  bucket: '', // chosen from the range
+  metric: 'cumulative', // 'counts', 'cumulative' or 'ratePerMinute'
+};
+
+// Chart instances, keyed by canvas id
+const charts = {};
+let chartResizeObserver = null;
+
+/**
+ * Redraw the trends chart when its range, bucket or series select changes
+ */
+function bindAnalyticsEvents() {
+  [
+    ['trends-range', 'range'],
+    ['trends-bucket', 'bucket'],
+    ['trends-metric', 'metric'],
+  ].forEach(([elementId, setting]) => {
+    const select = document.getElementById(elementId);
+    if (!select) return;
+
+    select.value = trendSettings[setting];
+    select.addEventListener('change', () => {
+      trendSettings[setting] = select.value;
+      renderTrends();
+    });
+  });
+}
+
+/**
+ * Get the chart drawn on a canvas, setting it up on first use
+ */
+function getChart(canvasId) {
+  if (charts[canvasId]) return charts[canvasId];
+
+  const canvas = document.getElementById(canvasId);
+  if (!canvas || !canvas.getContext) return null;
+
+  const chart = {
+    canvas,
+    ctx: canvas.getContext('2d'),
+    type: null,
+    data: null,
+    from: {}, // values on screen when the current animation started, by key
+    progress: 1,
+    startedAt: null,
+    frame: null,
+    hitRegions: [],
+    tooltip: createChartTooltip(canvas),
+    width: 0,
+    height: 0,
+    pixelRatio: 1,
+  };
+
+  canvas.addEventListener('mousemove', (event) => handleChartHover(chart, event));
+  canvas.addEventListener('mouseleave', () => hideChartTooltip(chart));
+  charts[canvasId] = chart;
+  observeChartSize(chart);
+  resizeChart(chart);
+  return chart;
+}
+
+/**
+ * Show new data on a chart, animating from the values currently drawn.
+ * Line data is { labels, series: [{ label, color, values }] }; pie, donut and
+ * bar data is { items: [{ label, value, color }] }. Either may add
+ * formatValue(value) for tooltips.
+ */
+function updateChart(canvasId, type, data) {
+  const chart = getChart(canvasId);
+  if (!chart) return;
+
+  chart.from = chart.data && chart.type === type ? getDisplayedChartValues(chart) : {};
+  chart.type = type;
+  chart.data = data;
+  chart.progress = 0;
+  chart.startedAt = null;
+  animateChart(chart);
+}
+
+/**
+ * Call back with the animation key and target value of every data point
+ */
+function forEachChartValue(data, callback) {
+  if (data.series) {
+    data.series.forEach((series) => {
+      series.values.forEach((value, index) => callback(`${series.label}|${data.labels[index]}`, value));
+    });
+  } else {
+    data.items.forEach((item) => callback(item.label, item.value));
+  }
+}
+
+/**
+ * Get the value of every data point as currently drawn
+ */
+function getDisplayedChartValues(chart) {
+  const values = {};
+  forEachChartValue(chart.data, (key, value) => {
+    values[key] = interpolateChartValue(chart, key, value);
+  });
+  return values;
+}
+
+/**
+ * Get the value to draw for a data point at the current animation progress
+ */
+function interpolateChartValue(chart, key, target) {
+  const start = chart.from[key] || 0;
+  const eased = 1 - Math.pow(1 - chart.progress, 3);
+  return start + (target - start) * eased;
+}
+
+/**
+ * Redraw a chart every frame until its animation completes
+ */
+function animateChart(chart) {
+  if (typeof requestAnimationFrame === 'undefined') {
+    chart.progress = 1;
+    drawChart(chart);
+    return;
+  }
+
+  if (chart.frame) cancelAnimationFrame(chart.frame);
+
+  const step = (time) => {
+    if (chart.startedAt === null) chart.startedAt = time;
+    chart.progress = Math.min(1, (time - chart.startedAt) / CHART_STYLE.animationDuration);
+    drawChart(chart);
+    chart.frame = chart.progress < 1 ? requestAnimationFrame(step) : null;
+  };
+  chart.frame = requestAnimationFrame(step);
+}
+
+/**
+ * Match the canvas backing store to its CSS size and the device pixel ratio
+ */
+function resizeChart(chart) {
+  const pixelRatio = window.devicePixelRatio || 1;
+  const width = chart.canvas.clientWidth;
+  const height = chart.canvas.clientHeight || CHART_STYLE.defaultHeight;
+  if (width === chart.width && height === chart.height && pixelRatio === chart.pixelRatio) return;
+
+  chart.width = width;
+  chart.height = height;
+  chart.pixelRatio = pixelRatio;
+  chart.canvas.width = Math.round(width * pixelRatio);
+  chart.canvas.height = Math.round(height * pixelRatio);
+  chart.ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+
+  if (chart.data) drawChart(chart);
+}
+
+/**
+ * Redraw a chart whenever its canvas changes size
+ */
+function observeChartSize(chart) {
+  if (typeof ResizeObserver === 'undefined') {
+    if (Object.keys(charts).length === 1) {
+      window.addEventListener('resize', throttle(() => Object.values(charts).forEach(resizeChart), 100));
+    }
+    return;
+  }
+
+  if (!chartResizeObserver) {
+    chartResizeObserver = new ResizeObserver((entries) => {
+      entries.forEach((entry) => {
+        const resized = Object.values(charts).find((c) => c.canvas === entry.target);
+        if (resized) resizeChart(resized);
+      });
+    });
+  }
+  chartResizeObserver.observe(chart.canvas);
+}
+
+/**
+ * Stop chart animations and size observation
+ */
+function destroyCharts() {
+  Object.keys(charts).forEach((canvasId) => {
+    const chart = charts[canvasId];
+    if (chart.frame) cancelAnimationFrame(chart.frame);
+    chart.tooltip.remove();
+    delete charts[canvasId];
+  });
+
+  if (chartResizeObserver) {
+    chartResizeObserver.disconnect();
+    chartResizeObserver = null;
+  }
+}
+
+/**
+ * Draw a chart at its current animation progress
+ */
+function drawChart(chart) {
+  const { ctx, width, height, data } = chart;
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = CHART_STYLE.font;
+  chart.hitRegions = [];
+
+  const hasData = data.series
+    ? data.labels.length > 0
+    : data.items.some((item) => item.value > 0);
+  if (!hasData) {
+    ctx.fillStyle = CHART_STYLE.muted;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('No data yet', width / 2, height / 2);
+    return;
+  }
+
+  switch (chart.type) {
+    case 'line':
+      drawLineChart(chart);
+      break;
+    case 'pie':
+    case 'donut':
+      drawPieChart(chart, chart.type === 'donut');
+      break;
+    case 'bar':
+      drawBarChart(chart);
+      break;
+    default:
+      console.warn(`Unknown chart type: ${chart.type}`);
+  }
+}
+
+/**
+ * Round an axis maximum up to 1, 2 or 5 times a power of ten
+ */
+function getNiceChartMax(value) {
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  const step = [1, 2, 5, 10].find((multiple) => value <= multiple * magnitude);
+  return step * magnitude;
+}
+
+/**
+ * Shorten text with an ellipsis until it fits a width
+ */
+function fitChartText(ctx, text, maxWidth) {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+
+  let fitted = text;
+  while (fitted.length > 1 && ctx.measureText(`${fitted}…`).width > maxWidth) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted}…`;
+}
+
+/**
+ * Draw a line chart with one line per series
+ */
+function drawLineChart(chart) {
+  const { ctx, width, height, data } = chart;
+  const pad = CHART_STYLE.padding;
+  const legendHeight = data.series.length > 1 ? 20 : 0;
+  const plot = { left: pad + 36, top: pad + legendHeight, right: width - pad, bottom: height - pad - 18 };
+
+  const values = data.series.map((series) =>
+    series.values.map((value, index) => interpolateChartValue(chart, `${series.label}|${data.labels[index]}`, value))
+  );
+  const targets = data.series.flatMap((series) => series.values);
+  const max = getNiceChartMax(Math.max(1, ...targets));
+  const lastIndex = data.labels.length - 1;
+  const x = (index) => (lastIndex > 0
+    ? plot.left + (index / lastIndex) * (plot.right - plot.left)
+    : (plot.left + plot.right) / 2);
+  const y = (value) => plot.bottom - (value / max) * (plot.bottom - plot.top);
+
+  // Grid lines with y-axis labels
+  ctx.strokeStyle = CHART_STYLE.grid;
+  ctx.fillStyle = CHART_STYLE.muted;
+  ctx.lineWidth = 1;
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  for (let step = 0; step <= 4; step += 1) {
+    const value = (max * step) / 4;
+    ctx.beginPath();
+    ctx.moveTo(plot.left, y(value));
+    ctx.lineTo(plot.right, y(value));
+    ctx.stroke();
+    ctx.fillText(formatVoteCount(value), plot.left - 6, y(value));
+  }
+
+  // At most six x-axis labels, always including the last
+  const labelEvery = Math.ceil(data.labels.length / 6);
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  data.labels.forEach((label, index) => {
+    if (index % labelEvery === 0 || index === lastIndex) {
+      ctx.fillText(label, x(index), plot.bottom + 6);
+    }
+  });
+
+  data.series.forEach((series, seriesIndex) => {
+    ctx.strokeStyle = series.color;
+    ctx.fillStyle = series.color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    values[seriesIndex].forEach((value, index) => {
+      if (index === 0) ctx.moveTo(x(index), y(value));
+      else ctx.lineTo(x(index), y(value));
+    });
+    ctx.stroke();
+
+    values[seriesIndex].forEach((value, index) => {
+      ctx.beginPath();
+      ctx.arc(x(index), y(value), 3, 0, Math.PI * 2);
+      ctx.fill();
+      chart.hitRegions.push({
+        shape: 'point',
+        x: x(index),
+        y: y(value),
+        radius: 8,
+        label: data.series.length > 1 ? `${series.label}, ${data.labels[index]}` : data.labels[index],
+        value: series.values[index],
+      });
+    });
+  });
+
+  if (legendHeight) {
+    drawChartLegend(ctx, data.series, plot.left, pad);
+  }
+}
+
+/**
+ * Draw a horizontal legend of coloured labels
+ */
+function drawChartLegend(ctx, entries, left, top) {
+  let offset = left;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  entries.forEach((entry) => {
+    ctx.fillStyle = entry.color;
+    ctx.fillRect(offset, top + 2, 10, 10);
+    ctx.fillStyle = CHART_STYLE.text;
+    ctx.fillText(entry.label, offset + 14, top + 7);
+    offset += 24 + ctx.measureText(entry.label).width;
+  });
+}
+
+/**
+ * Draw a pie chart, or a donut with the total in the middle
+ */
+function drawPieChart(chart, donut) {
+  const { ctx, width, height, data } = chart;
+  const pad = CHART_STYLE.padding;
+  const legendWidth = Math.min(160, width * 0.4);
+  const cx = (width - legendWidth) / 2;
+  const cy = height / 2;
+  const radius = Math.max(0, Math.min(cx, cy) - pad);
+  const innerRadius = donut ? radius * 0.6 : 0;
+
+  const values = data.items.map((item) => Math.max(0, interpolateChartValue(chart, item.label, item.value)));
+  const total = values.reduce((sum, value) => sum + value, 0);
+  const targetTotal = data.items.reduce((sum, item) => sum + item.value, 0);
+
+  let angle = -Math.PI / 2;
+  data.items.forEach((item, index) => {
+    const sweep = total > 0 ? (values[index] / total) * Math.PI * 2 : 0;
+    ctx.fillStyle = item.color;
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, angle, angle + sweep);
+    if (donut) {
+      ctx.arc(cx, cy, innerRadius, angle + sweep, angle, true);
+    } else {
+      ctx.lineTo(cx, cy);
+    }
+    ctx.closePath();
+    ctx.fill();
+
+    chart.hitRegions.push({
+      shape: 'arc',
+      cx,
+      cy,
+      innerRadius,
+      radius,
+      start: angle,
+      end: angle + sweep,
+      label: item.label,
+      value: item.value,
+      share: targetTotal > 0 ? item.value / targetTotal : 0,
+    });
+    angle += sweep;
+  });
+
+  if (donut && !data.formatValue) {
+    ctx.fillStyle = CHART_STYLE.text;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(formatVoteCount(Math.round(total)), cx, cy);
+  }
+
+  // Legend to the right of the chart
+  const legendLeft = width - legendWidth;
+  const rowHeight = 20;
+  let top = cy - (data.items.length * rowHeight) / 2;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  data.items.forEach((item) => {
+    ctx.fillStyle = item.color;
+    ctx.fillRect(legendLeft, top + 4, 10, 10);
+    ctx.fillStyle = CHART_STYLE.text;
+    ctx.fillText(fitChartText(ctx, item.label, legendWidth - 18), legendLeft + 16, top + 9);
+    top += rowHeight;
+  });
+}
+
+/**
+ * Draw a horizontal bar chart, one row per item
+ */
+function drawBarChart(chart) {
+  const { ctx, width, height, data } = chart;
+  const pad = CHART_STYLE.padding;
+  const labelWidth = Math.min(
+    width * 0.35,
+    Math.max(...data.items.map((item) => ctx.measureText(item.label).width)) + 8
+  );
+  const plot = { left: pad + labelWidth, top: pad, right: width - pad - 40, bottom: height - pad };
+  const rowHeight = (plot.bottom - plot.top) / data.items.length;
+  const barHeight = Math.min(28, rowHeight * 0.7);
+  const max = Math.max(1, ...data.items.map((item) => item.value));
+
+  ctx.textBaseline = 'middle';
+  data.items.forEach((item, index) => {
+    const value = interpolateChartValue(chart, item.label, item.value);
+    const barWidth = Math.max(0, (value / max) * (plot.right - plot.left));
+    const top = plot.top + index * rowHeight + (rowHeight - barHeight) / 2;
+    const middle = top + barHeight / 2;
+
+    ctx.fillStyle = CHART_STYLE.text;
+    ctx.textAlign = 'right';
+    ctx.fillText(fitChartText(ctx, item.label, labelWidth - 8), plot.left - 8, middle);
+
+    ctx.fillStyle = item.color;
+    ctx.fillRect(plot.left, top, barWidth, barHeight);
+
+    ctx.fillStyle = CHART_STYLE.muted;
+    ctx.textAlign = 'left';
+    ctx.fillText(formatVoteCount(Math.round(value)), plot.left + barWidth + 6, middle);
+
+    chart.hitRegions.push({
+      shape: 'rect',
+      x: pad,
+      y: top,
+      width: plot.right - pad,
+      height: barHeight,
+      label: item.label,
+      value: item.value,
+    });
+  });
+}
+
+/**
+ * Create the tooltip element shown over a chart
+ */
+function createChartTooltip(canvas) {
+  const tooltip = document.createElement('div');
+  tooltip.className = 'chart-tooltip hidden';
+  tooltip.setAttribute('role', 'status');
+  canvas.parentElement.appendChild(tooltip);
+  return tooltip;
+}
+
+/**
+ * Check whether a point lies in a chart hit region
+ */
+function isInChartRegion(region, x, y) {
+  switch (region.shape) {
+    case 'point':
+      return Math.hypot(x - region.x, y - region.y) <= region.radius;
+    case 'rect':
+      return x >= region.x && x <= region.x + region.width && y >= region.y && y <= region.y + region.height;
+    case 'arc': {
+      const distance = Math.hypot(x - region.cx, y - region.cy);
+      if (distance < region.innerRadius || distance > region.radius) return false;
+      // Angles run clockwise from the top, matching the drawing order
+      let angle = Math.atan2(y - region.cy, x - region.cx);
+      if (angle < -Math.PI / 2) angle += Math.PI * 2;
+      return angle >= region.start && angle < region.end;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Show a tooltip for the data point under the mouse
+ */
+function handleChartHover(chart, event) {
+  const rect = chart.canvas.getBoundingClientRect();
+  const x = event.clientX - rect.left;
+  const y = event.clientY - rect.top;
+  const region = chart.hitRegions.find((candidate) => isInChartRegion(candidate, x, y));
+
+  if (!region) {
+    hideChartTooltip(chart);
+    return;
+  }
+
+  const value = chart.data.formatValue ? chart.data.formatValue(region.value) : formatVoteCount(region.value);
+  const share = region.share !== undefined && !chart.data.formatValue
+    ? ` (${(region.share * 100).toFixed(1)}%)`
+    : '';
+  chart.tooltip.textContent = `${region.label}: ${value}${share}`;
+  chart.tooltip.style.left = `${chart.canvas.offsetLeft + x + 12}px`;
+  chart.tooltip.style.top = `${chart.canvas.offsetTop + y + 12}px`;
+  chart.tooltip.classList.remove('hidden');
+  chart.canvas.style.cursor = 'pointer';
+}
+
+/**
+ * Hide a chart's tooltip
+ */
+function hideChartTooltip(chart) {
+  chart.tooltip.classList.add('hidden');
+  chart.canvas.style.cursor = '';
+}
+
+// ============================================================================
+// EVENT HANDLERS
+// ============================================================================
+
+/**
+ * Handle vote button click
+ */
+async function handleVoteClick(pollId, candidateId) {
+  await castBallot(pollId, { candidateId });
+}
+
+/**
+ * Submit the checkbox or ranked ballot currently filled in for a poll
+ */
+async function handleBallotSubmit(pollId) {
+  const ballot = readBallot(pollId);
+  const error = validateBallot(getPollById(pollId), ballot);
+  if (error) {
+    updateError(error);
+    return;
+  }
+
+  await castBallot(pollId, ballot);
+}
+
+/**
+ * Cast a ballot, queueing it when the server cannot be reached
+ */
+async function castBallot(pollId, ballot) {
+  if (!requirePermission(PERMISSION.VOTE)) return;
+  if (!isPollAcceptingVotes(pollId)) {
+    updateError(getVotingUnavailableMessage(getPollById(pollId)));
+    renderVotingForm();
+    return;
+  }
+
+  if (hasAlreadyVoted(pollId)) {
+    updateError('You have already voted in this poll');
+    renderVotingForm();
+    return;
+  }
+
+  const identity = await getVoterIdentity(pollId);
+  if (!identity) {
+    updateError('Sign in to vote in this poll');
+    return;
+  }
+
+  const candidateName = getBallotLabel(pollId, ballot);
+  const queuedVote = createQueuedVote(pollId, ballot, identity);
+
+  try {
+    setState({ isLoading: true });
+    clearError();
+
+    if (isOffline()) {
+      enqueueVote(queuedVote);
+      recordVote(pollId, ballot.candidateId);
+      showSuccessMessage(
+        `You're offline. Your vote for ${candidateName} was saved and will be sent when the connection returns.`
+      );
+      return;
+    }
+
+    await submitVote(pollId, ballot.candidateId, { ...queuedVote, silent: true });
+    recordVote(pollId, ballot.candidateId);
+
+    showSuccessMessage(
+      `Vote cast for ${candidateName} successfully!`
+    );
+
+    // Refresh data
+    await loadInitialData();
+  } catch (error) {
+    if (isNetworkError(error)) {
+      enqueueVote(queuedVote);
+      recordVote(pollId, ballot.candidateId);
+      showSuccessMessage(
+        `Connection problem. Your vote for ${candidateName} was saved and will be sent automatically.`
+      );
+    } else if (isAlreadyVotedError(error)) {
+      // The server only says what was chosen to the account that voted
+      if (error.vote) recordVote(pollId, ballot.candidateId, error.vote);
+      updateError('You have already voted in this poll');
+    } else {
+      updateError(`Failed to submit vote: ${error.message}`);
+    }
+  } finally {
+    setState({ isLoading: false });
+    renderVotingForm();
+  }
+}
+
+/**
+ * Describe a ballot by the names of the candidates it chose
+ */
+function getBallotLabel(pollId, ballot) {
+  const ids = ballot.rankings || ballot.selections || [ballot.candidateId];
+  const names = ids.map((candidateId) => {
+    const candidate = getCandidateById(pollId, candidateId);
+    return candidate ? candidate.name : 'candidate';
+  });
+  return names.join(ballot.rankings ? ' > ' : ', ');
+}
+
+/**
+ * Disable unchecked options once a poll's selection limit is reached
+ */
+function updateSelectionLimit(pollId) {
+  const form = document.querySelector(`#voting-form .ballot-form[data-poll-id="${pollId}"]`);
+  const maxSelections = getMaxSelections(getPollById(pollId));
+  if (!form || !maxSelections) return;
+
+  const inputs = Array.from(form.querySelectorAll('input[name="ballot-selection"]'));
+  const full = inputs.filter((input) => input.checked).length >= maxSelections;
+  inputs.forEach((input) => {
+    input.disabled = full && !input.checked;
+  });
+}
+
+/**
+ * Move a ranked option one place up (-1) or down (1)
+ */
+function moveRankedCandidate(button, direction) {
+  const item = button.closest('.ranking-item');
+  const sibling = direction < 0 ? item.previousElementSibling : item.nextElementSibling;
+  if (!sibling) return;
+
+  item.parentElement.insertBefore(item, direction < 0 ? sibling : sibling.nextElementSibling);
+}
+
+let draggedRankItem = null;
+
+/**
+ * Start dragging a ranked option
+ */
+function handleRankDragStart(event) {
+  draggedRankItem = event.currentTarget;
+  draggedRankItem.classList.add('dragging');
+  event.dataTransfer.effectAllowed = 'move';
+  event.dataTransfer.setData('text/plain', draggedRankItem.dataset.candidateId);
+}
+
+/**
+ * Reorder ranked options as the dragged one passes over them
+ */
+function handleRankDragOver(event) {
+  const target = event.currentTarget;
+  if (!draggedRankItem || target === draggedRankItem || target.parentElement !== draggedRankItem.parentElement) {
+    return;
+  }
+  event.preventDefault();
+
+  const { top, height } = target.getBoundingClientRect();
+  const after = event.clientY > top + height / 2;
+  target.parentElement.insertBefore(draggedRankItem, after ? target.nextElementSibling : target);
+}
+
+/**
+ * Finish dragging a ranked option
+ */
+function handleRankDragEnd() {
+  if (draggedRankItem) draggedRankItem.classList.remove('dragging');
+  draggedRankItem = null;
+}
+
+/**
+ * Switch the dashboard to another poll
+ */
+function selectPoll(pollId) {
+  if (!getPollById(pollId)) return;
+
+  setState({ activePollId: pollId });
+  renderPollsList();
+  renderVotingForm();
+  renderAnalytics();
+}
+
+/**
+ * Show success message
+ */
+function showSuccessMessage(message) {
+  const successContainer = document.getElementById('success-container');
+  if (!successContainer) return;
+
+  successContainer.innerHTML = `
+    <div class="success-message">
+      ${escapeHtml(message)}
+      <button onclick="this.parentElement.remove()" class="close-btn">×</button>
+    </div>
+  `;
+
+  // Auto-dismiss after 3 seconds
+  setTimeout(() => {
+    successContainer.innerHTML = '';
+  }, 3000);
+}
+
+// ============================================================================
+// POLL MANAGEMENT
+// ============================================================================
+
+const MIN_POLL_OPTIONS = 2;
+
+let editingPollId = null;
+// Start and duration fields as filled in for the poll being edited, so its
+// stored schedule is kept unless the user changes them
+let editingSchedule = null;
+
+const POLL_DURATION_PLACEHOLDER = 'Leave empty for unlimited';
+
+/**
+ * Open the poll modal, pre-filled when editing an existing poll
+ */
+function openPollModal(pollId = null) {
+  const modal = document.getElementById('poll-modal');
+  const form = document.getElementById('poll-form');
+  if (!modal || !form || !requirePermission(PERMISSION.MANAGE_POLLS)) return;
+
+  const poll = pollId ? getPollById(pollId) : null;
+  editingPollId = poll ? poll.id : null;
+
+  form.reset();
+  renderPollFormErrors([]);
+
+  const optionsContainer = document.getElementById('options-container');
+  optionsContainer.innerHTML = '';
+  const options = poll ? getPollCandidates(poll.id) : [];
+  options.forEach((option) => addOptionInput(option.name, option.id, option));
+  while (optionsContainer.children.length < MIN_POLL_OPTIONS) {
+    addOptionInput();
+  }
+
+  const durationInput = document.getElementById('poll-duration');
+  durationInput.placeholder = POLL_DURATION_PLACEHOLDER;
+  editingSchedule = null;
+
+  if (poll) {
+    document.getElementById('poll-title').value = poll.name;
+    document.getElementById('poll-description').value = poll.description;
+    document.getElementById('poll-draft').checked = getPollStatus(poll) === POLL_STATUS.DRAFT;
+    document.getElementById('poll-voting-policy').value = getVotingPolicy(poll);
+    document.getElementById('poll-ballot-type').value = getBallotType(poll);
+    document.getElementById('poll-max-selections').value = poll.maxSelections || '';
+    document.getElementById('poll-group-weights').value = formatGroupWeights(poll.groupWeights);
+    document.getElementById('poll-eligible-voters').value = getEligibleVoters(poll) || '';
+    if (poll.startTime) {
+      document.getElementById('poll-start').value = toDateTimeLocal(poll.startTime);
+    }
+    if (poll.startTime && poll.endTime) {
+      // Whole hours only; a poll closed early shows its end time instead of 0
+      const hours = Math.round((new Date(poll.endTime) - new Date(poll.startTime)) / 3600000);
+      if (hours >= 1) durationInput.value = hours;
+      else durationInput.placeholder = `Ends ${formatDate(poll.endTime)}`;
+    }
+    editingSchedule = {
+      start: document.getElementById('poll-start').value,
+      duration: durationInput.value,
+    };
+  }
+
+  modal.querySelector('.modal-header h2').textContent = poll ? 'Edit Poll' : 'Create New Poll';
+  form.querySelector('button[type="submit"]').textContent = poll ? 'Save Changes' : 'Create Poll';
+
+  modal.classList.remove('hidden');
+  modal.classList.add('active');
+  document.getElementById('poll-title').focus();
+}
+
+/**
+ * Close the poll modal and leave edit mode
+ */
+function closePollModal() {
+  const modal = document.getElementById('poll-modal');
+  if (!modal) return;
+
+  modal.classList.remove('active');
+  modal.classList.add('hidden');
+  editingPollId = null;
+  editingSchedule = null;
+}
+
+/**
+ * Append an option row to the poll form, with its profile fields collapsed
+ */
+function addOptionInput(value = '', optionId = null, profile = {}) {
+  const optionsContainer = document.getElementById('options-container');
+  if (!optionsContainer) return;
+
+  const group = document.createElement('div');
+  group.className = 'option-input-group';
+  group.innerHTML = `
+    <input type="text" class="option-input" required>
+    <button type="button" class="btn-remove-option">Remove</button>
+    <details class="option-profile">
+      <summary>Profile</summary>
+      <div class="option-profile-fields">
+        <div class="option-photo">
+          <img class="option-photo-preview hidden" alt="Photo preview">
+          <input type="file" class="option-photo-input" accept="image/*" aria-label="Photo">
+          <button type="button" class="btn-remove-photo hidden">Remove photo</button>
+        </div>
+        <input type="text" class="option-description" placeholder="Short description" maxlength="200">
+        <input type="text" class="option-category" placeholder="Category" maxlength="100">
+        <input type="text" class="option-team" placeholder="Team or school" maxlength="100">
+        <textarea class="option-links" rows="2" placeholder="Links, one per line (https://...)"></textarea>
+        <textarea class="option-bio" rows="4" placeholder="Bio" maxlength="${CANDIDATE_BIO_MAX_LENGTH}"></textarea>
+      </div>
+    </details>
+  `;
+
+  const input = group.querySelector('.option-input');
+  input.value = value;
+  if (optionId) {
+    input.dataset.optionId = optionId;
+  }
+  group.querySelector('.option-description').value = profile.description || '';
+  group.querySelector('.option-category').value = profile.category || '';
+  group.querySelector('.option-team').value = profile.team || '';
+  group.querySelector('.option-links').value = (profile.links || []).join('\n');
+  group.querySelector('.option-bio').value = profile.bio || '';
+  setOptionPhoto(group, getSafeImageUrl(profile.image));
+
+  optionsContainer.appendChild(group);
+  updateOptionInputs();
+}
+
+/**
+ * Show a photo in an option row, or clear it
+ */
+function setOptionPhoto(group, image) {
+  const preview = group.querySelector('.option-photo-preview');
+  if (image) {
+    group.dataset.image = image;
+    preview.src = image;
+  } else {
+    delete group.dataset.image;
+    preview.removeAttribute('src');
+  }
+  preview.classList.toggle('hidden', !image);
+  group.querySelector('.btn-remove-photo').classList.toggle('hidden', !image);
+}
+
+/**
+ * Resize the photo chosen for an option row and preview it
+ */
+async function handleOptionPhotoChange(event) {
+  const input = event.target;
+  const group = input.closest('.option-input-group');
+  const file = input.files[0];
+  if (!group || !file) return;
+
+  try {
+    if (!file.type.startsWith('image/')) {
+      throw new Error('choose an image file');
+    }
+    if (file.size > CANDIDATE_IMAGE_MAX_FILE_SIZE) {
+      throw new Error(`photos can be at most ${CANDIDATE_IMAGE_MAX_FILE_SIZE / (1024 * 1024)} MB`);
+    }
+    setOptionPhoto(group, await resizeImageFile(file));
+    renderPollFormErrors([]);
+  } catch (error) {
+    renderPollFormErrors([`Could not use ${file.name}: ${error.message}`]);
+  } finally {
+    input.value = '';
+  }
+}
+
+/**
+ * Remove an option row, keeping the minimum number of rows
+ */
+function removeOptionInput(group) {
+  const optionsContainer = document.getElementById('options-container');
+  if (!optionsContainer || optionsContainer.children.length <= MIN_POLL_OPTIONS) return;
+
+  group.remove();
+  updateOptionInputs();
+}
+
+/**
+ * Renumber option placeholders and toggle the remove buttons
+ */
+function updateOptionInputs() {
+  const groups = document.querySelectorAll('#options-container .option-input-group');
+  groups.forEach((group, index) => {
+    group.querySelector('.option-input').placeholder = `Option ${index + 1}`;
+    group.querySelector('.btn-remove-option').disabled = groups.length <= MIN_POLL_OPTIONS;
+  });
+}
+
+/**
+ * Read the poll form into a plain object
+ */
+function readPollForm() {
+  const duration = document.getElementById('poll-duration').value;
+  const startTime = document.getElementById('poll-start').value;
+  return {
+    name: document.getElementById('poll-title').value.trim(),
+    description: document.getElementById('poll-description').value.trim(),
+    options: Array.from(document.querySelectorAll('#options-container .option-input-group'))
+      .map(readOptionInput)
+      .filter((option) => option.name),
+    duration: duration ? Number(duration) : null,
+    startTime: startTime ? new Date(startTime) : null,
+    votingPolicy: document.getElementById('poll-voting-policy').value,
+    ballotType: document.getElementById('poll-ballot-type').value,
+    maxSelections: Number(document.getElementById('poll-max-selections').value) || null,
+    groupWeights: parseGroupWeights(document.getElementById('poll-group-weights').value),
+    eligibleVoters: Number(document.getElementById('poll-eligible-voters').value) || null,
+    draft: document.getElementById('poll-draft').checked,
+  };
+}
+
+/**
+ * Read an option row of the poll form, with its profile
+ */
+function readOptionInput(group) {
+  const input = group.querySelector('.option-input');
+  const field = (selector) => {
+    const element = group.querySelector(selector);
+    return element ? element.value.trim() : '';
+  };
+
+  return {
+    id: input.dataset.optionId || undefined,
+    name: input.value.trim(),
+    description: field('.option-description'),
+    image: group.dataset.image || '',
+    category: field('.option-category'),
+    team: field('.option-team'),
+    links: field('.option-links').split(/\s+/).filter(Boolean),
+    bio: field('.option-bio'),
+  };
+}
+
+/**
+ * Validate poll form data, returning a list of error messages
+ */
+function validatePollForm(formData) {
+  const errors = [];
+
+  if (!formData.name) {
+    errors.push('Poll title is required');
+  }
+
+  if (formData.options.length < MIN_POLL_OPTIONS) {
+    errors.push(`At least ${MIN_POLL_OPTIONS} options are required`);
+  }
+
+  const seen = new Set();
+  formData.options.forEach((option) => {
+    const key = option.name.toLowerCase();
+    if (seen.has(key)) {
+      errors.push(`Duplicate option: ${option.name}`);
+    }
+    seen.add(key);
+
+    if (option.links.length > CANDIDATE_LINK_LIMIT) {
+      errors.push(`${option.name} can have up to ${CANDIDATE_LINK_LIMIT} links`);
+    } else if (option.links.some((link) => !SAFE_LINK_URL.test(link))) {
+      errors.push(`Links of ${option.name} must start with http:// or https://`);
+    }
+  });
+
+  if (formData.duration !== null && !(formData.duration > 0)) {
+    errors.push('Duration must be a positive number of hours');
+  }
+
+  if (formData.startTime && Number.isNaN(formData.startTime.getTime())) {
+    errors.push('Start time is not a valid date');
+  }
+
+  if (formData.maxSelections !== null && formData.ballotType !== BALLOT_TYPE.SINGLE) {
+    if (!Number.isInteger(formData.maxSelections) || formData.maxSelections < 1) {
+      errors.push('Max selections must be a whole number of at least 1');
+    } else if (formData.maxSelections > formData.options.length) {
+      errors.push('Max selections cannot exceed the number of options');
+    }
+  }
+
+  if (formData.ballotType === BALLOT_TYPE.MULTI && !formData.maxSelections) {
+    errors.push('Multiple-choice polls need a max selections limit');
+  }
+
+  errors.push(...formData.groupWeights.errors);
+
+  if (
+    formData.eligibleVoters !== null &&
+    (!Number.isInteger(formData.eligibleVoters) || formData.eligibleVoters < 1)
+  ) {
+    errors.push('Eligible voters must be a whole number of at least 1');
+  }
+
+  return errors;
+}
+
+/**
+ * Turn a duration in hours into start and end times
+ */
+function durationToSchedule(hours, startTime = new Date()) {
+  const start = new Date(startTime);
+  return {
+    startTime: start.toISOString(),
+    endTime: hours ? new Date(start.getTime() + hours * 3600000).toISOString() : null,
+  };
+}
+
+/**
+ * Render validation errors inside the poll form
+ */
+function renderPollFormErrors(errors) {
+  const errorsContainer = document.getElementById('poll-form-errors');
+  if (!errorsContainer) return;
+
+  errorsContainer.innerHTML = errors.length
+    ? `<div class="alert alert-danger"><ul>${errors
+        .map((error) => `<li>${escapeHtml(error)}</li>`)
+        .join('')}</ul></div>`
+    : '';
+}
+
+/**
+ * Handle poll form submission for both create and edit
+ */
+async function handlePollFormSubmit(event) {
+  event.preventDefault();
+
+  const formData = readPollForm();
+  const errors = validatePollForm(formData);
+  renderPollFormErrors(errors);
+  if (errors.length > 0) return;
+
+  const existingPoll = editingPollId ? getPollById(editingPollId) : null;
+  if (existingPoll) {
+    const keptIds = formData.options.map((option) => option.id);
+    const removedIds = getPollCandidates(existingPoll.id)
+      .map((candidate) => candidate.id)
+      .filter((candidateId) => !keptIds.includes(candidateId));
+    const orphaned = countVotesForOptions(existingPoll.id, removedIds);
+    if (orphaned > 0 && !window.confirm(
+      `${orphaned} votes are for options you removed. They will not be counted until you reassign them under Corrections. Save anyway?`
+    )) return;
+  }
+  const scheduleChanged = !existingPoll || !editingSchedule ||
+    document.getElementById('poll-start').value !== editingSchedule.start ||
+    document.getElementById('poll-duration').value !== editingSchedule.duration;
+  const schedule = scheduleChanged
+    ? durationToSchedule(formData.duration, formData.startTime || (existingPoll && existingPoll.startTime) || new Date())
+    : {};
+  const pollData = {
+    name: formData.name,
+    description: formData.description,
+    options: formData.options,
+    votingPolicy: formData.votingPolicy,
+    ballotType: formData.ballotType,
+    maxSelections: formData.ballotType === BALLOT_TYPE.SINGLE ? null : formData.maxSelections,
+    groupWeights: formData.groupWeights.weights,
+    eligibleVoters: formData.eligibleVoters,
+    status: getSubmittedPollStatus(existingPoll, formData.draft),
+    ...schedule,
+  };
+
+  try {
+    setState({ isLoading: true });
+
+    if (existingPoll) {
+      await updatePoll(existingPoll.id, pollData);
+      showSuccessMessage(`Poll "${formData.name}" updated successfully!`);
+    } else {
+      const created = await createPoll(pollData);
+      if (created && created.id) {
+        setState({ activePollId: created.id });
+      }
+      showSuccessMessage(`Poll "${formData.name}" created successfully!`);
+    }
+
+    closePollModal();
+    await loadInitialData();
+  } catch (error) {
+    renderPollFormErrors([`Failed to save poll: ${error.message}`]);
+  } finally {
+    setState({ isLoading: false });
+  }
+}
+
+/**
+ * Handle poll deletion after confirmation
+ */
+async function handleDeletePoll(pollId) {
+  const poll = getPollById(pollId);
+  if (!poll || !requirePermission(PERMISSION.MANAGE_POLLS)) return;
+  if (!window.confirm(`Delete poll "${poll.name}"? This cannot be undone.`)) return;
+
+  try {
+    setState({ isLoading: true });
+    await deletePoll(pollId);
+    showSuccessMessage(`Poll "${poll.name}" deleted`);
+    await loadInitialData();
+  } catch (error) {
+    updateError(`Failed to delete poll: ${error.message}`);
+  } finally {
+    setState({ isLoading: false });
+  }
+}
+
+/**
+ * Bind the poll modal, form and option controls
+ */
+function bindPollManagementEvents() {
+  const createButton = document.getElementById('create-poll-btn');
+  const form = document.getElementById('poll-form');
+  const optionsContainer = document.getElementById('options-container');
+  if (!createButton || !form || !optionsContainer) return;
+
+  createButton.addEventListener('click', () => openPollModal());
+  document.getElementById('close-modal').addEventListener('click', closePollModal);
+  document.getElementById('cancel-form').addEventListener('click', closePollModal);
+  document.getElementById('add-option-btn').addEventListener('click', () => addOptionInput());
+  form.addEventListener('submit', handlePollFormSubmit);
+
+  optionsContainer.addEventListener('click', (event) => {
+    if (event.target.classList.contains('btn-remove-option')) {
+      removeOptionInput(event.target.closest('.option-input-group'));
+    } else if (event.target.classList.contains('btn-remove-photo')) {
+      setOptionPhoto(event.target.closest('.option-input-group'), '');
+    }
+  });
+  optionsContainer.addEventListener('change', (event) => {
+    if (event.target.classList.contains('option-photo-input')) {
+      handleOptionPhotoChange(event);
+    }
+  });
+
+  // Close when clicking the backdrop
+  document.getElementById('poll-modal').addEventListener('click', (event) => {
+    if (event.target.id === 'poll-modal') {
+      closePollModal();
+    }
+  });
+
+  updateOptionInputs();
+}
+
+// ============================================================================
+// POLL LIFECYCLE
+// ============================================================================
+
+const POLL_STATUS = {
+  DRAFT: 'draft',
+  SCHEDULED: 'scheduled',
+  OPEN: 'open',
+  CLOSED: 'closed',
+  ARCHIVED: 'archived',
+};
+
+let lifecycleInterval = null;
+let lastPollStatuses = {};
+
+/**
+ * Resolve the effective status of a poll from its stored status and schedule
+ */
+function getPollStatus(poll, now = Date.now()) {
+  if (!poll) return null;
+
+  const status = poll.status;
+  if (
+    status === POLL_STATUS.DRAFT ||
+    status === POLL_STATUS.CLOSED ||
+    status === POLL_STATUS.ARCHIVED
+  ) {
+    return status;
+  }
+
+  if (poll.startTime && now < new Date(poll.startTime).getTime()) {
+    return POLL_STATUS.SCHEDULED;
+  }
+  if (poll.endTime && now >= new Date(poll.endTime).getTime()) {
+    return POLL_STATUS.CLOSED;
+  }
+  return POLL_STATUS.OPEN;
+}
+
+/**
+ * Check whether a poll currently accepts votes
+ */
+function isPollAcceptingVotes(pollId) {
+  return getPollStatus(getPollById(pollId)) === POLL_STATUS.OPEN;
+}
+
+/**
+ * Explain why a poll does not accept votes
+ */
+function getVotingUnavailableMessage(poll) {
+  switch (getPollStatus(poll)) {
+    case POLL_STATUS.DRAFT:
+      return 'This poll has not been published yet';
+    case POLL_STATUS.SCHEDULED:
+      return `Voting opens ${formatDate(poll.startTime)}`;
+    case POLL_STATUS.CLOSED:
+    case POLL_STATUS.ARCHIVED:
+      return 'Voting for this poll has closed';
+    default:
+      return 'This poll is not accepting votes';
+  }
+}
+
+/**
+ * Work out the status to store when the poll form is saved. Polls carry the
+ * status the server worked out from their schedule, so an edit only sends a
+ * draft change and otherwise leaves the stored status alone (undefined).
+ */
+function getSubmittedPollStatus(existingPoll, saveAsDraft) {
+  if (saveAsDraft) return POLL_STATUS.DRAFT;
+  if (!existingPoll || existingPoll.status === POLL_STATUS.DRAFT) return POLL_STATUS.OPEN;
+  return undefined;
+}
+
+/**
+ * Get the badge class for a poll status
+ */
+function getStatusBadgeClass(status) {
+  switch (status) {
+    case POLL_STATUS.OPEN:
+      return 'badge-success';
+    case POLL_STATUS.SCHEDULED:
+      return 'badge-warning';
+    case POLL_STATUS.CLOSED:
+      return 'badge-danger';
+    default:
+      return 'badge-primary';
+  }
+}
+
+/**
+ * Build the countdown markup for a scheduled or open poll
+ */
+function buildCountdownHtml(poll) {
+  const status = getPollStatus(poll);
+  let target = null;
+  let label = '';
+
+  if (status === POLL_STATUS.SCHEDULED) {
+    target = poll.startTime;
+    label = 'Opens in';
+  } else if (status === POLL_STATUS.OPEN && poll.endTime) {
+    target = poll.endTime;
+    label = 'Closes in';
+  }
+
+  if (!target) return '';
+
+  const remaining = new Date(target).getTime() - Date.now();
+  return `
+    <p class="poll-countdown">
+      ${label} <span class="countdown" data-countdown="${new Date(target).toISOString()}">${formatCountdown(remaining)}</span>
+    </p>
+  `;
+}
+
+/**
+ * Build the lifecycle action buttons for a poll
+ */
+function buildLifecycleActionsHtml(poll) {
+  switch (getPollStatus(poll)) {
+    case POLL_STATUS.DRAFT:
+      return `<button class="btn btn-success btn-sm" onclick="publishPoll('${poll.id}')">Publish</button>`;
+    case POLL_STATUS.SCHEDULED:
+    case POLL_STATUS.OPEN:
+      return `<button class="btn btn-secondary btn-sm" onclick="closePollNow('${poll.id}')">Close Now</button>`;
+    case POLL_STATUS.CLOSED:
+      return `<button class="btn btn-secondary btn-sm" onclick="archivePoll('${poll.id}')">Archive</button>`;
+    case POLL_STATUS.ARCHIVED:
+      return `<button class="btn btn-secondary btn-sm" onclick="restorePoll('${poll.id}')">Restore</button>`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Apply a lifecycle change to a poll and refresh the dashboard
+ */
+async function changePollLifecycle(pollId, changes, successMessage) {
+  if (!requirePermission(PERMISSION.MANAGE_POLLS)) return;
+
+  try {
+    setState({ isLoading: true });
+    await updatePoll(pollId, changes);
+    showSuccessMessage(successMessage);
+    await loadInitialData();
+  } catch (error) {
+    updateError(`Failed to update poll: ${error.message}`);
+  } finally {
+    setState({ isLoading: false });
+  }
+}
+
+/**
+ * Publish a draft poll; it opens now or at its scheduled start
+ */
+function publishPoll(pollId) {
+  const poll = getPollById(pollId);
+  if (!poll) return null;
+  return changePollLifecycle(pollId, { status: POLL_STATUS.OPEN }, `Poll "${poll.name}" published`);
+}
+
+/**
+ * Close a poll immediately
+ */
+function closePollNow(pollId) {
+  const poll = getPollById(pollId);
+  if (!poll) return null;
+  if (!window.confirm(`Close poll "${poll.name}" now? No more votes will be accepted.`)) return null;
+
+  const now = new Date().toISOString();
+  const changes = { status: POLL_STATUS.CLOSED, endTime: now };
+  // A scheduled poll closed before it opens must not end before it starts
+  if (poll.startTime && new Date(poll.startTime).getTime() > Date.now()) {
+    changes.startTime = now;
+  }
+  return changePollLifecycle(pollId, changes, `Poll "${poll.name}" closed`);
+}
+
+/**
+ * Archive a completed poll
+ */
+function archivePoll(pollId) {
+  const poll = getPollById(pollId);
+  if (!poll) return null;
+  return changePollLifecycle(pollId, { status: POLL_STATUS.ARCHIVED }, `Poll "${poll.name}" archived`);
+}
+
+/**
+ * Restore an archived poll to the completed list
+ */
+function restorePoll(pollId) {
+  const poll = getPollById(pollId);
+  if (!poll) return null;
+  return changePollLifecycle(pollId, { status: POLL_STATUS.CLOSED }, `Poll "${poll.name}" restored`);
+}
+
+/**
+ * Refresh countdowns, re-render when a poll changes status and take
+ * scheduled results snapshots
+ */
+function tickPollLifecycle() {
+  captureDueResultsSnapshots();
+
+  const statuses = {};
+  let changed = false;
+
+  state.polls.forEach((poll) => {
+    statuses[poll.id] = getPollStatus(poll);
+    if (lastPollStatuses[poll.id] && lastPollStatuses[poll.id] !== statuses[poll.id]) {
+      console.log(`Poll ${poll.id} is now ${statuses[poll.id]}`);
+      changed = true;
+    }
+  });
+  lastPollStatuses = statuses;
+
+  if (changed) {
+    renderPollsList();
+    renderVotingForm();
+    renderVoteResults();
+    renderStats();
+    return;
+  }
+
+  document.querySelectorAll('[data-countdown]').forEach((element) => {
+    element.textContent = formatCountdown(new Date(element.dataset.countdown).getTime() - Date.now());
+  });
+}
+
+/**
+ * Start the lifecycle timer
+ */
+function startLifecycleTimer() {
+  if (lifecycleInterval) return;
+  lifecycleInterval = setInterval(tickPollLifecycle, CONFIG.LIFECYCLE_TICK);
+}
+
+/**
+ * Stop the lifecycle timer
+ */
+function stopLifecycleTimer() {
+  if (lifecycleInterval) {
+    clearInterval(lifecycleInterval);
+    lifecycleInterval = null;
+  }
+}
+
+// ============================================================================
+// VOTE CORRECTIONS
+// ============================================================================
+
+const CORRECTION_LABELS = {
+  reset: 'Reset',
+  void: 'Voided votes',
+  merge: 'Merged options',
+  reassign: 'Reassigned votes',
+};
+
+const CORRECTION_VOTE_LIMIT = 50; // latest votes listed for voiding
+
+// Poll open in the corrections modal, its snapshots (undefined while loading,
+// null when they could not be loaded) and the vote filter
+let correctionSession = null;
+
+/**
+ * Every option a vote chose, including lower preferences
+ */
+function getVoteChoices(vote) {
+  return Array.from(new Set([vote.candidateId, ...(vote.selections || []), ...(vote.rankings || [])]));
+}
+
+/**
+ * Count a poll's votes that chose any of some options
+ */
+function countVotesForOptions(pollId, optionIds) {
+  return getPollVotes(pollId).filter((vote) => getVoteChoices(vote).some((id) => optionIds.includes(id))).length;
+}
+
+/**
+ * Count the votes for each option that is no longer in a poll, by option id
+ */
+function getRemovedOptionVotes(pollId) {
+  const candidateIds = getPollCandidates(pollId).map((candidate) => candidate.id);
+  const counts = {};
+  getPollVotes(pollId).forEach((vote) => {
+    getVoteChoices(vote)
+      .filter((optionId) => optionId && !candidateIds.includes(optionId))
+      .forEach((optionId) => {
+        counts[optionId] = (counts[optionId] || 0) + 1;
+      });
+  });
+  return counts;
+}
+
+/**
+ * Open the corrections modal for a poll
+ */
+async function openCorrectionsModal(pollId) {
+  const modal = document.getElementById('corrections-modal');
+  if (!modal || !getPollById(pollId) || !requirePermission(PERMISSION.MANAGE_POLLS)) return;
+
+  correctionSession = { pollId, snapshots: undefined, query: '' };
+  renderCorrections();
+  modal.classList.remove('hidden');
+  modal.classList.add('active');
+  await loadCorrectionSnapshots();
+}
+
+/**
+ * Close the corrections modal
+ */
+function closeCorrectionsModal() {
+  const modal = document.getElementById('corrections-modal');
+  if (!modal) return;
+
+  correctionSession = null;
+  modal.classList.remove('active');
+  modal.classList.add('hidden');
+}
+
+/**
+ * Load the snapshots of the poll in the corrections modal
+ */
+async function loadCorrectionSnapshots() {
+  if (!correctionSession) return;
+  const { pollId } = correctionSession;
+  const snapshots = await fetchPollSnapshots(pollId);
+  if (!correctionSession || correctionSession.pollId !== pollId) return;
+
+  correctionSession.snapshots = snapshots;
+  renderCorrections();
+}
+
+/**
+ * Render the corrections modal
+ */
+function renderCorrections() {
+  const container = document.getElementById('corrections-content');
+  if (!container || !correctionSession) return;
+
+  const { pollId } = correctionSession;
+  const poll = getPollById(pollId);
+  if (!poll) {
+    container.innerHTML = '<p class="no-data">Poll not found. It may have been deleted.</p>';
+    return;
+  }
+
+  const candidates = getPollCandidates(pollId);
+  const voteCount = getPollVotes(pollId).length;
+  const arg = escapeHtml(JSON.stringify(pollId));
+  const candidateOptions = candidates
+    .map((candidate) => `<option value="${escapeHtml(candidate.id)}">${escapeHtml(candidate.name)}</option>`)
+    .join('');
+  const removedOptions = Object.entries(getRemovedOptionVotes(pollId));
+
+  container.innerHTML = `
+    <h3>${escapeHtml(poll.name)}</h3>
+    <p class="correction-note">A snapshot is saved before each correction, so it can be undone from the history below.</p>
+
+    <div class="correction-group">
+      <h4>Reset votes</h4>
+      <p>Remove all ${voteCount} votes of this poll.</p>
+      <button type="button" class="btn btn-danger btn-sm" onclick="handleResetPoll(${arg})" ${voteCount === 0 ? 'disabled' : ''}>Reset votes</button>
+    </div>
+
+    <div class="correction-group">
+      <h4>Merge duplicate options</h4>
+      <div class="correction-options">
+        ${candidates.map((candidate) => `
+          <label>
+            <input type="checkbox" name="merge-source" value="${escapeHtml(candidate.id)}">
+            ${escapeHtml(candidate.name)} (${countVotesForOptions(pollId, [candidate.id])} votes)
+          </label>
+        `).join('')}
+      </div>
+      <label for="merge-target">Into</label>
+      <select id="merge-target">${candidateOptions}</select>
+      <button type="button" class="btn btn-secondary btn-sm" onclick="handleMergeOptions(${arg})">Merge</button>
+    </div>
+
+    ${removedOptions.length > 0 ? `
+      <div class="correction-group">
+        <h4>Votes for removed options</h4>
+        <p>These votes are not counted until they are reassigned.</p>
+        ${removedOptions.map(([optionId, count], index) => `
+          <div class="correction-row">
+            <code>${escapeHtml(optionId)}</code> &middot; ${count} votes
+            <select id="reassign-target-${index}" aria-label="Reassign to">${candidateOptions}</select>
+            <button type="button" class="btn btn-secondary btn-sm" onclick="handleReassignVotes(${arg}, ${escapeHtml(JSON.stringify(optionId))}, ${escapeHtml(JSON.stringify(`reassign-target-${index}`))})">Reassign</button>
+          </div>
+        `).join('')}
+      </div>
+    ` : ''}
+
+    <div class="correction-group">
+      <h4>Void votes</h4>
+      <input type="search" id="correction-filter" placeholder="Filter by vote, voter or device id" value="${escapeHtml(correctionSession.query)}">
+      <div id="correction-votes"></div>
+      <input type="text" id="void-reason" placeholder="Reason (recorded in the audit log)">
+      <button type="button" class="btn btn-danger btn-sm" onclick="handleVoidVotes(${arg})">Void selected</button>
+    </div>
+
+    <div class="correction-group">
+      <h4>History</h4>
+      ${buildCorrectionHistoryHtml(pollId, correctionSession.snapshots)}
+    </div>
+  `;
+  renderCorrectionVotes();
+}
+
+/**
+ * Render the votes that can be voided, newest first, matching the filter
+ */
+function renderCorrectionVotes() {
+  const container = document.getElementById('correction-votes');
+  if (!container || !correctionSession) return;
+
+  const { pollId } = correctionSession;
+  const query = correctionSession.query.trim().toLowerCase();
+  const votes = getPollVotes(pollId)
+    .filter((vote) => !query || [getVoteKey(vote), vote.voterId, vote.deviceId]
+      .some((value) => value && String(value).toLowerCase().includes(query)))
+    .slice(-CORRECTION_VOTE_LIMIT)
+    .reverse();
+
+  if (votes.length === 0) {
+    container.innerHTML = '<p class="no-data">No matching votes</p>';
+    return;
+  }
+
+  container.innerHTML = `
+    <table class="audit-table">
+      <thead><tr><th></th><th>Time</th><th>Choice</th><th>Voter</th></tr></thead>
+      <tbody>
+        ${votes.map((vote) => {
+          const candidate = getCandidateById(pollId, vote.candidateId);
+          return `
+            <tr>
+              <td><input type="checkbox" name="void-vote" value="${escapeHtml(getVoteKey(vote))}" aria-label="Void vote"></td>
+              <td>${escapeHtml(formatDate(vote.timestamp))}</td>
+              <td>${escapeHtml(candidate ? candidate.name : vote.candidateId)}</td>
+              <td>${escapeHtml(vote.voterId || vote.deviceId || 'anonymous')}</td>
+            </tr>
+          `;
+        }).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Build the list of corrections with undo buttons
+ */
+function buildCorrectionHistoryHtml(pollId, snapshots) {
+  if (snapshots === undefined) return '<p class="no-data">Loading history...</p>';
+  if (!snapshots) return '<p class="no-data">Could not load the history</p>';
+  if (snapshots.length === 0) return '<p class="no-data">No corrections yet</p>';
+
+  return `<ul class="correction-history">${snapshots.map((snapshot) => `
+    <li>
+      ${escapeHtml(CORRECTION_LABELS[snapshot.action] || snapshot.action)}
+      &middot; ${escapeHtml(formatDate(snapshot.createdAt))}
+      ${snapshot.actor ? `&middot; ${escapeHtml(snapshot.actor)}` : ''}
+      &middot; ${snapshot.voteCount} votes saved
+      ${snapshot.restoredAt
+        ? `<span class="badge badge-warning">Undone ${escapeHtml(formatDate(snapshot.restoredAt))}</span>`
+        : `<button type="button" class="btn btn-secondary btn-sm" onclick="handleUndoCorrection(${escapeHtml(JSON.stringify(pollId))}, ${escapeHtml(JSON.stringify(snapshot.id))})">Undo</button>`}
+    </li>
+  `).join('')}</ul>`;
+}
+
+/**
+ * Apply a correction, then reload the dashboard and the correction history
+ */
+async function runCorrection(pollId, action, body, describeResult) {
+  if (!requirePermission(PERMISSION.MANAGE_POLLS)) return null;
+
+  try {
+    setState({ isLoading: true });
+    const result = await requestPollCorrection(pollId, action, body);
+    showSuccessMessage(describeResult(result));
+    await loadInitialData();
+    await loadCorrectionSnapshots();
+    return result;
+  } catch (error) {
+    updateError(`Failed to correct votes: ${error.message}`);
+    return null;
+  } finally {
+    setState({ isLoading: false });
+  }
+}
+
+/**
+ * Remove every vote of a poll after confirmation
+ */
+function handleResetPoll(pollId) {
+  const poll = getPollById(pollId);
+  if (!poll) return null;
+  const count = getPollVotes(pollId).length;
+  if (!window.confirm(`Reset poll "${poll.name}"? All ${count} votes will be removed. You can undo this from the history.`)) {
+    return null;
+  }
+  return runCorrection(pollId, 'reset', {}, (result) => `Poll "${poll.name}" reset, ${result.affected} votes removed`);
+}
+
+/**
+ * Void the votes ticked in the corrections modal
+ */
+function handleVoidVotes(pollId) {
+  const voteIds = Array.from(document.querySelectorAll('#correction-votes input[name="void-vote"]:checked'))
+    .map((input) => input.value);
+  if (voteIds.length === 0) {
+    updateError('Select the votes to void');
+    return null;
+  }
+  if (!window.confirm(`Void ${voteIds.length} votes? They will no longer be counted.`)) return null;
+
+  const reason = document.getElementById('void-reason').value.trim();
+  return runCorrection(pollId, 'void', { voteIds, reason }, (result) => `${result.affected} votes voided`);
+}
+
+/**
+ * Merge the ticked options into the chosen one
+ */
+function handleMergeOptions(pollId) {
+  const targetId = document.getElementById('merge-target').value;
+  const sourceIds = Array.from(document.querySelectorAll('#corrections-content input[name="merge-source"]:checked'))
+    .map((input) => input.value)
+    .filter((optionId) => optionId !== targetId);
+  const target = getCandidateById(pollId, targetId);
+  if (!target || sourceIds.length === 0) {
+    updateError('Tick the duplicate options and choose the option to keep');
+    return null;
+  }
+
+  const names = sourceIds.map((optionId) => getCandidateById(pollId, optionId).name).join(', ');
+  if (!window.confirm(`Merge ${names} into ${target.name}? Their votes move to ${target.name} and the options are removed.`)) {
+    return null;
+  }
+  return runCorrection(pollId, 'merge', { sourceIds, targetId }, (result) => `Options merged, ${result.affected} votes moved to ${target.name}`);
+}
+
+/**
+ * Move the votes of a removed option to the option chosen for it
+ */
+function handleReassignVotes(pollId, fromOptionId, selectId) {
+  const toOptionId = document.getElementById(selectId).value;
+  const target = getCandidateById(pollId, toOptionId);
+  if (!target) return null;
+  return runCorrection(pollId, 'reassign', { fromOptionId, toOptionId }, (result) => `${result.affected} votes reassigned to ${target.name}`);
+}
+
+/**
+ * Undo a correction from its snapshot after confirmation
+ */
+function handleUndoCorrection(pollId, snapshotId) {
+  if (!window.confirm('Undo this correction? The options and votes saved before it are restored; votes cast since are kept.')) {
+    return null;
+  }
+  return runCorrection(pollId, 'undo', { snapshotId }, (result) => `Correction undone, ${result.affected} votes restored`);
+}
+
+/**
+ * Bind the corrections modal controls
+ */
+function bindCorrectionEvents() {
+  const modal = document.getElementById('corrections-modal');
+  if (!modal) return;
+
+  document.getElementById('close-corrections-modal').addEventListener('click', closeCorrectionsModal);
+  modal.addEventListener('input', (event) => {
+    if (event.target.id === 'correction-filter' && correctionSession) {
+      correctionSession.query = event.target.value;
+      renderCorrectionVotes();
+    }
+  });
+  modal.addEventListener('click', (event) => {
+    if (event.target.id === 'corrections-modal') {
+      closeCorrectionsModal();
+    }
+  });
+}
+
+// ============================================================================
+// SEARCH & FILTERS
+// ============================================================================
+
+const POLL_SORT = {
+  NEWEST: 'newest',
+  VOTES: 'votes',
+  ENDING_SOON: 'ending',
+};
+
+// Statuses shown by each #result-filter option
+const STATUS_FILTERS = {
+  all: null,
+  active: [POLL_STATUS.OPEN],
+  upcoming: [POLL_STATUS.DRAFT, POLL_STATUS.SCHEDULED],
+  completed: [POLL_STATUS.CLOSED],
+  archived: [POLL_STATUS.ARCHIVED],
+};
+
+const DEFAULT_POLL_FILTERS = {
+  query: '',
+  status: 'all',
+  from: '', // yyyy-mm-dd
+  to: '',
+  sort: POLL_SORT.NEWEST,
+};
+
+// Filter state -> URL query parameter
+const FILTER_PARAMS = {
+  query: 'q',
+  status: 'status',
+  from: 'from',
+  to: 'to',
+  sort: 'sort',
+};
+
+const SEARCH_DEBOUNCE = 300; // ms after the last keystroke
+
+const pollFilters = { ...DEFAULT_POLL_FILTERS };
+
+/**
+ * Lower-case text and strip accents, so "lan song" matches "Làn Sóng"
+ */
+function normalizeSearchText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/gi, 'd')
+    .toLowerCase();
+}
+
+/**
+ * Check whether a poll's title, description or option names contain every search word
+ */
+function matchesPollSearch(poll, query) {
+  const words = normalizeSearchText(query).split(/\s+/).filter(Boolean);
+  if (words.length === 0) return true;
+
+  const text = normalizeSearchText(
+    [poll.name, poll.description, ...getPollCandidates(poll.id).map((candidate) => candidate.name)].join(' ')
+  );
+  return words.every((word) => text.includes(word));
+}
+
+/**
+ * Check whether a poll runs at some point between two dates (inclusive days)
+ */
+function matchesPollDates(poll, from, to) {
+  const start = poll.startTime ? new Date(poll.startTime).getTime() : -Infinity;
+  const end = poll.endTime ? new Date(poll.endTime).getTime() : Infinity;
+  const rangeStart = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+  const rangeEnd = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+  return start <= rangeEnd && end >= rangeStart;
+}
+
+/**
+ * Check whether a poll passes search, status and date filters
+ */
+function matchesPollFilters(poll, filters = pollFilters) {
+  if (!poll) return false;
+
+  const statuses = STATUS_FILTERS[filters.status];
+  return (
+    (!statuses || statuses.includes(getPollStatus(poll))) &&
+    matchesPollDates(poll, filters.from, filters.to) &&
+    matchesPollSearch(poll, filters.query)
+  );
+}
+
+/**
+ * Sort polls by votes, newest first or soonest ending first
+ */
+function sortPolls(polls, sort = pollFilters.sort) {
+  const time = (value, fallback) => (value ? new Date(value).getTime() : fallback);
+  const now = Date.now();
+  // Polls still to end come first, in order; ended and open-ended polls after
+  const endingKey = (poll) => {
+    const end = time(poll.endTime, Infinity);
+    return end > now ? end : Infinity;
+  };
+
+  return [...polls].sort((a, b) => {
+    switch (sort) {
+      case POLL_SORT.VOTES:
+        return getPollVotes(b.id).length - getPollVotes(a.id).length;
+      case POLL_SORT.ENDING_SOON:
+        return endingKey(a) - endingKey(b) || time(b.createdAt || b.startTime, 0) - time(a.createdAt || a.startTime, 0);
+      default:
+        return time(b.createdAt || b.startTime, 0) - time(a.createdAt || a.startTime, 0);
+    }
+  });
+}
+
+/**
+ * Get the polls matching the current filters, sorted.
+ * The polls list only applies the search, the results apply every filter.
+ */
+function getFilteredPolls(filters = pollFilters) {
+  return sortPolls(state.polls.filter((poll) => matchesPollFilters(poll, filters)), filters.sort);
+}
+
+/**
+ * Check whether any filter differs from its default
+ */
+function hasActiveFilters(filters = pollFilters) {
+  return Object.keys(DEFAULT_POLL_FILTERS).some((key) => filters[key] !== DEFAULT_POLL_FILTERS[key]);
+}
+
+/**
+ * Read filters from the URL query string
+ */
+function readFiltersFromUrl(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const filters = { ...DEFAULT_POLL_FILTERS };
+  Object.entries(FILTER_PARAMS).forEach(([key, param]) => {
+    if (params.has(param)) filters[key] = params.get(param);
+  });
+
+  if (!(filters.status in STATUS_FILTERS)) filters.status = DEFAULT_POLL_FILTERS.status;
+  if (!Object.values(POLL_SORT).includes(filters.sort)) filters.sort = DEFAULT_POLL_FILTERS.sort;
+  return filters;
+}
+
+/**
+ * Write the current filters to the URL query string, leaving out defaults
+ */
+function syncFiltersToUrl() {
+  const params = new URLSearchParams(window.location.search);
+  Object.entries(FILTER_PARAMS).forEach(([key, param]) => {
+    if (pollFilters[key] && pollFilters[key] !== DEFAULT_POLL_FILTERS[key]) {
+      params.set(param, pollFilters[key]);
+    } else {
+      params.delete(param);
+    }
+  });
+
+  const query = params.toString();
+  const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+  window.history.replaceState(window.history.state, '', url);
+}
+
+/**
+ * Update filters, then re-render the filtered views and the URL
+ */
+function setPollFilters(changes) {
+  Object.assign(pollFilters, changes);
+  syncFiltersToUrl();
+  renderPollsList();
+  renderVoteResults();
+}
+
+/**
+ * Show the current filters in their controls
+ */
+function renderFilterControls() {
+  const values = {
+    'search-polls': pollFilters.query,
+    'result-filter': pollFilters.status,
+    'filter-from': pollFilters.from,
+    'filter-to': pollFilters.to,
+    'sort-polls': pollFilters.sort,
+  };
+  Object.entries(values).forEach(([elementId, value]) => {
+    const element = document.getElementById(elementId);
+    if (element) element.value = value;
+  });
+}
+
+/**
+ * Load filters from the URL and wire up the search, filter and sort controls
+ */
+function bindFilterEvents() {
+  Object.assign(pollFilters, readFiltersFromUrl());
+  renderFilterControls();
+
+  const searchInput = document.getElementById('search-polls');
+  if (searchInput) {
+    const search = debounce(() => setPollFilters({ query: searchInput.value.trim() }), SEARCH_DEBOUNCE);
+    searchInput.addEventListener('input', search);
+  }
+
+  [
+    ['result-filter', 'status'],
+    ['filter-from', 'from'],
+    ['filter-to', 'to'],
+    ['sort-polls', 'sort'],
+  ].forEach(([elementId, key]) => {
+    const element = document.getElementById(elementId);
+    if (element) {
+      element.addEventListener('change', () => setPollFilters({ [key]: element.value }));
+    }
+  });
+
+  const resetButton = document.getElementById('reset-filters');
+  if (resetButton) {
+    resetButton.addEventListener('click', () => {
+      setPollFilters(DEFAULT_POLL_FILTERS);
+      renderFilterControls();
+    });
+  }
+}
+
+// ============================================================================
+// OFFLINE VOTE QUEUE
+// ============================================================================
+
+let outboxInterval = null;
+let outboxFlushing = false;
+
+/**
+ * Build a vote for the outbox with its own idempotency key
+ */
+function createQueuedVote(pollId, ballot, identity = {}) {
+  return {
+    idempotencyKey: generateIdempotencyKey(),
+    pollId,
+    candidateId: ballot.candidateId,
+    selections: ballot.selections,
+    rankings: ballot.rankings,
+    deviceId: identity.deviceId,
+    timestamp: new Date().toISOString(),
+    attempts: 0,
+  };
+}
+
+/**
+ * Load queued votes from localStorage
+ */
+function loadVoteOutbox() {
+  try {
+    const stored = localStorage.getItem(CONFIG.OUTBOX_STORAGE_KEY);
+    setState({ outbox: stored ? JSON.parse(stored) : [] });
+  } catch (error) {
+    console.error('Error loading offline votes:', error);
+    setState({ outbox: [] });
+  }
+}
+
+/**
+ * Persist queued votes to localStorage
+ */
+function saveVoteOutbox() {
+  try {
+    localStorage.setItem(CONFIG.OUTBOX_STORAGE_KEY, JSON.stringify(state.outbox));
+  } catch (error) {
+    console.error('Error saving offline votes:', error);
+  }
+}
+
+/**
+ * Add a vote to the outbox and schedule a replay
+ */
+function enqueueVote(vote) {
+  if (state.outbox.some((queued) => queued.idempotencyKey === vote.idempotencyKey)) return;
+
+  setState({ outbox: [...state.outbox, vote] });
+  saveVoteOutbox();
+  startOutboxTimer();
+  renderStats();
+}
+
+/**
+ * Remove a vote from the outbox
+ */
+function dequeueVote(idempotencyKey) {
+  setState({
+    outbox: state.outbox.filter((vote) => vote.idempotencyKey !== idempotencyKey),
+  });
+  saveVoteOutbox();
+}
+
+/**
+ * Replay queued votes in order; stops at the first network failure
+ */
+async function flushVoteOutbox() {
+  if (outboxFlushing || state.outbox.length === 0 || isOffline()) return;
+
+  outboxFlushing = true;
+  let sent = 0;
+  const rejected = [];
+
+  try {
+    for (const vote of [...state.outbox]) {
+      try {
+        await submitVote(vote.pollId, vote.candidateId, { ...vote, silent: true });
+        dequeueVote(vote.idempotencyKey);
+        sent += 1;
+      } catch (error) {
+        if (isNetworkError(error)) {
+          vote.attempts += 1;
+          vote.lastError = error.message;
+          saveVoteOutbox();
+          break;
+        }
+        // The server refused the vote (e.g. poll closed); retrying won't help.
+        // Unless it was a repeat, this browser no longer counts as having voted.
+        dequeueVote(vote.idempotencyKey);
+        if (!isAlreadyVotedError(error)) forgetRecordedVote(vote.pollId);
+        const poll = getPollById(vote.pollId);
+        rejected.push(`${getBallotLabel(vote.pollId, vote)}${poll ? ` in "${poll.name}"` : ''}: ${error.message}`);
+      }
+    }
+  } finally {
+    outboxFlushing = false;
+  }
+
+  if (state.outbox.length === 0) {
+    stopOutboxTimer();
+  }
+  if (sent > 0) {
+    showSuccessMessage(`${sent} offline vote${sent === 1 ? '' : 's'} sent successfully!`);
+    await syncAllPollVotes();
+  }
+  if (rejected.length > 0) {
+    updateError(`${rejected.length} offline vote(s) were refused and not counted. ${rejected.join('; ')}`);
+    renderVotingForm();
+  }
+  renderStats();
+}
+
+/**
+ * Retry the outbox periodically while votes are pending
+ */
+function startOutboxTimer() {
+  if (outboxInterval) return;
+  outboxInterval = setInterval(flushVoteOutbox, CONFIG.OUTBOX_RETRY_INTERVAL);
+}
+
+/**
+ * Stop retrying the outbox
+ */
+function stopOutboxTimer() {
+  if (outboxInterval) {
+    clearInterval(outboxInterval);
+    outboxInterval = null;
+  }
+}
+
+/**
+ * Check whether the browser reports being offline
+ */
+function isOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+/**
+ * Check whether an error came from the network rather than the server
+ */
+function isNetworkError(error) {
+  return error.status === undefined || error.status >= 500;
+}
+
+/**
+ * Check whether the server rejected a vote as already recorded
+ */
+function isDuplicateVoteError(error) {
+  return error.status === 409 && error.code === 'DUPLICATE_VOTE';
+}
+
+// ============================================================================
+// AUTHENTICATION & ROLES
+// ============================================================================
+
+const ROLE = {
+  VIEWER: 'viewer',
+  VOTER: 'voter',
+  MANAGER: 'manager',
+  ADMIN: 'admin',
+};
+
+// Least to most privileged; each role can do everything the ones before it can
+const ROLE_ORDER = [ROLE.VIEWER, ROLE.VOTER, ROLE.MANAGER, ROLE.ADMIN];
+
+const ROLE_LABELS = {
+  viewer: 'Viewer',
+  voter: 'Voter',
+  manager: 'Poll manager',
+  admin: 'Admin',
+};
+
+const PERMISSION = {
+  VOTE: 'vote',
+  MANAGE_POLLS: 'manage_polls',
+  IMPORT_VOTES: 'import_votes',
+  EXPORT_DATA: 'export_data',
+  REVIEW_VOTES: 'review_votes',
+  VIEW_AUDIT: 'view_audit',
+};
+
+// Lowest role granted each permission
+const PERMISSION_ROLES = {
+  vote: ROLE.VOTER,
+  manage_polls: ROLE.MANAGER,
+  import_votes: ROLE.MANAGER,
+  export_data: ROLE.MANAGER,
+  review_votes: ROLE.ADMIN,
+  view_audit: ROLE.ADMIN,
+};
+
+let tokenRefreshTimer = null;
+let refreshPromise = null;
+
+/**
+ * Get the role of the signed-in user, or of anonymous visitors
+ */
+function getCurrentRole() {
+  if (state.session) return state.session.user.role;
+  return state.anonymousRole || CONFIG.ANONYMOUS_ROLE;
+}
+
+/**
+ * Whether a role (the current one by default) grants a permission
+ */
+function hasPermission(permission, role = getCurrentRole()) {
+  return ROLE_ORDER.indexOf(role) >= ROLE_ORDER.indexOf(PERMISSION_ROLES[permission]);
+}
+
+/**
+ * Check a permission before an action, asking to sign in or explaining
+ * why it is not allowed. Returns whether the action may go ahead.
+ */
+function requirePermission(permission) {
+  if (hasPermission(permission)) return true;
+
+  if (state.session) {
+    updateError(`Your role (${ROLE_LABELS[getCurrentRole()]}) does not allow this action`);
+  } else {
+    openLoginModal('Please sign in to continue');
+  }
+  return false;
+}
+
+/**
+ * Load the saved session from localStorage
+ */
+function loadSession() {
+  try {
+    const stored = localStorage.getItem(CONFIG.AUTH_STORAGE_KEY);
+    setState({ session: stored ? JSON.parse(stored) : null });
+  } catch (error) {
+    console.error('Error loading session:', error);
+    setState({ session: null });
+  }
+  scheduleTokenRefresh();
+}
+
+/**
+ * Persist the session to localStorage
+ */
+function saveSession() {
+  try {
+    if (state.session) {
+      localStorage.setItem(CONFIG.AUTH_STORAGE_KEY, JSON.stringify(state.session));
+    } else {
+      localStorage.removeItem(CONFIG.AUTH_STORAGE_KEY);
+    }
+  } catch (error) {
+    console.error('Error saving session:', error);
+  }
+}
+
+/**
+ * Start (or renew) a session from a login or refresh response
+ */
+function startSession({ accessToken, refreshToken, expiresIn, user }) {
+  const previousRole = getCurrentRole();
+  setState({
+    session: { accessToken, refreshToken, expiresAt: Date.now() + expiresIn * 1000, user },
+  });
+  saveSession();
+  scheduleTokenRefresh();
+  renderAuthControls();
+  if (getCurrentRole() !== previousRole) handleRoleChange();
+}
+
+/**
+ * Forget the session and its tokens
+ */
+function clearSession() {
+  const previousRole = getCurrentRole();
+  stopTokenRefresh();
+  setState({ session: null });
+  saveSession();
+  renderAuthControls();
+  if (getCurrentRole() !== previousRole) handleRoleChange();
+}
+
+/**
+ * Swap the refresh token for new tokens. Concurrent callers share one request.
+ * Resolves to whether the session is still valid.
+ */
+function refreshSession() {
+  if (!state.session) return Promise.resolve(false);
+  if (!refreshPromise) {
+    refreshPromise = requestTokenRefresh(state.session.refreshToken)
+      .then((data) => {
+        startSession(data);
+        return true;
+      })
+      .catch((error) => {
+        console.warn('Token refresh failed:', error);
+        return false;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+}
+
+/**
+ * Refresh the access token shortly before it expires
+ */
+function scheduleTokenRefresh() {
+  stopTokenRefresh();
+  if (!state.session) return;
+
+  const delay = Math.max(0, state.session.expiresAt - Date.now() - CONFIG.TOKEN_REFRESH_MARGIN);
+  tokenRefreshTimer = setTimeout(async () => {
+    tokenRefreshTimer = null;
+    if (!(await refreshSession())) handleUnauthorized();
+  }, delay);
+}
+
+/**
+ * Stop the token refresh timer
+ */
+function stopTokenRefresh() {
+  if (tokenRefreshTimer) {
+    clearTimeout(tokenRefreshTimer);
+    tokenRefreshTimer = null;
+  }
+}
+
+/**
+ * Handle a request the API refused for lack of a valid session
+ */
+function handleUnauthorized() {
+  const expired = Boolean(state.session);
+  if (expired) clearSession();
+  openLoginModal(expired ? 'Your session has expired. Please sign in again.' : 'Please sign in to continue');
+}
+
+/**
+ * Ask the API who we are and which role anonymous visitors get
+ */
+async function loadCurrentUser() {
+  const data = await fetchCurrentUser();
+  if (!data) return;
+
+  const previousRole = getCurrentRole();
+  if (data.anonymousRole) setState({ anonymousRole: data.anonymousRole });
+  if (data.user && state.session) {
+    setState({ session: { ...state.session, user: data.user } });
+    saveSession();
+  }
+  renderAuthControls();
+  if (getCurrentRole() !== previousRole) handleRoleChange();
+}
+
+/**
+ * Show or hide the static controls marked with data-permission
+ */
+function applyPermissions() {
+  document.querySelectorAll('[data-permission]').forEach((element) => {
+    element.classList.toggle('hidden', !hasPermission(element.dataset.permission));
+  });
+}
+
+/**
+ * Re-render everything that depends on the current role and fetch the votes again
+ */
+function handleRoleChange() {
+  // Only admins receive voter, IP and device fields, so the votes are
+  // fetched again from scratch for the new role
+  setState({ votes: {}, syncCursors: {} });
+  invalidateCache();
+  updateTotalVotes();
+  reloadPollsSoon();
+
+  applyPermissions();
+  renderPollsList();
+  renderVotingForm();
+  renderVoteResults();
+  renderPollDetail();
+  renderReviewPanel();
+  renderAuditLog();
+}
+
+/**
+ * Render the sign-in button or the signed-in user
+ */
+function renderAuthControls() {
+  const container = document.getElementById('auth-controls');
+  if (!container) return;
+
+  container.innerHTML = state.session
+    ? `
+      <span class="auth-user">${escapeHtml(state.session.user.username)} &middot; ${escapeHtml(ROLE_LABELS[state.session.user.role] || state.session.user.role)}</span>
+      <button type="button" class="btn btn-secondary btn-sm" onclick="handleLogout()">Sign out</button>
+    `
+    : '<button type="button" class="btn btn-secondary btn-sm" onclick="openLoginModal()">Sign in</button>';
+}
+
+/**
+ * Open the login modal, optionally explaining why
+ */
+function openLoginModal(message = '') {
+  const modal = document.getElementById('login-modal');
+  if (!modal) return;
+
+  document.getElementById('login-form').reset();
+  document.getElementById('login-message').textContent = message;
+  document.getElementById('login-error').innerHTML = '';
+
+  modal.classList.remove('hidden');
+  modal.classList.add('active');
+  document.getElementById('login-username').focus();
+}
+
+/**
+ * Close the login modal
+ */
+function closeLoginModal() {
+  const modal = document.getElementById('login-modal');
+  if (!modal) return;
+
+  modal.classList.remove('active');
+  modal.classList.add('hidden');
+}
+
+/**
+ * Sign in with the login form's credentials
+ */
+async function handleLoginSubmit(event) {
+  event.preventDefault();
+
+  const username = document.getElementById('login-username').value.trim();
+  const password = document.getElementById('login-password').value;
+  const errorContainer = document.getElementById('login-error');
+
+  try {
+    const data = await requestLogin(username, password);
+    startSession(data);
+    closeLoginModal();
+    showSuccessMessage(`Signed in as ${data.user.username}`);
+  } catch (error) {
+    errorContainer.innerHTML = `<div class="alert alert-danger">${escapeHtml(
+      error.code === 'INVALID_CREDENTIALS' ? 'Invalid username or password' : `Sign in failed: ${error.message}`
+    )}</div>`;
+  }
+}
+
+/**
+ * Sign out, revoking the tokens on the server when it is reachable
+ */
+async function handleLogout() {
+  const { session } = state;
+  if (!session) return;
+
+  clearSession();
+  await requestLogout(session);
+  showSuccessMessage('Signed out');
+}
+
+/**
+ * Bind the login modal
+ */
+function bindAuthEvents() {
+  const form = document.getElementById('login-form');
+  if (!form) return;
+
+  form.addEventListener('submit', handleLoginSubmit);
+  document.getElementById('close-login-modal').addEventListener('click', closeLoginModal);
+  document.getElementById('login-modal').addEventListener('click', (event) => {
+    if (event.target.id === 'login-modal') {
+      closeLoginModal();
+    }
+  });
+}
+
+// ============================================================================
+// VOTER IDENTITY & DUPLICATE PREVENTION
+// ============================================================================
+
+const VOTING_POLICY = {
+  PER_VOTER: 'per_voter', // one vote per signed-in account
+  PER_DEVICE: 'per_device', // one vote per browser/device
+  UNLIMITED: 'unlimited',
+};
+
+const DEFAULT_VOTER_GROUP = 'public';
+
+/**
+ * Get the voting policy of a poll
+ */
+function getVotingPolicy(poll) {
+  return (poll && poll.votingPolicy) || VOTING_POLICY.UNLIMITED;
+}
+
+/**
+ * Describe a voting policy for voters
+ */
+function getVotingPolicyLabel(policy) {
+  switch (policy) {
+    case VOTING_POLICY.PER_VOTER:
+      return 'One vote per voter';
+    case VOTING_POLICY.PER_DEVICE:
+      return 'One vote per device';
+    default:
+      return 'Unlimited voting';
+  }
+}
+
+/**
+ * Read the votes this browser has cast, keyed by getVotedPollKey
+ */
+function getVotedPolls() {
+  try {
+    return JSON.parse(localStorage.getItem(CONFIG.VOTED_POLLS_STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Key of this browser's record of a vote in a poll. Polls with one vote per
+ * voter keep a record per account, so voters can take turns on a shared
+ * device; returns null when nobody is signed in.
+ */
+function getVotedPollKey(pollId) {
+  if (getVotingPolicy(getPollById(pollId)) !== VOTING_POLICY.PER_VOTER) return pollId;
+  const voterId = getVoterId();
+  return voterId ? `${pollId}|${hashVoterId(voterId)}` : null;
+}
+
+/**
+ * Short FNV-1a hash of a voter ID, so the records left on a shared device
+ * do not list who voted in which poll
+ */
+function hashVoterId(voterId) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < voterId.length; i += 1) {
+    hash = Math.imul(hash ^ voterId.charCodeAt(i), 0x01000193) >>> 0;
+  }
+  return hash.toString(16);
+}
+
+/**
+ * Get the vote this browser (or its current voter) cast in a poll, if any
+ */
+function getRecordedVote(pollId) {
+  const key = getVotedPollKey(pollId);
+  return key ? getVotedPolls()[key] || null : null;
+}
+
+/**
+ * Remember that this browser (or its current voter) voted in a poll
+ */
+function recordVote(pollId, candidateId, serverVote = null) {
+  const key = getVotedPollKey(pollId);
+  if (!key) return;
+
+  const votedPolls = getVotedPolls();
+  votedPolls[key] = {
+    candidateId: (serverVote && serverVote.candidateId) || candidateId,
+    timestamp: (serverVote && serverVote.timestamp) || new Date().toISOString(),
+  };
+
+  try {
+    localStorage.setItem(CONFIG.VOTED_POLLS_STORAGE_KEY, JSON.stringify(votedPolls));
+  } catch (error) {
+    console.error('Error saving voted polls:', error);
+  }
+}
+
+/**
+ * Forget this browser's (or its current voter's) vote in a poll, e.g. after
+ * the server refused a queued one
+ */
+function forgetRecordedVote(pollId) {
+  const key = getVotedPollKey(pollId);
+  if (!key) return;
+
+  const votedPolls = getVotedPolls();
+  delete votedPolls[key];
+  try {
+    localStorage.setItem(CONFIG.VOTED_POLLS_STORAGE_KEY, JSON.stringify(votedPolls));
+  } catch (error) {
+    console.error('Error saving voted polls:', error);
+  }
+}
+
+/**
+ * Check whether the poll's policy forbids this browser from voting again
+ */
+function hasAlreadyVoted(pollId) {
+  const policy = getVotingPolicy(getPollById(pollId));
+  return policy !== VOTING_POLICY.UNLIMITED && Boolean(getRecordedVote(pollId));
+}
+
+/**
+ * Get the voter ID of one-vote-per-voter polls: the signed-in account, which
+ * the server takes from the access token
+ */
+function getVoterId() {
+  return state.session ? state.session.user.username : null;
+}
+
+/**
+ * Get this browser's device ID, a random ID made on first use and kept in
+ * localStorage, so identical machines in a lab or kiosk fleet differ
+ */
+function getDeviceId() {
+  let deviceId = null;
+  try {
+    deviceId = localStorage.getItem(CONFIG.DEVICE_ID_STORAGE_KEY);
+  } catch (error) {
+    // Storage unavailable; a new ID is used for this vote
+  }
+
+  if (!deviceId) {
+    deviceId = `dev_${generateIdempotencyKey().replace(/-/g, '')}`;
+    try {
+      localStorage.setItem(CONFIG.DEVICE_ID_STORAGE_KEY, deviceId);
+    } catch (error) {
+      console.error('Error saving device ID:', error);
+    }
+  }
+  return deviceId;
+}
+
+/**
+ * Build the identity sent with a vote, as required by the poll's policy.
+ * Returns null when the poll needs a signed-in voter and nobody is.
+ */
+async function getVoterIdentity(pollId) {
+  const policy = getVotingPolicy(getPollById(pollId));
+  if (policy === VOTING_POLICY.PER_VOTER && !getVoterId()) return null;
+
+  return {
+    deviceId: getDeviceId(),
+  };
+}
+
+/**
+ * Get the per-group weights of a poll, e.g. { jury: 50, public: 50 },
+ * or null when every vote counts alike
+ */
+function getGroupWeights(poll) {
+  const weights = poll && poll.groupWeights;
+  return weights && Object.keys(weights).length > 0 ? weights : null;
+}
+
+/**
+ * Get the group the current user's votes count in for a poll. The server
+ * assigns it from the signed-in account (e.g. a jury login); everyone else
+ * votes in the public group.
+ */
+function getVoterGroup(poll) {
+  if (!getGroupWeights(poll)) return undefined;
+  const group = state.session && state.session.user.group;
+  return group && group in poll.groupWeights ? group : DEFAULT_VOTER_GROUP;
+}
+
+/**
+ * Format a voter group name for display
+ */
+function formatGroupName(group) {
+  return group.charAt(0).toUpperCase() + group.slice(1);
+}
+
+/**
+ * Parse group weights written as "jury: 50, public: 50"
+ * Returns { weights, errors }; weights is null for an empty setting.
+ */
+function parseGroupWeights(text) {
+  const errors = [];
+  const weights = {};
+
+  text.split(',').map((entry) => entry.trim()).filter(Boolean).forEach((entry) => {
+    const [name, value] = entry.split(':').map((part) => part.trim());
+    const weight = Number(value);
+    if (!name || value === undefined || !Number.isFinite(weight) || weight <= 0) {
+      errors.push(`Invalid group weight: ${entry}`);
+      return;
+    }
+    weights[name.toLowerCase()] = weight;
+  });
+
+  return { weights: Object.keys(weights).length > 0 ? weights : null, errors };
+}
+
+/**
+ * Write group weights back in the "jury: 50, public: 50" form
+ */
+function formatGroupWeights(weights) {
+  return Object.entries(weights || {})
+    .map(([group, weight]) => `${group}: ${weight}`)
+    .join(', ');
+}
+
+/**
+ * Check whether the server rejected a vote because the voter already voted
+ */
+function isAlreadyVotedError(error) {
+  return error.status === 409 && error.code === 'ALREADY_VOTED';
+}
+
+// ============================================================================
+// BALLOT TYPES
+// ============================================================================
+
+const BALLOT_TYPE = {
+  SINGLE: 'single', // one option per ballot
+  MULTI: 'multi', // several options, up to maxSelections
+  APPROVAL: 'approval', // every option the voter approves of
+  RANKED: 'ranked', // options in order of preference, tallied by instant runoff
+};
+
+/**
+ * Get the ballot type of a poll
+ */
+function getBallotType(poll) {
+  return (poll && poll.ballotType) || BALLOT_TYPE.SINGLE;
+}
+
+/**
+ * Describe a ballot type for voters
+ */
+function getBallotTypeLabel(ballotType) {
+  switch (ballotType) {
+    case BALLOT_TYPE.MULTI:
+      return 'Multiple choice';
+    case BALLOT_TYPE.APPROVAL:
+      return 'Approval voting';
+    case BALLOT_TYPE.RANKED:
+      return 'Ranked choice';
+    default:
+      return 'Single choice';
+  }
+}
+
+/**
+ * Get how many options a ballot may select or rank, or 0 for no limit
+ */
+function getMaxSelections(poll) {
+  const maxSelections = Number(poll && poll.maxSelections) || 0;
+  return getBallotType(poll) === BALLOT_TYPE.SINGLE ? 1 : maxSelections;
+}
+
+/**
+ * Read the ballot filled in on the voting form
+ */
+function readBallot(pollId) {
+  const poll = getPollById(pollId);
+  const form = document.querySelector(`#voting-form .ballot-form[data-poll-id="${pollId}"]`);
+  if (!form) return { candidateId: null };
+
+  if (getBallotType(poll) === BALLOT_TYPE.RANKED) {
+    const maxSelections = getMaxSelections(poll);
+    const ranked = Array.from(form.querySelectorAll('.ranking-item')).map(
+      (item) => item.dataset.candidateId
+    );
+    const rankings = maxSelections ? ranked.slice(0, maxSelections) : ranked;
+    return { candidateId: rankings[0], rankings };
+  }
+
+  const selections = Array.from(
+    form.querySelectorAll('input[name="ballot-selection"]:checked')
+  ).map((input) => input.value);
+  return { candidateId: selections[0], selections };
+}
+
+/**
+ * Validate a ballot against its poll, returning an error message or null
+ */
+function validateBallot(poll, ballot) {
+  if (!poll) return 'Poll not found';
+
+  const ballotType = getBallotType(poll);
+  const choices = ballot.rankings || ballot.selections || [ballot.candidateId];
+  const maxSelections = getMaxSelections(poll);
+
+  if (choices.length === 0 || !choices[0]) {
+    return ballotType === BALLOT_TYPE.RANKED ? 'Rank at least one option' : 'Select at least one option';
+  }
+  if (choices.some((candidateId) => !getCandidateById(poll.id, candidateId))) {
+    return 'Your ballot contains an unknown option';
+  }
+  if (new Set(choices).size !== choices.length) {
+    return 'Each option can only be chosen once';
+  }
+  if (maxSelections && choices.length > maxSelections) {
+    return `Select at most ${maxSelections} option(s)`;
+  }
+
+  return null;
+}
+
+// ============================================================================
+// CANDIDATE PROFILES
+// ============================================================================
+
+const CANDIDATE_IMAGE_SIZE = 320; // longest side of resized photos, in pixels
+const CANDIDATE_IMAGE_QUALITY = 0.82; // JPEG quality of resized photos
+const CANDIDATE_IMAGE_MAX_FILE_SIZE = 10 * 1024 * 1024; // larger files are refused before decoding
+const CANDIDATE_LINK_LIMIT = 5;
+const CANDIDATE_BIO_MAX_LENGTH = 2000;
+
+// Photos are inline data URLs or http(s) links; links must be http(s)
+const SAFE_IMAGE_URL = /^(data:image\/(png|jpeg|webp|gif);base64,[a-z0-9+/=]+|https?:\/\/\S+)$/i;
+const SAFE_LINK_URL = /^https?:\/\/\S+$/i;
+
+// Candidate shown in the profile modal
+let profileCandidate = null;
+
+/**
+ * Get a candidate photo URL when it is safe to render, otherwise ''
+ */
+function getSafeImageUrl(url) {
+  return typeof url === 'string' && SAFE_IMAGE_URL.test(url) ? url : '';
+}
+
+/**
+ * Get the http(s) links of a candidate
+ */
+function getCandidateLinks(candidate) {
+  return (Array.isArray(candidate.links) ? candidate.links : [])
+    .filter((link) => typeof link === 'string' && SAFE_LINK_URL.test(link))
+    .slice(0, CANDIDATE_LINK_LIMIT);
+}
+
+/**
+ * Label a link by its host name
+ */
+function getLinkLabel(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Whether a candidate has more to show than its name and description
+ */
+function hasCandidateProfile(candidate) {
+  return Boolean(
+    getSafeImageUrl(candidate.image) ||
+    candidate.category ||
+    candidate.team ||
+    candidate.bio ||
+    getCandidateLinks(candidate).length > 0
+  );
+}
+
+/**
+ * Build a candidate's photo, loaded when it scrolls into view
+ */
+function buildCandidatePhotoHtml(candidate, className = 'candidate-photo') {
+  const image = getSafeImageUrl(candidate.image);
+  if (!image) return '';
+  return `<img class="${className}" src="${escapeHtml(image)}" alt="${escapeHtml(candidate.name)}" loading="lazy" decoding="async">`;
+}
+
+/**
+ * Build a candidate's category and team or school
+ */
+function buildCandidateMetaHtml(candidate) {
+  const labels = [candidate.category, candidate.team].filter(Boolean);
+  if (labels.length === 0) return '';
+  return `<p class="candidate-meta">${labels.map((label) => `<span>${escapeHtml(label)}</span>`).join('')}</p>`;
+}
+
+/**
+ * Build the button that opens a candidate's profile
+ */
+function buildProfileButtonHtml(pollId, candidate, label = 'Profile') {
+  const args = [pollId, candidate.id].map((arg) => escapeHtml(JSON.stringify(arg))).join(', ');
+  return `<button type="button" class="btn-link candidate-profile-link" onclick="openCandidateProfile(${args})">${escapeHtml(label)}</button>`;
+}
+
+/**
+ * Resize an image file so its longest side is at most maxSize pixels,
+ * returning a JPEG data URL
+ */
+async function resizeImageFile(file, maxSize = CANDIDATE_IMAGE_SIZE, quality = CANDIDATE_IMAGE_QUALITY) {
+  const url = URL.createObjectURL(file);
+  try {
+    const image = await new Promise((resolve, reject) => {
+      const element = new Image();
+      element.onload = () => resolve(element);
+      element.onerror = () => reject(new Error('the file is not a readable image'));
+      element.src = url;
+    });
+
+    const scale = Math.min(1, maxSize / Math.max(image.naturalWidth, image.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+
+    const context = canvas.getContext('2d');
+    // JPEG has no transparency, so transparent images get a white background
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', quality);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Open the profile of a candidate
+ */
+function openCandidateProfile(pollId, candidateId) {
+  const modal = document.getElementById('candidate-modal');
+  if (!modal || !getCandidateById(pollId, candidateId)) return;
+
+  profileCandidate = { pollId, candidateId };
+  renderCandidateProfile();
+  modal.classList.remove('hidden');
+  modal.classList.add('active');
+}
+
+/**
+ * Close the candidate profile
+ */
+function closeCandidateProfile() {
+  const modal = document.getElementById('candidate-modal');
+  if (!modal) return;
+
+  profileCandidate = null;
+  modal.classList.remove('active');
+  modal.classList.add('hidden');
+}
+
+/**
+ * Render the open candidate profile with the candidate's current standing
+ */
+function renderCandidateProfile() {
+  const container = document.getElementById('candidate-profile');
+  const title = document.getElementById('candidate-modal-title');
+  if (!container || !profileCandidate) return;
+
+  const { pollId, candidateId } = profileCandidate;
+  const candidate = getCandidateById(pollId, candidateId);
+  if (!candidate) {
+    container.innerHTML = '<p class="no-data">This option is no longer in the poll.</p>';
+    return;
+  }
+
+  const standings = getTopCandidates(pollId, Infinity);
+  const rank = standings.findIndex((entry) => entry.id === candidateId);
+  const standing = standings[rank];
+  const links = getCandidateLinks(candidate);
+  const bio = String(candidate.bio || '')
+    .split(/\n{2,}/)
+    .filter((paragraph) => paragraph.trim())
+    .map((paragraph) => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('');
+
+  if (title) title.textContent = candidate.name;
+  container.innerHTML = `
+    <div class="candidate-profile-header">
+      ${buildCandidatePhotoHtml(candidate, 'candidate-profile-photo')}
+      <div>
+        ${buildCandidateMetaHtml(candidate)}
+        ${candidate.description ? `<p class="candidate-description">${escapeHtml(candidate.description)}</p>` : ''}
+        ${standing ? `<p class="candidate-standing">#${rank + 1} of ${standings.length} &middot; ${formatVoteCount(standing.votes)} votes (${standing.percentage.toFixed(1)}%)</p>` : ''}
+      </div>
+    </div>
+    ${bio ? `<div class="candidate-bio">${bio}</div>` : ''}
+    ${links.length > 0 ? `
+      <ul class="candidate-links">
+        ${links.map((link) => `<li><a href="${escapeHtml(link)}" target="_blank" rel="noopener noreferrer">${escapeHtml(getLinkLabel(link))}</a></li>`).join('')}
+      </ul>
+    ` : ''}
+  `;
+}
+
+/**
+ * Bind the candidate profile modal
+ */
+function bindCandidateProfileEvents() {
+  const modal = document.getElementById('candidate-modal');
+  if (!modal) return;
+
+  document.getElementById('close-candidate-modal').addEventListener('click', closeCandidateProfile);
+  modal.addEventListener('click', (event) => {
+    if (event.target.id === 'candidate-modal') {
+      closeCandidateProfile();
+    }
+  });
+}
+
+// ============================================================================
+// DATA EXPORT
+// ============================================================================
+
+const EXPORT_FORMAT = {
+  VOTES_CSV: 'votes-csv',
+  VOTES_JSON: 'votes-json',
+  SUMMARY_CSV: 'summary-csv',
+  REPORT: 'report',
+  SNAPSHOTS_JSON: 'snapshots-json',
+  COMPARISON_CSV: 'comparison-csv',
+};
+
+const VOTE_CSV_COLUMNS = [
+  'id',
+  'seq',
+  'pollId',
+  'candidateId',
+  'candidateName',
+  'selections',
+  'rankings',
+  'group',
+  'weight',
+  'voterId',
+  'deviceId',
+  'timestamp',
+];
+
+/**
+ * Quote a CSV field when needed. Text starting with a formula character is
+ * prefixed with an apostrophe so spreadsheets do not evaluate it; numbers,
+ * including negative ones, are left alone.
+ */
+function toCsvField(value) {
+  if (value === undefined || value === null) return '';
+
+  let text = Array.isArray(value) ? value.join(';') : String(value);
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text from a header row and data rows
+ */
+function toCsv(columns, rows) {
+  return [columns, ...rows].map((row) => row.map(toCsvField).join(',')).join('\r\n');
+}
+
+/**
+ * Build a CSV of every vote in a poll, one row per vote
+ */
+function buildVotesCsv(pollId) {
+  const rows = getPollVotes(pollId).map((vote) => {
+    const candidate = getCandidateById(pollId, vote.candidateId);
+    return VOTE_CSV_COLUMNS.map((column) =>
+      column === 'candidateName' ? (candidate ? candidate.name : '') : vote[column]
+    );
+  });
+  return toCsv(VOTE_CSV_COLUMNS, rows);
+}
+
+/**
+ * Build a JSON document of a poll and all of its votes
+ */
+function buildVotesJson(pollId) {
+  const poll = getPollById(pollId);
+  return JSON.stringify(
+    {
+      exportedAt: new Date().toISOString(),
+      poll: poll && {
+        id: poll.id,
+        name: poll.name,
+        description: poll.description,
+        status: getPollStatus(poll),
+        ballotType: getBallotType(poll),
+        votingPolicy: getVotingPolicy(poll),
+        groupWeights: getGroupWeights(poll),
+        startTime: poll.startTime || null,
+        endTime: poll.endTime || null,
+        options: getPollCandidates(pollId),
+      },
+      votes: getPollVotes(pollId),
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Build a CSV with one row per candidate: rank, votes, percentage and, when
+ * votes come from several voter groups, the percentage within each group
+ */
+function buildSummaryCsv(pollId) {
+  const stats = processVoteData(pollId);
+  const groupNames = Object.keys(stats.groups).sort();
+  const showGroups = Boolean(stats.groupWeights) || groupNames.length > 1;
+  const candidates = getTopCandidates(pollId, Infinity);
+
+  const columns = ['rank', 'candidateId', 'candidateName', 'votes', 'percentage'];
+  if (showGroups) {
+    groupNames.forEach((groupName) => columns.push(`${groupName}Percentage`));
+  }
+
+  const rows = candidates.map((candidate, index) => {
+    const row = [index + 1, candidate.id, candidate.name, candidate.votes, candidate.percentage.toFixed(2)];
+    if (showGroups) {
+      groupNames.forEach((groupName) => row.push(stats.groups[groupName].percentages[candidate.id].toFixed(2)));
+    }
+    return row;
+  });
+
+  return toCsv(columns, rows);
+}
+
+/**
+ * Draw the cumulative votes of a poll over its whole run as an inline SVG
+ */
+function buildTrendSvg(pollId, width = 640, height = 200) {
+  const trends = calculateVotingTrends(pollId, { range: TREND_RANGE.WHOLE_POLL });
+  const values = trends.total.cumulative;
+  if (values.length === 0) return '';
+
+  const pad = 24;
+  const max = Math.max(1, ...values);
+  const x = (index) => (values.length > 1 ? pad + (index / (values.length - 1)) * (width - 2 * pad) : width / 2);
+  const y = (value) => height - pad - (value / max) * (height - 2 * pad);
+  const points = values.map((value, index) => `${x(index).toFixed(1)},${y(value).toFixed(1)}`).join(' ');
+  const first = trends.buckets[0];
+  const last = trends.buckets[trends.buckets.length - 1];
+
+  return `
+    <svg class="trend-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Cumulative votes over time">
+      <line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" stroke="#cbd5e1" />
+      <polyline points="${points}" fill="none" stroke="#4f46e5" stroke-width="2" />
+      <text x="${pad}" y="${pad - 8}" font-size="11" fill="#64748b">${max} votes</text>
+      <text x="${pad}" y="${height - 6}" font-size="11" fill="#64748b">${escapeHtml(first.label)}</text>
+      <text x="${width - pad}" y="${height - 6}" font-size="11" fill="#64748b" text-anchor="end">${escapeHtml(last.label)}</text>
+    </svg>
+  `;
+}
+
+/**
+ * Build a self-contained printable HTML report of a poll's results
+ */
+function buildResultsReportHtml(pollId) {
+  const poll = getPollById(pollId);
+  const stats = processVoteData(pollId);
+  const title = poll ? poll.name : 'Poll Results';
+  const generatedAt = new Date();
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)} - Results Report</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #0f172a; max-width: 800px; margin: 2rem auto; padding: 0 1rem; }
+  h1 { margin-bottom: 0.25rem; }
+  .meta, .results-total, .results-scoring, .results-note, .group-breakdown { color: #475569; font-size: 0.875rem; }
+  .summary { display: flex; gap: 2rem; margin: 1.5rem 0; }
+  .summary strong { display: block; font-size: 1.5rem; }
+  .result-item { margin-bottom: 1rem; break-inside: avoid; }
+  .candidate-info { display: flex; justify-content: space-between; margin-bottom: 0.25rem; }
+  .progress-bar { background: #e2e8f0; border-radius: 4px; height: 18px; overflow: hidden; }
+  .progress-fill { height: 100%; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  .percentage-label { display: none; }
+  .group-breakdown { display: flex; gap: 0.75rem; margin-top: 0.25rem; }
+  .runoff-table { width: 100%; border-collapse: collapse; font-size: 0.875rem; }
+  .runoff-table th, .runoff-table td { padding: 0.25rem 0.5rem; border-bottom: 1px solid #cbd5e1; text-align: right; }
+  .runoff-table th:first-child, .runoff-table td:first-child { text-align: left; }
+  .runoff-eliminated { text-decoration: line-through; color: #b91c1c; }
+  .runoff-won { font-weight: 700; color: #047857; }
+  .trend-chart { width: 100%; height: auto; }
+  .print-btn { margin-top: 2rem; padding: 0.5rem 1rem; }
+  @media print { body { margin: 0; } .print-btn { display: none; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">Generated ${escapeHtml(formatDate(generatedAt))} (${escapeHtml(generatedAt.toISOString())})</p>
+${poll && poll.description ? `<p>${escapeHtml(poll.description)}</p>` : ''}
+<div class="summary">
+  <div><strong>${stats.totalVotes}</strong>total votes</div>
+  <div><strong>${getPollCandidates(pollId).length}</strong>options</div>
+  <div><strong>${escapeHtml(poll ? getPollStatus(poll) : '')}</strong>status</div>
+</div>
+<h2>Results</h2>
+${buildVoteResultsHtml(pollId, Infinity)}
+<h2>Voting Trend</h2>
+${buildTrendSvg(pollId) || '<p class="meta">No votes yet</p>'}
+<button class="print-btn" onclick="window.print()">Print / Save as PDF</button>
+</body>
+</html>`;
+}
+
+/**
+ * Turn a poll name into a safe file name prefix
+ */
+function getExportFileName(pollId, suffix, extension) {
+  const poll = getPollById(pollId);
+  const slug = String(poll ? poll.name : pollId)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '') || 'poll';
+  const stamp = new Date().toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+  return `${slug}-${suffix}-${stamp}.${extension}`;
+}
+
+/**
+ * Save text as a file through a temporary download link
+ */
+function downloadFile(fileName, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Open the printable report in a new window, downloading it if pop-ups are blocked
+ */
+function openResultsReport(pollId) {
+  const html = buildResultsReportHtml(pollId);
+  const reportWindow = window.open('', '_blank');
+  if (!reportWindow) {
+    downloadFile(getExportFileName(pollId, 'report', 'html'), html, 'text/html');
+    return;
+  }
+  reportWindow.document.open();
+  reportWindow.document.write(html);
+  reportWindow.document.close();
+}
+
+/**
+ * Export a poll in one of the EXPORT_FORMAT formats
+ */
+function exportPoll(pollId, format) {
+  if (!requirePermission(PERMISSION.EXPORT_DATA)) return;
+  if (!getPollById(pollId)) {
+    updateError('Poll not found');
+    return;
+  }
+
+  switch (format) {
+    case EXPORT_FORMAT.VOTES_CSV:
+      downloadFile(getExportFileName(pollId, 'votes', 'csv'), buildVotesCsv(pollId), 'text/csv;charset=utf-8');
+      break;
+    case EXPORT_FORMAT.VOTES_JSON:
+      downloadFile(getExportFileName(pollId, 'votes', 'json'), buildVotesJson(pollId), 'application/json');
+      break;
+    case EXPORT_FORMAT.SUMMARY_CSV:
+      downloadFile(getExportFileName(pollId, 'summary', 'csv'), buildSummaryCsv(pollId), 'text/csv;charset=utf-8');
+      break;
+    case EXPORT_FORMAT.REPORT:
+      openResultsReport(pollId);
+      break;
+    case EXPORT_FORMAT.SNAPSHOTS_JSON:
+      downloadFile(getExportFileName(pollId, 'snapshots', 'json'), buildResultsSnapshotsJson(pollId), 'application/json');
+      break;
+    case EXPORT_FORMAT.COMPARISON_CSV:
+      downloadFile(getExportFileName(pollId, 'comparison', 'csv'), buildSnapshotComparisonCsv(pollId), 'text/csv;charset=utf-8');
+      break;
+    default:
+      updateError(`Unknown export format: ${format}`);
+  }
+}
+
+/**
+ * Build the export menu of a poll's results card
+ */
+function buildExportMenuHtml(pollId) {
+  const item = (format, label) =>
+    `<button type="button" class="btn btn-secondary" onclick="exportPoll('${pollId}', '${format}')">${label}</button>`;
+
+  return `
+    <details class="export-menu">
+      <summary class="btn btn-secondary">Export</summary>
+      <div class="export-options">
+        ${item(EXPORT_FORMAT.VOTES_CSV, 'Votes (CSV)')}
+        ${item(EXPORT_FORMAT.VOTES_JSON, 'Votes (JSON)')}
+        ${item(EXPORT_FORMAT.SUMMARY_CSV, 'Summary (CSV)')}
+        ${item(EXPORT_FORMAT.REPORT, 'Printable report')}
+        ${getTakenResultsSnapshots(pollId).length > 0 ? `
+          ${item(EXPORT_FORMAT.SNAPSHOTS_JSON, 'Snapshots (JSON)')}
+          ${item(EXPORT_FORMAT.COMPARISON_CSV, 'Snapshot comparison (CSV)')}
+        ` : ''}
+      </div>
+    </details>
+  `;
+}
+
+// ============================================================================
+// RESULTS SNAPSHOTS
+// ============================================================================
+
+const LIVE_RESULTS = 'live'; // comparison side showing the current results
+
+// Time between the snapshots of a repeating schedule
+const SNAPSHOT_REPEAT_INTERVAL = {
+  daily: 24 * 60 * 60 * 1000,
+};
+
+const SNAPSHOT_COMPARISON_COLUMNS = [
+  'candidateId',
+  'candidateName',
+  'rankBefore',
+  'rankAfter',
+  'rankChange',
+  'votesBefore',
+  'votesAfter',
+  'voteDelta',
+  'percentageBefore',
+  'percentageAfter',
+  'percentageDelta',
+];
+
+// Snapshots compared on each poll page: { from, to } snapshot ids or LIVE_RESULTS
+const snapshotComparisons = {};
+
+/**
+ * Load saved results snapshots from localStorage
+ */
+function loadResultSnapshots() {
+  try {
+    const stored = localStorage.getItem(CONFIG.RESULTS_SNAPSHOT_STORAGE_KEY);
+    setState({ resultSnapshots: stored ? JSON.parse(stored) : {} });
+  } catch (error) {
+    console.error('Error loading results snapshots:', error);
+    setState({ resultSnapshots: {} });
+  }
+}
+
+/**
+ * Persist results snapshots to localStorage
+ */
+function saveResultSnapshots() {
+  try {
+    localStorage.setItem(CONFIG.RESULTS_SNAPSHOT_STORAGE_KEY, JSON.stringify(state.resultSnapshots));
+  } catch (error) {
+    console.error('Error saving results snapshots:', error);
+  }
+}
+
+/**
+ * Get the snapshots of a poll, oldest first, including scheduled ones
+ */
+function getResultsSnapshots(pollId) {
+  return state.resultSnapshots[pollId] || [];
+}
+
+/**
+ * Get the snapshots of a poll that have been taken, oldest first
+ */
+function getTakenResultsSnapshots(pollId) {
+  return getResultsSnapshots(pollId).filter((snapshot) => !snapshot.pending);
+}
+
+/**
+ * Replace the snapshots of a poll, keeping the newest, and save them
+ */
+function setResultsSnapshots(pollId, snapshots) {
+  const sorted = [...snapshots]
+    .sort((a, b) => new Date(a.takenAt) - new Date(b.takenAt))
+    .slice(-CONFIG.RESULTS_SNAPSHOT_LIMIT);
+  setState({ resultSnapshots: { ...state.resultSnapshots, [pollId]: sorted } });
+  saveResultSnapshots();
+}
+
+/**
+ * Rank a poll's candidates by the counted votes cast up to a time, or by all
+ * counted votes when no time is given
+ */
+function buildResultsStanding(pollId, asOf = null) {
+  const votes = asOf
+    ? getCountedVotes(pollId).filter((vote) => new Date(vote.timestamp).getTime() <= asOf.getTime())
+    : getCountedVotes(pollId);
+
+  return {
+    totalVotes: processVoteData(pollId, votes).totalVotes,
+    candidates: getTopCandidates(pollId, Infinity, votes).map((candidate, index) => ({
+      id: candidate.id,
+      name: candidate.name,
+      votes: candidate.votes,
+      percentage: candidate.percentage,
+      rank: index + 1,
+    })),
+  };
+}
+
+/**
+ * Freeze a poll's results as they stood at a time. Results are recounted from
+ * vote timestamps, so past times work; future times are taken when they come
+ * round. A repeating snapshot schedules the next one once it is taken.
+ */
+function captureResultsSnapshot(pollId, label, asOf = new Date(), repeat = null) {
+  const pending = asOf.getTime() > Date.now();
+  const snapshot = {
+    id: generateIdempotencyKey(),
+    pollId,
+    label: label || `Results ${formatDate(asOf)}`,
+    takenAt: asOf.toISOString(),
+    pending,
+    repeat: pending ? repeat : null,
+    ...(pending ? { totalVotes: null, candidates: [] } : buildResultsStanding(pollId, asOf)),
+  };
+
+  setResultsSnapshots(pollId, [...getResultsSnapshots(pollId), snapshot]);
+  if (!pending && repeat) {
+    scheduleNextResultsSnapshot(snapshot, repeat);
+  }
+  return snapshot;
+}
+
+/**
+ * Schedule the next snapshot of a repeating schedule, unless the poll ends first
+ */
+function scheduleNextResultsSnapshot(snapshot, repeat) {
+  const poll = getPollById(snapshot.pollId);
+  const next = new Date(new Date(snapshot.takenAt).getTime() + SNAPSHOT_REPEAT_INTERVAL[repeat]);
+  if (!poll || (poll.endTime && next > new Date(poll.endTime))) return;
+  captureResultsSnapshot(snapshot.pollId, snapshot.label, next, repeat);
+}
+
+/**
+ * Take the scheduled snapshots that are due. Returns how many were taken.
+ */
+function captureDueResultsSnapshots() {
+  const now = Date.now();
+  const due = Object.values(state.resultSnapshots)
+    .flat()
+    .filter((snapshot) => snapshot.pending && new Date(snapshot.takenAt).getTime() <= now && getPollById(snapshot.pollId));
+
+  due.forEach((snapshot) => {
+    setResultsSnapshots(snapshot.pollId, getResultsSnapshots(snapshot.pollId).filter((s) => s.id !== snapshot.id));
+    captureResultsSnapshot(snapshot.pollId, snapshot.label, new Date(snapshot.takenAt), snapshot.repeat);
+  });
+  if (due.length > 0) {
+    renderPollDetail();
+    renderVoteResults();
+  }
+  return due.length;
+}
+
+/**
+ * Delete a snapshot, or cancel a scheduled one
+ */
+function deleteResultsSnapshot(pollId, snapshotId) {
+  setResultsSnapshots(pollId, getResultsSnapshots(pollId).filter((snapshot) => snapshot.id !== snapshotId));
+  const comparison = snapshotComparisons[pollId];
+  if (comparison && (comparison.from === snapshotId || comparison.to === snapshotId)) {
+    delete snapshotComparisons[pollId];
+  }
+  renderPollDetail();
+  renderVoteResults();
+}
+
+/**
+ * Get one side of a comparison: a taken snapshot or the live results
+ */
+function getComparedResults(pollId, snapshotId) {
+  if (snapshotId === LIVE_RESULTS) {
+    return { id: LIVE_RESULTS, label: 'Live results', takenAt: new Date().toISOString(), ...buildResultsStanding(pollId) };
+  }
+  return getTakenResultsSnapshots(pollId).find((snapshot) => snapshot.id === snapshotId) || null;
+}
+
+/**
+ * Get the chosen comparison of a poll, by default its latest snapshot against
+ * the live results. Returns { from, to } or null without snapshots.
+ */
+function getResultsComparison(pollId) {
+  const taken = getTakenResultsSnapshots(pollId);
+  if (taken.length === 0) return null;
+
+  const chosen = snapshotComparisons[pollId] || {};
+  const from = getComparedResults(pollId, chosen.from || taken[taken.length - 1].id);
+  const to = getComparedResults(pollId, chosen.to || LIVE_RESULTS);
+  return from && to ? { from, to } : null;
+}
+
+/**
+ * Compare two sets of results candidate by candidate, ordered as in the later
+ * one. Rank changes are positive when a candidate moved up; a candidate
+ * missing from one side has a null rank there.
+ */
+function compareResultsSnapshots(from, to) {
+  const before = new Map(from.candidates.map((candidate) => [candidate.id, candidate]));
+  const after = new Map(to.candidates.map((candidate) => [candidate.id, candidate]));
+  const candidateIds = [
+    ...to.candidates.map((candidate) => candidate.id),
+    ...from.candidates.filter((candidate) => !after.has(candidate.id)).map((candidate) => candidate.id),
+  ];
+
+  return candidateIds.map((candidateId) => {
+    const previous = before.get(candidateId);
+    const current = after.get(candidateId);
+    const votesBefore = previous ? previous.votes : 0;
+    const votesAfter = current ? current.votes : 0;
+    const percentageBefore = previous ? previous.percentage : 0;
+    const percentageAfter = current ? current.percentage : 0;
+    return {
+      candidateId,
+      name: (current || previous).name,
+      rankBefore: previous ? previous.rank : null,
+      rankAfter: current ? current.rank : null,
+      rankChange: previous && current ? previous.rank - current.rank : null,
+      votesBefore,
+      votesAfter,
+      voteDelta: votesAfter - votesBefore,
+      percentageBefore,
+      percentageAfter,
+      percentageDelta: percentageAfter - percentageBefore,
+    };
+  });
+}
+
+/**
+ * Get each candidate's movement since the baseline snapshot of a poll, keyed
+ * by candidate id, with the baseline; null without snapshots
+ */
+function getResultsMovement(pollId) {
+  const comparison = getResultsComparison(pollId);
+  if (!comparison) return null;
+
+  const live = getComparedResults(pollId, LIVE_RESULTS);
+  const rows = {};
+  compareResultsSnapshots(comparison.from, live).forEach((row) => {
+    rows[row.candidateId] = row;
+  });
+  return { baseline: comparison.from, rows };
+}
+
+/**
+ * Format a change with its sign
+ */
+function formatDelta(value, format = formatVoteCount) {
+  if (Math.abs(value) < AUDIT_TOLERANCE) return format(0);
+  return `${value > 0 ? '+' : '-'}${format(Math.abs(value))}`;
+}
+
+/**
+ * Build the arrow showing how far a candidate moved in the ranking
+ */
+function buildMovementHtml(row, sinceLabel = '') {
+  if (!row) return '';
+  if (row.rankBefore === null) {
+    return `<span class="movement movement-new" title="New${sinceLabel ? ` since ${escapeHtml(sinceLabel)}` : ''}">new</span>`;
+  }
+  if (row.rankAfter === null) return '';
+
+  let direction = 'same';
+  if (row.rankChange > 0) direction = 'up';
+  else if (row.rankChange < 0) direction = 'down';
+  const arrows = { up: '&#9650;', down: '&#9660;', same: '&#9644;' };
+  const places = Math.abs(row.rankChange);
+  const title = [
+    direction === 'same' ? 'Same rank' : `${direction === 'up' ? 'Up' : 'Down'} ${places} place${places === 1 ? '' : 's'}`,
+    `${formatDelta(row.voteDelta)} votes`,
+    sinceLabel ? `since ${sinceLabel}` : '',
+  ].filter(Boolean).join(', ');
+
+  return `<span class="movement movement-${direction}" title="${escapeHtml(title)}">${arrows[direction]}${places > 0 ? places : ''}</span>`;
+}
+
+/**
+ * Build the side-by-side comparison table of two result sets
+ */
+function buildSnapshotComparisonHtml(from, to) {
+  const rows = compareResultsSnapshots(from, to);
+  const percentage = (value) => `${value.toFixed(1)}%`;
+  const rank = (value) => (value === null ? '&mdash;' : value);
+
+  let html = '<table class="snapshot-table"><thead><tr>';
+  html += `<th>Candidate</th><th>Rank</th><th>${escapeHtml(from.label)}</th><th>${escapeHtml(to.label)}</th><th>Change</th>`;
+  html += '</tr></thead><tbody>';
+  html += `
+    <tr class="snapshot-total">
+      <td>Total votes</td><td></td>
+      <td>${formatVoteCount(from.totalVotes)}</td>
+      <td>${formatVoteCount(to.totalVotes)}</td>
+      <td>${formatDelta(to.totalVotes - from.totalVotes)}</td>
+    </tr>
+  `;
+  rows.forEach((row) => {
+    html += `
+      <tr>
+        <td>${escapeHtml(row.name)}</td>
+        <td>${rank(row.rankBefore)} &rarr; ${rank(row.rankAfter)} ${buildMovementHtml(row)}</td>
+        <td>${formatVoteCount(row.votesBefore)} (${percentage(row.percentageBefore)})</td>
+        <td>${formatVoteCount(row.votesAfter)} (${percentage(row.percentageAfter)})</td>
+        <td>${formatDelta(row.voteDelta)} votes, ${formatDelta(row.percentageDelta, (value) => `${value.toFixed(1)} pts`)}</td>
+      </tr>
+    `;
+  });
+  html += '</tbody></table>';
+  return html;
+}
+
+/**
+ * Render the snapshots panel of the poll page
+ */
+function renderResultsSnapshots() {
+  const list = document.getElementById('snapshot-list');
+  const comparisonContainer = document.getElementById('snapshot-comparison');
+  if (!list || !comparisonContainer || !isPollRoute()) return;
+
+  const pollId = currentRoute.pollId;
+  const pollArg = escapeHtml(JSON.stringify(pollId));
+  const snapshots = getResultsSnapshots(pollId);
+  list.innerHTML = snapshots.length === 0
+    ? '<p class="no-data">No snapshots yet. Save one to compare later results with it.</p>'
+    : `<ul class="snapshot-list">${snapshots.slice().reverse().map((snapshot) => `
+      <li>
+        <strong>${escapeHtml(snapshot.label)}</strong>
+        &middot; ${escapeHtml(formatDate(snapshot.takenAt))}
+        &middot; ${snapshot.pending
+          ? `<span class="badge badge-warning">Scheduled${snapshot.repeat ? `, ${escapeHtml(snapshot.repeat)}` : ''}</span>`
+          : `${formatVoteCount(snapshot.totalVotes)} votes`}
+        <button type="button" class="btn btn-secondary btn-sm" onclick="deleteResultsSnapshot(${pollArg}, ${escapeHtml(JSON.stringify(snapshot.id))})">${snapshot.pending ? 'Cancel' : 'Delete'}</button>
+      </li>
+    `).join('')}</ul>`;
+
+  const comparison = getResultsComparison(pollId);
+  if (!comparison) {
+    comparisonContainer.innerHTML = '';
+    return;
+  }
+
+  const sides = [...getTakenResultsSnapshots(pollId), { id: LIVE_RESULTS, label: 'Live results' }];
+  const select = (side, selected) => `
+    <select data-side="${side}" aria-label="Compare ${side}">
+      ${sides.map((snapshot) => `
+        <option value="${escapeHtml(snapshot.id)}" ${snapshot.id === selected ? 'selected' : ''}>
+          ${escapeHtml(snapshot.label)}${snapshot.takenAt ? ` (${escapeHtml(formatDate(snapshot.takenAt))})` : ''}
+        </option>
+      `).join('')}
+    </select>
+  `;
+
+  comparisonContainer.innerHTML = `
+    <div class="snapshot-compare-controls">
+      Compare ${select('from', comparison.from.id)} with ${select('to', comparison.to.id)}
+      ${hasPermission(PERMISSION.EXPORT_DATA) ? `
+        <button type="button" class="btn btn-secondary btn-sm" onclick="exportPoll(${pollArg}, '${EXPORT_FORMAT.COMPARISON_CSV}')">Export comparison (CSV)</button>
+        <button type="button" class="btn btn-secondary btn-sm" onclick="exportPoll(${pollArg}, '${EXPORT_FORMAT.SNAPSHOTS_JSON}')">Export snapshots (JSON)</button>
+      ` : ''}
+    </div>
+    ${buildSnapshotComparisonHtml(comparison.from, comparison.to)}
+  `;
+}
+
+/**
+ * Save a snapshot from the poll page's form
+ */
+function handleSnapshotSubmit(event) {
+  event.preventDefault();
+  if (!isPollRoute() || !getPollById(currentRoute.pollId)) return;
+
+  const labelInput = document.getElementById('snapshot-label');
+  const atInput = document.getElementById('snapshot-at');
+  const asOf = atInput.value ? new Date(atInput.value) : new Date();
+  if (Number.isNaN(asOf.getTime())) {
+    updateError('Choose a valid snapshot time');
+    return;
+  }
+
+  const repeat = document.getElementById('snapshot-daily').checked ? 'daily' : null;
+  const snapshot = captureResultsSnapshot(currentRoute.pollId, labelInput.value.trim(), asOf, repeat);
+  event.target.reset();
+  showSuccessMessage(snapshot.pending
+    ? `Snapshot "${snapshot.label}" scheduled for ${formatDate(snapshot.takenAt)}`
+    : `Snapshot "${snapshot.label}" saved`);
+  // In full, so the export menu lists snapshot exports
+  renderPollDetail();
+  renderVoteResults();
+}
+
+/**
+ * Build the JSON export of a poll's snapshots
+ */
+function buildResultsSnapshotsJson(pollId) {
+  const poll = getPollById(pollId);
+  return JSON.stringify(
+    {
+      exportedAt: new Date().toISOString(),
+      poll: poll && { id: poll.id, name: poll.name },
+      snapshots: getTakenResultsSnapshots(pollId),
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Build a CSV of the poll's current snapshot comparison, one row per candidate
+ */
+function buildSnapshotComparisonCsv(pollId) {
+  const comparison = getResultsComparison(pollId);
+  if (!comparison) return toCsv(SNAPSHOT_COMPARISON_COLUMNS, []);
+
+  const rows = compareResultsSnapshots(comparison.from, comparison.to).map((row) =>
+    SNAPSHOT_COMPARISON_COLUMNS.map((column) => {
+      if (column === 'candidateName') return row.name;
+      return column.startsWith('percentage') ? Number(row[column].toFixed(2)) : row[column];
+    })
+  );
+  return toCsv(SNAPSHOT_COMPARISON_COLUMNS, rows);
+}
+
+/**
+ * Bind the snapshot form and comparison pickers
+ */
+function bindResultsSnapshotEvents() {
+  const form = document.getElementById('snapshot-form');
+  const comparison = document.getElementById('snapshot-comparison');
+  if (!form || !comparison) return;
+
+  form.addEventListener('submit', handleSnapshotSubmit);
+  comparison.addEventListener('change', (event) => {
+    const { side } = event.target.dataset;
+    if (!side || !isPollRoute()) return;
+
+    const pollId = currentRoute.pollId;
+    const current = getResultsComparison(pollId);
+    snapshotComparisons[pollId] = {
+      from: current && current.from.id,
+      to: current && current.to.id,
+      [side]: event.target.value,
+    };
+    renderPollDetail();
+    renderVoteResults(pollId);
+  });
+}
+
+// ============================================================================
+// VOTE IMPORT
+// ============================================================================
+
+const IMPORT_MODE = {
+  API: 'api', // submit through the server in batches
+  LOCAL: 'local', // merge into this dashboard's state only
+};
+
+// Fields an import file can provide, with the column names guessed for each
+const IMPORT_FIELDS = [
+  { key: 'candidate', label: 'Candidate (id or name) *', aliases: ['candidateid', 'candidate', 'optionid', 'option', 'candidatename', 'choice'] },
+  { key: 'timestamp', label: 'Timestamp', aliases: ['timestamp', 'time', 'date', 'votedat', 'createdat'] },
+  { key: 'voterId', label: 'Voter ID', aliases: ['voterid', 'voter', 'phone', 'email', 'sender'] },
+  { key: 'group', label: 'Voter group', aliases: ['group', 'votergroup'] },
+  { key: 'weight', label: 'Weight', aliases: ['weight', 'score'] },
+];
+
+const IMPORT_REPORT_LIMIT = 100; // bad rows listed in the report
+
+let importSession = null;
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF) into rows
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+/**
+ * Parse an import file into column names and records.
+ * JSON may be an array of objects or an export document with a votes array.
+ */
+function parseImportFile(text, fileName) {
+  if (/\.json$/i.test(fileName) || /^\s*[[{]/.test(text)) {
+    const parsed = JSON.parse(text);
+    const records = Array.isArray(parsed) ? parsed : parsed.votes;
+    if (!Array.isArray(records)) {
+      throw new Error('JSON must be an array of votes or contain a "votes" array');
+    }
+    const columns = Array.from(new Set(records.flatMap((record) => Object.keys(record || {}))));
+    return { columns, records };
+  }
+
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map((column) => column.trim());
+  const records = rows.map((cells) => {
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = cells[index] !== undefined ? cells[index].trim() : '';
+    });
+    return record;
+  });
+  return { columns, records };
+}
+
+/**
+ * Guess which column holds each import field from the column names
+ */
+function guessColumnMapping(columns) {
+  const mapping = {};
+  IMPORT_FIELDS.forEach((field) => {
+    const match = field.aliases
+      .map((alias) => columns.find((column) => column.toLowerCase().replace(/[^a-z]/g, '') === alias))
+      .find(Boolean);
+    mapping[field.key] = match || '';
+  });
+  return mapping;
+}
+
+/**
+ * Validate import records against a poll's candidates and settings.
+ * Returns { valid: [{ row, vote }], invalid: [{ row, errors, record }], newCandidates }.
+ * Row numbers count from 1 for the first record. With addMissingCandidates,
+ * unknown candidate names are collected in newCandidates instead of failing.
+ */
+function validateImportRows(pollId, records, mapping, { addMissingCandidates = false } = {}) {
+  const poll = getPollById(pollId);
+  const groupWeights = getGroupWeights(poll);
+  const oneVotePerVoter = getVotingPolicy(poll) === VOTING_POLICY.PER_VOTER;
+  const candidatesByKey = new Map();
+  getPollCandidates(pollId).forEach((candidate) => {
+    candidatesByKey.set(candidate.id, candidate.id);
+    candidatesByKey.set(candidate.name.toLowerCase(), candidate.id);
+  });
+
+  const seenVoters = new Set(
+    oneVotePerVoter ? getPollVotes(pollId).map((vote) => vote.voterId).filter(Boolean) : []
+  );
+  const newCandidates = new Set();
+  const valid = [];
+  const invalid = [];
+
+  records.forEach((record, index) => {
+    const value = (key) => {
+      const raw = mapping[key] ? record[mapping[key]] : undefined;
+      return raw === undefined || raw === null ? '' : String(raw).trim();
+    };
+    const errors = [];
+
+    const candidateValue = value('candidate').replace(/^'(?=[=+\-@])/, '');
+    let candidateId = candidatesByKey.get(candidateValue) || candidatesByKey.get(candidateValue.toLowerCase());
+    if (!candidateValue) {
+      errors.push('Missing candidate');
+    } else if (!candidateId && addMissingCandidates) {
+      newCandidates.add(candidateValue);
+      candidateId = candidateValue; // replaced by the new option id before submitting
+    } else if (!candidateId) {
+      errors.push(`Unknown candidate: ${candidateValue}`);
+    }
+
+    const timestampValue = value('timestamp');
+    const timestamp = timestampValue ? new Date(/^\d+$/.test(timestampValue) ? Number(timestampValue) : timestampValue) : null;
+    if (timestamp && Number.isNaN(timestamp.getTime())) {
+      errors.push(`Invalid timestamp: ${timestampValue}`);
+    }
+
+    const weightValue = value('weight');
+    if (weightValue && !(Number(weightValue) >= 0)) {
+      errors.push(`Invalid weight: ${weightValue}`);
+    }
+
+    const group = value('group').toLowerCase();
+    if (group && groupWeights && !(group in groupWeights)) {
+      errors.push(`Unknown voter group: ${group}`);
+    }
+
+    const voterId = value('voterId');
+    if (oneVotePerVoter && !voterId) {
+      errors.push('Missing voter ID');
+    } else if (oneVotePerVoter && seenVoters.has(voterId)) {
+      errors.push(`Voter ${voterId} has already voted`);
+    }
+
+    if (errors.length > 0) {
+      invalid.push({ row: index + 1, errors, record });
+      return;
+    }
 
-    trends[timeKey] = (trends[timeKey] || 0) + 1;
+    if (voterId) seenVoters.add(voterId);
+    valid.push({
+      row: index + 1,
+      vote: {
+        candidateId,
+        optionId: candidateId,
+        timestamp: (timestamp || new Date()).toISOString(),
+        voterId: voterId || undefined,
+        group: group || undefined,
+        weight: weightValue ? Number(weightValue) : undefined,
+      },
+    });
   });
 
-  return trends;
+  return { valid, invalid, newCandidates: Array.from(newCandidates) };
 }
 
-// ============================================================================
-// CACHING MECHANISM
-// ============================================================================
-
 /**
- * Get cached votes if valid
+ * Add candidates named in an import to a poll, returning their ids by name.
+ * Local imports add them to this dashboard only.
  */
-function getCachedVotes() {
-  const now = Date.now();
-  if (
-    state.cache.votes &&
-    state.cache.timestamp &&
-    now - state.cache.timestamp < CONFIG.CACHE_DURATION
-  ) {
-    console.log('Using cached votes');
-    return state.cache.votes;
+async function addImportedCandidates(pollId, names, mode) {
+  const idsByName = {};
+
+  if (mode === IMPORT_MODE.LOCAL) {
+    const added = names.map((name) => ({ id: `local_${generateIdempotencyKey()}`, name }));
+    state.candidates[pollId] = [...getPollCandidates(pollId), ...added];
+    added.forEach((candidate) => {
+      idsByName[candidate.name] = candidate.id;
+    });
+    return idsByName;
   }
-  return null;
+
+  const options = [...getPollCandidates(pollId), ...names.map((name) => ({ name }))];
+  const updated = await updatePoll(pollId, { options: options.map(({ id, name }) => ({ id, name })) });
+  const updatedOptions = (updated && updated.options) || [];
+  updatedOptions.forEach((option) => {
+    idsByName[option.name] = option.id;
+  });
+  state.candidates[pollId] = updatedOptions;
+  return idsByName;
 }
 
 /**
- * Set votes cache
+ * Import validated votes into a poll, in batches through the API or
+ * straight into local state. Votes the server already has (same
+ * idempotency key) count as imported, so an interrupted import can be rerun.
+ * Returns { imported, rejected: [{ row, error }] }.
  */
-function setCachedVotes(votes) {
-  state.cache.votes = votes;
-  state.cache.timestamp = Date.now();
+async function importVotes(pollId, rows, { mode = IMPORT_MODE.API, importId, onProgress = () => {} } = {}) {
+  const keyed = rows.map(({ row, vote }) => ({
+    row,
+    vote: { ...vote, idempotencyKey: `import-${importId}-${row}` },
+  }));
+
+  if (mode === IMPORT_MODE.LOCAL) {
+    const votes = keyed.map(({ vote }) => normalizeVote({ ...vote, id: vote.idempotencyKey }, pollId));
+    setPollVotes(pollId, mergeVotes(getPollVotes(pollId), votes).votes);
+    invalidateCache(pollId);
+    onProgress(votes.length, votes.length);
+    return { imported: votes.length, rejected: [] };
+  }
+
+  let imported = 0;
+  const rejected = [];
+  for (let start = 0; start < keyed.length; start += CONFIG.IMPORT_BATCH_SIZE) {
+    const batch = keyed.slice(start, start + CONFIG.IMPORT_BATCH_SIZE);
+    const result = await submitVoteBatch(pollId, batch.map(({ vote }) => vote));
+
+    imported += result.accepted;
+    (result.rejected || []).forEach(({ index, error, code }) => {
+      if (code === 'DUPLICATE_VOTE') {
+        imported += 1;
+      } else {
+        rejected.push({ row: batch[index].row, error });
+      }
+    });
+    onProgress(start + batch.length, keyed.length);
+  }
+
+  return { imported, rejected };
 }
 
 /**
- * Invalidate cache
+ * Open the import modal, optionally for a given poll
  */
-function invalidateCache() {
-  state.cache.votes = null;
-  state.cache.timestamp = null;
-}
+function openImportModal(pollId = state.activePollId) {
+  const modal = document.getElementById('import-modal');
+  if (!modal || !requirePermission(PERMISSION.IMPORT_VOTES)) return;
 
-// ============================================================================
-// STATE MANAGEMENT
-// ============================================================================
+  importSession = null;
+  document.getElementById('import-form').reset();
+  document.getElementById('import-poll').innerHTML = state.polls
+    .map((poll) => `<option value="${escapeHtml(poll.id)}" ${poll.id === pollId ? 'selected' : ''}>${escapeHtml(poll.name)}</option>`)
+    .join('');
+  document.getElementById('import-mapping').innerHTML = '';
+  document.getElementById('import-report').innerHTML = '';
+  document.getElementById('import-submit').disabled = true;
 
-/**
- * Update state
- */
-function setState(updates) {
-  Object.assign(state, updates);
-  console.log('State updated:', state);
+  modal.classList.remove('hidden');
+  modal.classList.add('active');
 }
 
 /**
- * Update error state
+ * Close the import modal
  */
-function updateError(errorMessage) {
-  setState({ error: errorMessage });
-  renderError();
+function closeImportModal() {
+  const modal = document.getElementById('import-modal');
+  if (!modal) return;
+
+  importSession = null;
+  modal.classList.remove('active');
+  modal.classList.add('hidden');
 }
 
 /**
- * Clear error
+ * Read and parse the chosen import file
  */
-function clearError() {
-  setState({ error: null });
-  const errorContainer = document.getElementById('error-container');
-  if (errorContainer) {
-    errorContainer.innerHTML = '';
+async function handleImportFileChange(event) {
+  const file = event.target.files[0];
+  document.getElementById('import-report').innerHTML = '';
+  if (!file) return;
+
+  try {
+    const text = await file.text();
+    const { columns, records } = parseImportFile(text, file.name);
+    importSession = {
+      fileName: file.name,
+      importId: (await hashString(text)).slice(0, 16),
+      columns,
+      records,
+      mapping: guessColumnMapping(columns),
+    };
+    renderImportMapping();
+    refreshImportReport();
+  } catch (error) {
+    importSession = null;
+    document.getElementById('import-mapping').innerHTML = '';
+    renderImportReport(null, `Could not read ${file.name}: ${error.message}`);
   }
 }
 
-// ============================================================================
-// UI RENDERING
-// ============================================================================
+/**
+ * Render a column picker for each import field
+ */
+function renderImportMapping() {
+  const container = document.getElementById('import-mapping');
+  if (!container || !importSession) return;
+
+  const { columns, mapping } = importSession;
+  container.innerHTML = IMPORT_FIELDS.map((field) => `
+    <div class="form-group">
+      <label for="import-map-${field.key}">${escapeHtml(field.label)}</label>
+      <select id="import-map-${field.key}" data-field="${field.key}">
+        <option value="">(not in file)</option>
+        ${columns.map((column) => `<option value="${escapeHtml(column)}" ${mapping[field.key] === column ? 'selected' : ''}>${escapeHtml(column)}</option>`).join('')}
+      </select>
+    </div>
+  `).join('');
+}
 
 /**
- * Render vote results with bar charts
+ * Validate the parsed file with the current mapping and show the report
  */
-function renderVoteResults() {
-  const resultsContainer = document.getElementById('vote-results');
-  if (!resultsContainer) return;
+function refreshImportReport() {
+  if (!importSession) return;
 
-  const stats = processVoteData(state.votes);
-  const topCandidates = getTopCandidates();
+  const pollId = document.getElementById('import-poll').value;
+  importSession.pollId = pollId;
+  importSession.validation = validateImportRows(pollId, importSession.records, importSession.mapping, {
+    addMissingCandidates: document.getElementById('import-add-candidates').checked,
+  });
+  renderImportReport(importSession.validation);
+}
 
-  let html = '<div class="vote-results">';
-  html += '<h2>Vote Results</h2>';
+/**
+ * Show counts of valid and bad rows with the first bad rows
+ */
+function renderImportReport(validation, message = '') {
+  const report = document.getElementById('import-report');
+  const submitButton = document.getElementById('import-submit');
+  if (!report) return;
 
-  if (topCandidates.length === 0) {
-    html += '<p class="no-data">No votes yet</p>';
-  } else {
-    html += '<div class="results-list">';
-    topCandidates.forEach((candidate) => {
-      const barWidth = candidate.percentage;
-      const barColor = getBarColor(candidate.percentage);
+  if (!validation) {
+    report.innerHTML = message ? `<p class="form-errors">${escapeHtml(message)}</p>` : '';
+    submitButton.disabled = true;
+    return;
+  }
 
-      html += `
-        <div class="result-item">
-          <div class="candidate-info">
-            <span class="candidate-name">${escapeHtml(candidate.name)}</span>
-            <span class="vote-count">${candidate.votes} votes (${candidate.percentage.toFixed(1)}%)</span>
-          </div>
-          <div class="progress-bar">
-            <div class="progress-fill" style="width: ${barWidth}%; background-color: ${barColor};">
-              <span class="percentage-label">${candidate.percentage.toFixed(1)}%</span>
-            </div>
-          </div>
-        </div>
-      `;
+  const { valid, invalid, newCandidates } = validation;
+  let html = `<p><strong>${valid.length}</strong> valid row(s), <strong>${invalid.length}</strong> row(s) with errors</p>`;
+  if (newCandidates.length > 0) {
+    html += `<p>New candidates to add: ${escapeHtml(newCandidates.join(', '))}</p>`;
+  }
+  if (invalid.length > 0) {
+    html += '<table class="import-errors"><thead><tr><th>Row</th><th>Problem</th></tr></thead><tbody>';
+    invalid.slice(0, IMPORT_REPORT_LIMIT).forEach(({ row, errors }) => {
+      html += `<tr><td>${row}</td><td>${escapeHtml(errors.join('; '))}</td></tr>`;
     });
-    html += '</div>';
+    html += '</tbody></table>';
+    if (invalid.length > IMPORT_REPORT_LIMIT) {
+      html += `<p class="results-note">Showing the first ${IMPORT_REPORT_LIMIT} bad rows. Bad rows are skipped on import.</p>`;
+    }
+  }
+  if (message) {
+    html += `<p class="import-progress">${escapeHtml(message)}</p>`;
   }
 
-  html += '</div>';
-  resultsContainer.innerHTML = html;
+  report.innerHTML = html;
+  submitButton.disabled = valid.length === 0;
 }
 
 /**
- * Render voting statistics
+ * Import the valid rows of the parsed file
  */
-function renderStats() {
-  const statsContainer = document.getElementById('stats-container');
-  if (!statsContainer) return;
+async function handleImportSubmit(event) {
+  event.preventDefault();
+  if (!importSession || !importSession.validation) return;
 
-  const stats = processVoteData(state.votes);
+  const { pollId, importId, validation, fileName } = importSession;
+  const mode = document.getElementById('import-mode').value;
+  const submitButton = document.getElementById('import-submit');
+  submitButton.disabled = true;
 
-  let html = '<div class="stats">';
-  html += '<h3>Statistics</h3>';
-  html += `<div class="stat-item"><strong>Total Votes:</strong> ${stats.totalVotes}</div>`;
-  html += `<div class="stat-item"><strong>Last Updated:</strong> ${new Date().toLocaleTimeString()}</div>`;
-  html += `<div class="stat-item"><strong>Connection Status:</strong> <span class="status ${state.wsConnected ? 'connected' : 'disconnected'}">${state.wsConnected ? 'Connected' : 'Polling Mode'}</span></div>`;
-  html += '</div>';
+  try {
+    let rows = validation.valid;
+    if (validation.newCandidates.length > 0) {
+      const idsByName = await addImportedCandidates(pollId, validation.newCandidates, mode);
+      rows = rows.map(({ row, vote }) => {
+        const candidateId = idsByName[vote.candidateId] || vote.candidateId;
+        return { row, vote: { ...vote, candidateId, optionId: candidateId } };
+      });
+    }
+
+    const result = await importVotes(pollId, rows, {
+      mode,
+      importId,
+      onProgress: (done, total) => renderImportReport(validation, `Imported ${done} of ${total} rows...`),
+    });
 
-  statsContainer.innerHTML = html;
+    const rejectedText = result.rejected.length > 0
+      ? ` ${result.rejected.length} row(s) were refused, e.g. row ${result.rejected[0].row}: ${result.rejected[0].error}`
+      : '';
+    closeImportModal();
+    showSuccessMessage(`Imported ${result.imported} vote(s) from ${fileName}.${rejectedText}`);
+
+    if (mode === IMPORT_MODE.LOCAL) {
+      renderPollUpdate(pollId);
+    } else {
+      await loadInitialData();
+    }
+  } catch (error) {
+    renderImportReport(validation, `Import stopped: ${error.message}. Running it again will skip votes already imported.`);
+  }
 }
 
 /**
- * Render error message
+ * Wire up the import button and modal
  */
-function renderError() {
-  const errorContainer = document.getElementById('error-container');
-  if (!errorContainer) return;
+function bindImportEvents() {
+  const importButton = document.getElementById('import-votes-btn');
+  const form = document.getElementById('import-form');
+  if (!importButton || !form) return;
 
-  if (state.error) {
-    errorContainer.innerHTML = `
-      <div class="error-message">
-        <strong>Error:</strong> ${escapeHtml(state.error)}
-        <button onclick="clearError()" class="close-btn">×</button>
-      </div>
-    `;
-  } else {
-    errorContainer.innerHTML = '';
+  importButton.addEventListener('click', () => openImportModal());
+  document.getElementById('close-import-modal').addEventListener('click', closeImportModal);
+  document.getElementById('cancel-import').addEventListener('click', closeImportModal);
+  document.getElementById('import-file').addEventListener('change', handleImportFileChange);
+  document.getElementById('import-poll').addEventListener('change', refreshImportReport);
+  document.getElementById('import-add-candidates').addEventListener('change', refreshImportReport);
+  document.getElementById('import-mapping').addEventListener('change', (event) => {
+    if (!importSession || !event.target.dataset.field) return;
+    importSession.mapping[event.target.dataset.field] = event.target.value;
+    refreshImportReport();
+  });
+  form.addEventListener('submit', handleImportSubmit);
+
+  document.getElementById('import-modal').addEventListener('click', (event) => {
+    if (event.target.id === 'import-modal') {
+      closeImportModal();
+    }
+  });
+}
+
+// ============================================================================
+// ROUTING
+// ============================================================================
+
+const DASHBOARD_SECTIONS = ['overview', 'polls', 'results', 'analytics', 'review', 'audit'];
+
+// Hash routes, e.g. #/polls/event_1/results; the first match wins
+const ROUTES = [
+  { name: 'poll-results', pattern: /^\/polls\/([^/]+)\/results\/?$/ },
+  { name: 'poll', pattern: /^\/polls\/([^/]+)\/?$/ },
+  { name: 'section', pattern: new RegExp(`^\\/(${DASHBOARD_SECTIONS.join('|')})?\\/?$`) },
+];
+
+let currentRoute = { name: 'section', pollId: null, section: null };
+let votingFormHome = null; // where the voting form sits on the dashboard
+
+/**
+ * Parse a location hash into a route, or null for plain anchors like #privacy
+ */
+function parseRoute(hash) {
+  const path = hash.replace(/^#/, '') || '/';
+  for (const route of ROUTES) {
+    const match = path.match(route.pattern);
+    if (match) {
+      return route.name === 'section'
+        ? { name: route.name, pollId: null, section: match[1] || null }
+        : { name: route.name, pollId: decodeRouteSegment(match[1]), section: null };
+    }
   }
+  return null;
 }
 
 /**
- * Render candidate voting form
+ * Decode a poll id from the hash. Malformed escapes such as %E0 are kept
+ * as they are, so they match no poll and show as not found.
  */
-function renderVotingForm() {
-  const formContainer = document.getElementById('voting-form');
-  if (!formContainer) return;
+function decodeRouteSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return segment;
+  }
+}
 
-  let html = '<div class="voting-form">';
-  html += '<h2>Cast Your Vote</h2>';
+/**
+ * Get the hash path of a poll's detail or results page
+ */
+function getPollPath(pollId, view = 'detail') {
+  const path = `/polls/${encodeURIComponent(pollId)}`;
+  return view === 'results' ? `${path}/results` : path;
+}
 
-  if (state.candidates.length === 0) {
-    html += '<p class="no-data">No candidates available</p>';
-  } else {
-    html += '<div class="candidates-grid">';
-    state.candidates.forEach((candidate) => {
-      html += `
-        <div class="candidate-card">
-          <h3>${escapeHtml(candidate.name)}</h3>
-          <p class="candidate-description">${escapeHtml(candidate.description || '')}</p>
-          <button 
-            class="vote-btn" 
-            onclick="handleVoteClick('${candidate.id}')"
-            ${state.isLoading ? 'disabled' : ''}
-          >
-            Vote
-          </button>
-        </div>
-      `;
-    });
-    html += '</div>';
-  }
+/**
+ * Go to a hash path, adding a browser history entry
+ */
+function navigate(path) {
+  window.location.hash = `#${path}`;
+}
 
-  html += '</div>';
-  formContainer.innerHTML = html;
+/**
+ * Check whether the current route shows a single poll
+ */
+function isPollRoute(route = currentRoute) {
+  return route.name === 'poll' || route.name === 'poll-results';
 }
 
 /**
- * Render trends chart
+ * Apply the route in the location hash (also on back/forward)
  */
-function renderTrends() {
-  const trendsContainer = document.getElementById('trends-container');
-  if (!trendsContainer) return;
+function handleRouteChange() {
+  const route = parseRoute(window.location.hash);
+  if (!route) return;
 
-  const trends = calculateVotingTrends(5);
-  const sortedTrends = Object.entries(trends)
-    .sort((a, b) => {
-      const aMinutes = parseInt(a[0]);
-      const bMinutes = parseInt(b[0]);
-      return aMinutes - bMinutes;
-    })
-    .slice(-10); // Last 10 intervals
+  currentRoute = route;
+  applyRoute();
+}
 
-  let html = '<div class="trends">';
-  html += '<h3>Voting Trends (Last 50 Minutes)</h3>';
+/**
+ * Show the dashboard or a poll page for the current route
+ */
+function applyRoute() {
+  const main = document.querySelector('.main-content');
+  const detail = document.getElementById('poll-detail');
+  const pollPage = isPollRoute();
 
-  if (sortedTrends.length === 0) {
-    html += '<p class="no-data">No trend data</p>';
-  } else {
-    html += '<div class="trends-chart">';
-    const maxVotes = Math.max(...sortedTrends.map((t) => t[1]));
+  if (main) main.classList.toggle('detail-view', pollPage);
+  if (detail) detail.classList.toggle('hidden', !pollPage);
+  placeVotingForm(currentRoute.name === 'poll');
 
-    sortedTrends.forEach(([timeLabel, voteCount]) => {
-      const barHeight = maxVotes > 0 ? (voteCount / maxVotes) * 100 : 0;
-      html += `
-        <div class="trend-item">
-          <div class="trend-bar" style="height: ${barHeight}%; background-color: #3498db;">
-            <span class="trend-value">${voteCount}</span>
-          </div>
-          <span class="trend-label">${timeLabel}</span>
-        </div>
-      `;
-    });
+  document.querySelectorAll('.nav-link').forEach((link) => {
+    link.classList.toggle('active', link.getAttribute('href') === `#/${currentRoute.section || ''}`);
+  });
 
-    html += '</div>';
+  if (pollPage) {
+    if (getPollById(currentRoute.pollId) && state.activePollId !== currentRoute.pollId) {
+      selectPoll(currentRoute.pollId);
+    }
+    renderPollDetail();
+    window.scrollTo(0, 0);
+    return;
   }
 
-  html += '</div>';
-  trendsContainer.innerHTML = html;
+  const section = currentRoute.section && document.getElementById(currentRoute.section);
+  if (section) section.scrollIntoView({ behavior: 'smooth' });
 }
 
-// ============================================================================
-// EVENT HANDLERS
-// ============================================================================
-
 /**
- * Handle vote button click
+ * Move the voting form into the poll page, or back to the dashboard
  */
-async function handleVoteClick(candidateId) {
-  try {
-    setState({ isLoading: true });
-    clearError();
+function placeVotingForm(onPollPage) {
+  const form = document.getElementById('voting-form');
+  const slot = document.getElementById('poll-detail-voting');
+  if (!form || !slot) return;
 
-    await submitVote(candidateId);
-
-    const candidate = getCandidateById(candidateId);
-    showSuccessMessage(
-      `Vote cast for ${candidate?.name || 'candidate'} successfully!`
-    );
+  if (!votingFormHome) {
+    votingFormHome = { parent: form.parentElement, next: form.nextElementSibling };
+  }
 
-    // Refresh data
-    await loadInitialData();
-  } catch (error) {
-    updateError(`Failed to submit vote: ${error.message}`);
-  } finally {
-    setState({ isLoading: false });
+  if (onPollPage && form.parentElement !== slot) {
+    slot.appendChild(form);
+  } else if (!onPollPage && form.parentElement === slot) {
+    votingFormHome.parent.insertBefore(form, votingFormHome.next);
   }
 }
 
 /**
- * Show success message
+ * Render the poll page of the current route with its live results
  */
-function showSuccessMessage(message) {
-  const successContainer = document.getElementById('success-container');
-  if (!successContainer) return;
+function renderPollDetail() {
+  const container = document.getElementById('poll-detail-content');
+  if (!container || !isPollRoute()) return;
 
-  successContainer.innerHTML = `
-    <div class="success-message">
-      ${escapeHtml(message)}
-      <button onclick="this.parentElement.remove()" class="close-btn">×</button>
+  const poll = getPollById(currentRoute.pollId);
+  if (!poll) {
+    container.innerHTML = state.polls.length > 0 || !state.isLoading
+      ? '<p class="no-data">Poll not found. It may have been deleted.</p>'
+      : '<p class="no-data">Loading poll...</p>';
+    return;
+  }
+
+  const status = getPollStatus(poll);
+  const resultsOnly = currentRoute.name === 'poll-results';
+  container.innerHTML = `
+    <div class="poll-detail-header">
+      <h2>${escapeHtml(poll.name)}</h2>
+      <p class="poll-description">${escapeHtml(poll.description)}</p>
+      <div class="poll-meta">
+        <span class="badge ${getStatusBadgeClass(status)}">${status}</span>
+        <span class="badge badge-primary">${escapeHtml(getBallotTypeLabel(getBallotType(poll)))}</span>
+      </div>
+      ${buildCountdownHtml(poll)}
+      <div class="poll-actions">
+        ${resultsOnly
+          ? `<a class="btn btn-secondary btn-sm" href="#${getPollPath(poll.id)}">Vote in this poll</a>`
+          : `<a class="btn btn-secondary btn-sm" href="#${getPollPath(poll.id, 'results')}">Results only</a>`}
+        <button type="button" class="btn btn-primary btn-sm" onclick="shareResults('${poll.id}')">Share results</button>
+      </div>
+    </div>
+    <div class="card poll-results" data-poll-id="${poll.id}">
+      <div class="results-body">${buildVoteResultsHtml(poll.id, Infinity, true)}</div>
     </div>
   `;
+  renderResultsSnapshots();
+}
 
-  // Auto-dismiss after 3 seconds
-  setTimeout(() => {
-    successContainer.innerHTML = '';
-  }, 3000);
+/**
+ * Get the shareable link to a poll's live results
+ */
+function getResultsLink(pollId) {
+  const { origin, pathname, search } = window.location;
+  return `${origin}${pathname}${search}#${getPollPath(pollId, 'results')}`;
+}
+
+/**
+ * Copy text to the clipboard, falling back to a hidden textarea
+ */
+async function copyToClipboard(text) {
+  if (navigator.clipboard && window.isSecureContext) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.setAttribute('readonly', '');
+  textarea.style.position = 'fixed';
+  textarea.style.opacity = '0';
+  document.body.appendChild(textarea);
+  textarea.select();
+  const copied = document.execCommand('copy');
+  textarea.remove();
+  if (!copied) throw new Error('Copy command was rejected');
+}
+
+/**
+ * Copy the link to a poll's live results
+ */
+async function shareResults(pollId) {
+  const link = getResultsLink(pollId);
+  try {
+    await copyToClipboard(link);
+    showSuccessMessage('Results link copied to the clipboard');
+  } catch (error) {
+    console.error('Error copying results link:', error);
+    window.prompt('Copy this link to share the results:', link);
+  }
+}
+
+/**
+ * Follow the location hash, including browser back and forward
+ */
+function bindRouterEvents() {
+  window.addEventListener('hashchange', handleRouteChange);
 }
 
 // ============================================================================
@@ -660,23 +7368,50 @@ function showSuccessMessage(message) {
  */
 async function loadInitialData() {
   try {
-    const [votes, candidates] = await Promise.all([
-      fetchVotes(),
-      fetchCandidates(),
-    ]);
+    const polls = await fetchPolls();
+
+    // Forget votes and sync cursors of polls that no longer exist
+    const pollIds = new Set(polls.map((poll) => String(poll.id)));
+    Object.keys(state.votes).forEach((pollId) => {
+      if (!pollIds.has(pollId)) {
+        delete state.votes[pollId];
+        delete state.syncCursors[pollId];
+        invalidateCache(pollId);
+      }
+    });
+    updateTotalVotes();
+
+    // Only votes changed since the last sync are downloaded
+    await Promise.all(polls.map((poll) => syncPollVotes(poll.id)));
+
+    const candidates = {};
+    polls.forEach((poll) => {
+      candidates[poll.id] = poll.options;
+    });
+
+    // Keep the current selection if the poll still exists
+    const activePollId = polls.some((poll) => poll.id === state.activePollId)
+      ? state.activePollId
+      : (polls[0] && polls[0].id) || null;
 
     setState({
-      votes,
+      polls,
       candidates,
-      totalVotes: votes.length,
+      activePollId,
       lastUpdated: new Date(),
     });
+    // The total only counts votes for options the polls still have
+    updateTotalVotes();
 
-    setCachedVotes(votes);
+    syncSubscriptions();
+    renderPollsList();
     renderVotingForm();
     renderVoteResults();
     renderStats();
-    renderTrends();
+    renderAnalytics();
+    renderPollDetail();
+    renderReviewPanel();
+    renderAuditLog();
   } catch (error) {
     console.error('Error loading initial data:', error);
     updateError('Failed to load voting data');
@@ -704,8 +7439,33 @@ async function initialize() {
   console.log('Initializing Vote Tracker...');
 
   try {
+    bindPollManagementEvents();
+    bindAnalyticsEvents();
+    bindImportEvents();
+    bindFilterEvents();
+    bindRouterEvents();
+    bindReviewEvents();
+    bindAuthEvents();
+    bindAuditEvents();
+    bindCorrectionEvents();
+    bindResultsSnapshotEvents();
+    bindCandidateProfileEvents();
+    loadSession();
+    renderAuthControls();
+    applyPermissions();
+    loadVoteOutbox();
+    loadResultSnapshots();
+    window.addEventListener('online', flushVoteOutbox);
+    await loadCurrentUser();
     await loadInitialData();
+    handleRouteChange();
+    startLifecycleTimer();
+    startReconcileTimer();
     await initializeRealTimeUpdates();
+    if (state.outbox.length > 0) {
+      startOutboxTimer();
+      flushVoteOutbox();
+    }
 
     console.log('Vote Tracker initialized successfully');
   } catch (error) {
@@ -719,9 +7479,12 @@ async function initialize() {
  */
 function cleanup() {
   stopPolling();
-  if (wsConnection) {
-    wsConnection.close();
-  }
+  stopLifecycleTimer();
+  stopReconcileTimer();
+  stopOutboxTimer();
+  closeWebSocket();
+  stopTokenRefresh();
+  destroyCharts();
 }
 
 // ============================================================================
@@ -752,6 +7515,15 @@ function getBarColor(percentage) {
   return '#e74c3c'; // Red
 }
 
+/**
+ * Find the element rendered for a poll inside a container
+ */
+function findPollElement(container, pollId) {
+  return Array.from(container.querySelectorAll('[data-poll-id]')).find(
+    (element) => element.dataset.pollId === String(pollId)
+  );
+}
+
 /**
  * Format date to readable string
  */
@@ -759,6 +7531,69 @@ function formatDate(date) {
   return new Date(date).toLocaleString();
 }
 
+/**
+ * Format a vote count, which may be fractional once votes are weighted
+ */
+function formatVoteCount(count) {
+  return Number.isInteger(count) ? String(count) : count.toFixed(1);
+}
+
+/**
+ * Generate a unique key for idempotent requests
+ */
+function generateIdempotencyKey() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+/**
+ * Hash a string to hex with SHA-256, falling back to FNV-1a without Web Crypto
+ */
+async function hashString(text) {
+  if (typeof crypto !== 'undefined' && crypto.subtle && typeof TextEncoder !== 'undefined') {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest))
+      .map((byte) => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * Format a remaining duration in milliseconds as a countdown
+ */
+function formatCountdown(ms) {
+  if (ms <= 0) return '0s';
+
+  const totalSeconds = Math.floor(ms / 1000);
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (days > 0) return `${days}d ${hours}h ${minutes}m`;
+  if (hours > 0) return `${hours}h ${minutes}m ${seconds}s`;
+  if (minutes > 0) return `${minutes}m ${seconds}s`;
+  return `${seconds}s`;
+}
+
+/**
+ * Format a date for a datetime-local input
+ */
+function toDateTimeLocal(date) {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
 /**
  * Debounce function
  */
@@ -798,32 +7633,162 @@ if (typeof module !== 'undefined' && module.exports) {
     cleanup,
     state,
     // API functions
+    fetchPolls,
     fetchVotes,
+    fetchVoteDelta,
     fetchCandidates,
     submitVote,
+    submitVoteBatch,
     fetchVoteStats,
+    fetchAuditLog,
+    requestPollCorrection,
+    fetchPollSnapshots,
+    createPoll,
+    updatePoll,
+    deletePoll,
     // WebSocket functions
     initWebSocket,
+    closeWebSocket,
     sendWebSocketMessage,
+    getReconnectDelay,
     // Polling functions
     startPolling,
     stopPolling,
     // Data processing
+    getPollById,
+    getPollVotes,
+    getPollCandidates,
+    mergeVotes,
+    syncPollVotes,
     processVoteData,
     getVotesForCandidate,
     getCandidateById,
     getTopCandidates,
+    calculateOverviewStats,
     calculateVotingTrends,
+    TREND_BUCKET,
+    TREND_RANGE,
+    // Authentication & roles
+    ROLE,
+    PERMISSION,
+    getCurrentRole,
+    hasPermission,
+    startSession,
+    clearSession,
+    refreshSession,
+    // Reconciliation
+    reconcilePoll,
+    reconcileAllPolls,
+    reconcileLog,
+    // Audit log
+    AUDIT_TYPE,
+    verifyAuditChain,
+    replayAuditLog,
+    verifyAuditLog,
+    // Anomaly detection
+    ANOMALY_TYPE,
+    VOTE_REVIEW,
+    detectVoteAnomalies,
+    getCountedVotes,
+    setVoteReview,
+    reviewAnomaly,
+    renderReviewPanel,
     // Rendering functions
+    renderPollsList,
     renderVoteResults,
     renderStats,
+    animateStatValue,
     renderVotingForm,
     renderTrends,
+    renderAnalytics,
+    updateChart,
     renderError,
+    selectPoll,
+    // Poll management
+    openPollModal,
+    closePollModal,
+    validatePollForm,
+    durationToSchedule,
+    // Poll lifecycle
+    POLL_STATUS,
+    getPollStatus,
+    isPollAcceptingVotes,
+    publishPoll,
+    closePollNow,
+    archivePoll,
+    restorePoll,
+    // Vote corrections
+    getRemovedOptionVotes,
+    openCorrectionsModal,
+    handleResetPoll,
+    handleVoidVotes,
+    handleMergeOptions,
+    handleReassignVotes,
+    handleUndoCorrection,
+    // Results snapshots
+    captureResultsSnapshot,
+    captureDueResultsSnapshots,
+    deleteResultsSnapshot,
+    compareResultsSnapshots,
+    getResultsMovement,
+    // Candidate profiles
+    getSafeImageUrl,
+    getCandidateLinks,
+    resizeImageFile,
+    openCandidateProfile,
+    closeCandidateProfile,
+    // Voter identity
+    VOTING_POLICY,
+    getVotingPolicy,
+    hasAlreadyVoted,
+    getVoterIdentity,
+    getGroupWeights,
+    getVoterGroup,
+    parseGroupWeights,
+    // Ballot types
+    BALLOT_TYPE,
+    getBallotType,
+    validateBallot,
+    calculateInstantRunoff,
+    castBallot,
+    // Data export
+    EXPORT_FORMAT,
+    exportPoll,
+    buildVotesCsv,
+    buildVotesJson,
+    buildSummaryCsv,
+    buildResultsReportHtml,
+    // Vote import
+    IMPORT_MODE,
+    parseCsv,
+    parseImportFile,
+    guessColumnMapping,
+    validateImportRows,
+    importVotes,
+    // Search & filters
+    POLL_SORT,
+    matchesPollFilters,
+    sortPolls,
+    getFilteredPolls,
+    readFiltersFromUrl,
+    setPollFilters,
+    // Routing
+    parseRoute,
+    getPollPath,
+    navigate,
+    getResultsLink,
+    shareResults,
+    // Offline vote queue
+    enqueueVote,
+    flushVoteOutbox,
     // Utilities
     escapeHtml,
     getBarColor,
     formatDate,
+    formatVoteCount,
+    formatCountdown,
+    generateIdempotencyKey,
+    hashString,
     debounce,
     throttle,
   };
@@ -0,0 +1,145 @@
+/**
+ * Vote Tracking System - Mock Server Authentication
+ * Demo accounts, bearer tokens with refresh, and role checks
+ */
+
+const crypto = require('crypto');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Roles from least to most privileged; each role can do everything below it
+const ROLES = ['viewer', 'voter', 'manager', 'admin'];
+
+const ACCESS_TOKEN_TTL = 15 * 60 * 1000; // 15 minutes
+const REFRESH_TOKEN_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Demo accounts (username = password); AUTH_USERS="name:password:role[:group],..." replaces them.
+// The optional group is the voter group the account's votes count in, e.g. jury.
+const DEFAULT_USERS = 'admin:admin:admin,manager:manager:manager,voter:voter:voter,viewer:viewer:viewer,jury:jury:voter:jury';
+
+// Role of requests without a token; public polls let anyone vote
+const ANONYMOUS_ROLE = ROLES.includes(process.env.ANONYMOUS_ROLE) ? process.env.ANONYMOUS_ROLE : 'voter';
+
+const users = parseUsers(process.env.AUTH_USERS || DEFAULT_USERS);
+const accessTokens = new Map(); // token -> { username, expiresAt }
+const refreshTokens = new Map();
+
+/**
+ * Parse "name:password:role[:group]" entries separated by commas
+ */
+function parseUsers(text) {
+  const parsed = {};
+  text.split(',').forEach((entry) => {
+    const [username, password, role, group] = entry.split(':').map((part) => (part || '').trim());
+    if (username && password && ROLES.includes(role)) {
+      parsed[username] = { username, password, role, group: group || null };
+    }
+  });
+  return parsed;
+}
+
+// ============================================================================
+// TOKENS
+// ============================================================================
+
+/**
+ * Issue a new access and refresh token pair for a user
+ */
+function issueTokens(username) {
+  const now = Date.now();
+  const accessToken = crypto.randomBytes(32).toString('hex');
+  const refreshToken = crypto.randomBytes(32).toString('hex');
+  accessTokens.set(accessToken, { username, expiresAt: now + ACCESS_TOKEN_TTL });
+  refreshTokens.set(refreshToken, { username, expiresAt: now + REFRESH_TOKEN_TTL });
+
+  return {
+    accessToken,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL / 1000,
+    user: describeUser(users[username]),
+  };
+}
+
+/**
+ * Public fields of a user
+ */
+function describeUser(user) {
+  return { username: user.username, role: user.role, group: user.group };
+}
+
+/**
+ * Check credentials, returning a token pair or null
+ */
+function login(username, password) {
+  const user = users[username];
+  if (!user || !password) return null;
+
+  const expected = Buffer.from(user.password);
+  const given = Buffer.from(String(password));
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  return issueTokens(user.username);
+}
+
+/**
+ * Swap a refresh token for a new pair; each refresh token works once
+ */
+function refresh(refreshToken) {
+  const entry = refreshTokens.get(refreshToken);
+  refreshTokens.delete(refreshToken);
+  if (!entry || entry.expiresAt < Date.now() || !users[entry.username]) return null;
+  return issueTokens(entry.username);
+}
+
+/**
+ * Revoke the tokens of a session
+ */
+function logout(accessToken, refreshToken) {
+  accessTokens.delete(accessToken);
+  refreshTokens.delete(refreshToken);
+}
+
+/**
+ * Read the bearer token of a request
+ */
+function getBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Identify the caller of a request. Returns { user, role } for valid or
+ * missing tokens, and null when a token was sent but is unknown or expired.
+ */
+function authenticate(req) {
+  const token = getBearerToken(req);
+  if (!token) return { user: null, role: ANONYMOUS_ROLE };
+
+  const entry = accessTokens.get(token);
+  if (!entry || entry.expiresAt < Date.now() || !users[entry.username]) {
+    accessTokens.delete(token);
+    return null;
+  }
+  const user = describeUser(users[entry.username]);
+  return { user, role: user.role };
+}
+
+/**
+ * Whether a role includes the rights of another
+ */
+function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+module.exports = {
+  ROLES,
+  ANONYMOUS_ROLE,
+  login,
+  refresh,
+  logout,
+  getBearerToken,
+  authenticate,
+  hasRole,
+};
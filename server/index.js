@@ -0,0 +1,612 @@
+/**
+ * Vote Tracking System - Local Mock Server
+ * Implements the documented REST API and WebSocket messages and serves the app,
+ * so the dashboard can be developed and demoed without a real backend.
+ *
+ * Usage: npm start
+ *   PORT=3000               port to listen on
+ *   DATA_FILE=./data.json   persist the store to a JSON file (in-memory otherwise)
+ *   IP_HASH_SALT=secret     salt for hashed client addresses (random per run otherwise)
+ *   AUTH_USERS=name:password:role[:group],...   accounts (demo admin/manager/voter/viewer/jury otherwise)
+ *   ANONYMOUS_ROLE=voter    role of requests without a token
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const auth = require('./auth');
+const store = require('./store');
+const websocket = require('./websocket');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  PORT: Number(process.env.PORT) || 3000,
+  DATA_FILE: process.env.DATA_FILE || null,
+  STATIC_ROOT: path.resolve(__dirname, '..'),
+  API_PREFIX: /^\/api(\/v1)?(?=\/)/,
+  WEBSOCKET_PATH: '/ws',
+  MAX_BODY_SIZE: 4 * 1024 * 1024, // 4 MB, room for inline option photos
+  // Votes keep a salted hash of the client address, never the address itself
+  IP_HASH_SALT: process.env.IP_HASH_SALT || crypto.randomBytes(16).toString('hex'),
+};
+
+const STATIC_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+};
+
+// ============================================================================
+// HTTP HELPERS
+// ============================================================================
+
+/**
+ * Send a JSON response; GET responses carry an ETag and honour If-None-Match
+ */
+function sendJson(req, res, status, body) {
+  const payload = JSON.stringify(body);
+  const headers = { 'Content-Type': 'application/json; charset=utf-8' };
+
+  if (req.method === 'GET' && status === 200) {
+    const etag = `W/"${crypto.createHash('sha1').update(payload).digest('base64')}"`;
+    headers.ETag = etag;
+    if (req.headers['if-none-match'] === etag) {
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+  }
+
+  res.writeHead(status, headers);
+  res.end(payload);
+}
+
+/**
+ * Send an error response in the documented format
+ */
+function sendError(req, res, status, error, code) {
+  sendJson(req, res, status, { success: false, error, code });
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > CONFIG.MAX_BODY_SIZE) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text) {
+        resolve({});
+        return;
+      }
+      let body;
+      try {
+        body = JSON.parse(text);
+      } catch (error) {
+        reject(Object.assign(new Error('Invalid JSON body'), { status: 400 }));
+        return;
+      }
+      if (!store.isPlainObject(body)) {
+        reject(Object.assign(new Error('Request body must be a JSON object'), { status: 400 }));
+        return;
+      }
+      resolve(body);
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Allow the app to call the API from another origin (e.g. a static file server)
+ */
+function setCorsHeaders(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'Content-Type, Authorization, Idempotency-Key, If-None-Match, X-CSRF-Token'
+  );
+  res.setHeader('Access-Control-Expose-Headers', 'ETag');
+}
+
+// ============================================================================
+// REAL-TIME NOTIFICATIONS
+// ============================================================================
+
+/**
+ * Notify subscribers of a new vote and the updated totals. Sockets are not
+ * signed in, so the vote goes out without its voter details.
+ */
+function notifyVote(vote) {
+  websocket.broadcast(vote.pollId, 'new_vote', describeVote(vote));
+  websocket.broadcast(vote.pollId, 'stats_update', {
+    ...store.getStats(vote.pollId),
+    totalVotes: store.getStats().totalVotes,
+  });
+}
+
+/**
+ * Hash a client address or voter id with the server's salt, so repeats can be
+ * spotted without revealing the value
+ */
+function hashAddress(address) {
+  if (!address) return undefined;
+  return crypto.createHash('sha256').update(CONFIG.IP_HASH_SALT + address).digest('hex').slice(0, 16);
+}
+
+/**
+ * Vote fields for responses. Only admins see the voter ID, device, address
+ * hash and idempotency key; everyone gets a voterKey that is the same for
+ * every vote of one voter in a poll, so voters can still be counted.
+ */
+function describeVote(vote, caller = null) {
+  const voter = vote.voterId || vote.deviceId;
+  const described = { ...vote, voterKey: voter ? hashAddress(`${vote.pollId}:${voter}`) : undefined };
+  if (caller && auth.hasRole(caller.role, 'admin')) return described;
+
+  const { voterId, deviceId, ipHash, idempotencyKey, ...fields } = described;
+  return fields;
+}
+
+/**
+ * Cast a vote and answer with the documented response or error
+ */
+function handleVote(req, res, eventId, body, caller) {
+  const result = store.castVote(eventId, {
+    ...body,
+    idempotencyKey: body.idempotencyKey || req.headers['idempotency-key'],
+    ipHash: hashAddress(req.socket.remoteAddress),
+  }, { group: caller.user ? caller.user.group : null, actor: getActor(caller) });
+
+  if (result.error) {
+    sendJson(req, res, result.status, {
+      success: false,
+      error: result.error,
+      code: result.code,
+      vote: result.vote,
+    });
+    return;
+  }
+
+  notifyVote(result.vote);
+  sendJson(req, res, 201, {
+    success: true,
+    data: {
+      eventId,
+      optionId: result.vote.candidateId,
+      newVoteCount: store.getStats(eventId).votesByCandidate[result.vote.candidateId],
+      vote: describeVote(result.vote, caller),
+    },
+  });
+}
+
+const CORRECTION_ACTIONS = ['reset', 'void', 'merge', 'reassign', 'undo'];
+
+/**
+ * Apply a correction to an event's votes and options, returning the snapshot
+ * that undoes it. Clients reload the event from the poll_update broadcast.
+ */
+function handleCorrection(req, res, eventId, action, body, actor) {
+  let result;
+  if (action === 'reset') {
+    result = store.resetEvent(eventId, actor);
+  } else if (action === 'void') {
+    if (!Array.isArray(body.voteIds) || body.voteIds.length === 0) {
+      sendError(req, res, 400, 'voteIds must be a non-empty array', 'BAD_REQUEST');
+      return;
+    }
+    result = store.voidVotes(eventId, body.voteIds.map(String), String(body.reason || ''), actor);
+  } else if (action === 'merge') {
+    if (!Array.isArray(body.sourceIds) || !body.targetId) {
+      sendError(req, res, 400, 'sourceIds must be an array and targetId is required', 'BAD_REQUEST');
+      return;
+    }
+    result = store.mergeOptions(eventId, body.sourceIds.map(String), String(body.targetId), actor);
+  } else if (action === 'reassign') {
+    if (!body.fromOptionId || !body.toOptionId) {
+      sendError(req, res, 400, 'fromOptionId and toOptionId are required', 'BAD_REQUEST');
+      return;
+    }
+    result = store.reassignVotes(eventId, String(body.fromOptionId), String(body.toOptionId), actor);
+  } else {
+    result = store.restoreSnapshot(eventId, String(body.snapshotId || ''), actor);
+  }
+
+  if (result.error) {
+    sendError(req, res, result.status, result.error, result.code);
+    return;
+  }
+  websocket.broadcast(eventId, 'poll_update', { pollId: eventId });
+  sendJson(req, res, 200, { success: true, data: result });
+}
+
+// ============================================================================
+// AUTHENTICATION
+// ============================================================================
+
+/**
+ * Answer 401 or 403 unless the caller has a role; returns whether it does
+ */
+function requireRole(req, res, caller, role) {
+  if (auth.hasRole(caller.role, role)) return true;
+  if (caller.user) {
+    sendError(req, res, 403, 'Your role does not allow this action', 'FORBIDDEN');
+  } else {
+    sendError(req, res, 401, 'Authentication required', 'UNAUTHORIZED');
+  }
+  return false;
+}
+
+/**
+ * Name recorded in the audit log for the caller of a request
+ */
+function getActor(caller) {
+  return caller.user ? caller.user.username : null;
+}
+
+/**
+ * Handle the /auth endpoints: login, refresh, logout and me
+ */
+function handleAuth(req, res, action, body) {
+  if (action === 'login' && req.method === 'POST') {
+    const session = auth.login(body.username, body.password);
+    if (!session) {
+      sendError(req, res, 401, 'Invalid username or password', 'INVALID_CREDENTIALS');
+      return;
+    }
+    sendJson(req, res, 200, { success: true, data: session });
+    return;
+  }
+
+  if (action === 'refresh' && req.method === 'POST') {
+    const session = auth.refresh(body.refreshToken);
+    if (!session) {
+      sendError(req, res, 401, 'Session expired', 'UNAUTHORIZED');
+      return;
+    }
+    sendJson(req, res, 200, { success: true, data: session });
+    return;
+  }
+
+  if (action === 'logout' && req.method === 'POST') {
+    auth.logout(auth.getBearerToken(req), body.refreshToken);
+    sendJson(req, res, 200, { success: true });
+    return;
+  }
+
+  if (action === 'me' && req.method === 'GET') {
+    const caller = auth.authenticate(req);
+    if (!caller) {
+      sendError(req, res, 401, 'Session expired', 'UNAUTHORIZED');
+      return;
+    }
+    sendJson(req, res, 200, { success: true, data: { ...caller, anonymousRole: auth.ANONYMOUS_ROLE } });
+    return;
+  }
+
+  sendError(req, res, 404, 'Endpoint not found', 'NOT_FOUND');
+}
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+/**
+ * Route an API request; the path has the /api prefix removed
+ */
+async function handleApi(req, res, pathname, query) {
+  const segments = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  const [resource, eventId, action] = segments;
+  const body = ['POST', 'PUT'].includes(req.method) ? await readBody(req) : {};
+
+  if (resource === 'auth' && segments.length === 2) {
+    handleAuth(req, res, segments[1], body);
+    return;
+  }
+
+  const caller = auth.authenticate(req);
+  if (!caller) {
+    sendError(req, res, 401, 'Session expired', 'UNAUTHORIZED');
+    return;
+  }
+
+  // Legacy single-list endpoints
+  if (resource === 'votes' && segments.length === 1) {
+    if (req.method === 'GET') {
+      sendJson(req, res, 200, { votes: store.listVotes().votes.map((vote) => describeVote(vote, caller)) });
+      return;
+    }
+    if (req.method === 'POST') {
+      if (!requireRole(req, res, caller, 'voter')) return;
+      handleVote(req, res, body.pollId || body.eventId, body, caller);
+      return;
+    }
+  }
+
+  if (resource === 'candidates' && segments.length === 1 && req.method === 'GET') {
+    const events = store.listEvents().filter((event) => !query.get('eventId') || event.id === query.get('eventId'));
+    const candidates = events.flatMap((event) =>
+      event.options.map((option) => ({ ...option, pollId: event.id }))
+    );
+    sendJson(req, res, 200, { candidates });
+    return;
+  }
+
+  if (resource === 'stats' && segments.length === 1 && req.method === 'GET') {
+    const eventId = query.get('eventId');
+    if (eventId && !store.findEvent(eventId)) {
+      sendError(req, res, 404, 'Event not found', 'NOT_FOUND');
+      return;
+    }
+    sendJson(req, res, 200, { success: true, ...store.getStats(eventId) });
+    return;
+  }
+
+  if (resource === 'audit' && segments.length === 1 && req.method === 'GET') {
+    if (!requireRole(req, res, caller, 'admin')) return;
+    const since = query.has('since') ? Number(query.get('since')) : null;
+    sendJson(req, res, 200, { success: true, entries: store.listAudit(since) });
+    return;
+  }
+
+  // Events
+  if (resource === 'events' && segments.length === 1) {
+    if (req.method === 'GET') {
+      sendJson(req, res, 200, { success: true, data: store.listEvents() });
+      return;
+    }
+    if (req.method === 'POST') {
+      if (!requireRole(req, res, caller, 'manager')) return;
+      const error = store.validateEvent(body);
+      if (error) {
+        sendError(req, res, 400, error, 'BAD_REQUEST');
+        return;
+      }
+      const event = store.createEvent(body, getActor(caller));
+      websocket.broadcast(null, 'poll_update', { pollId: event.id });
+      sendJson(req, res, 201, { success: true, data: store.getEvent(event.id) });
+      return;
+    }
+  }
+
+  if (resource === 'events' && eventId && !store.findEvent(eventId)) {
+    sendError(req, res, 404, 'Event not found', 'NOT_FOUND');
+    return;
+  }
+
+  if (resource === 'events' && segments.length === 2) {
+    if (req.method === 'GET') {
+      sendJson(req, res, 200, { success: true, data: store.getEvent(eventId) });
+      return;
+    }
+    if (req.method === 'PUT') {
+      if (!requireRole(req, res, caller, 'manager')) return;
+      const error = store.validateEvent(body, true, store.findEvent(eventId));
+      if (error) {
+        sendError(req, res, 400, error, 'BAD_REQUEST');
+        return;
+      }
+      store.updateEvent(eventId, body, getActor(caller));
+      websocket.broadcast(eventId, 'poll_update', { pollId: eventId });
+      sendJson(req, res, 200, {
+        success: true,
+        data: { ...store.getEvent(eventId), message: 'Event updated successfully' },
+      });
+      return;
+    }
+    if (req.method === 'DELETE') {
+      if (!requireRole(req, res, caller, 'manager')) return;
+      store.deleteEvent(eventId, getActor(caller));
+      websocket.broadcast(eventId, 'poll_update', { pollId: eventId, deleted: true });
+      sendJson(req, res, 200, { success: true, message: 'Event deleted successfully' });
+      return;
+    }
+  }
+
+  if (resource === 'events' && action === 'vote' && req.method === 'POST') {
+    if (!requireRole(req, res, caller, 'voter')) return;
+    handleVote(req, res, eventId, body, caller);
+    return;
+  }
+
+  if (resource === 'events' && action === 'votes' && req.method === 'POST') {
+    // Imported votes skip the event's status and voting window, so only managers may add them
+    if (!requireRole(req, res, caller, 'manager')) return;
+    if (!Array.isArray(body.votes)) {
+      sendError(req, res, 400, 'votes must be an array', 'BAD_REQUEST');
+      return;
+    }
+    const { votes, ...result } = store.importVotes(eventId, body.votes, getActor(caller));
+    // One reload instead of a message per imported vote
+    if (votes.length > 0) {
+      websocket.broadcast(eventId, 'poll_update', { pollId: eventId });
+    }
+    sendJson(req, res, 200, { success: true, data: result });
+    return;
+  }
+
+  if (resource === 'events' && action === 'review' && req.method === 'POST') {
+    if (!requireRole(req, res, caller, 'admin')) return;
+    if (!Array.isArray(body.voteIds) || !['excluded', 'included'].includes(body.decision)) {
+      sendError(req, res, 400, 'voteIds must be an array and decision "excluded" or "included"', 'BAD_REQUEST');
+      return;
+    }
+    const entry = store.recordVoteReview(eventId, body.voteIds.map(String), body.decision, getActor(caller));
+    // Tallies changed for everyone, so every dashboard reloads the poll
+    websocket.broadcast(eventId, 'poll_update', { pollId: eventId });
+    sendJson(req, res, 200, { success: true, data: entry });
+    return;
+  }
+
+  if (resource === 'events' && action === 'snapshots' && req.method === 'GET') {
+    if (!requireRole(req, res, caller, 'manager')) return;
+    sendJson(req, res, 200, { success: true, data: store.listSnapshots(eventId) });
+    return;
+  }
+
+  if (resource === 'events' && CORRECTION_ACTIONS.includes(action) && req.method === 'POST') {
+    if (!requireRole(req, res, caller, 'manager')) return;
+    handleCorrection(req, res, eventId, action, body, getActor(caller));
+    return;
+  }
+
+  if (resource === 'events' && action === 'votes' && req.method === 'GET') {
+    const since = query.has('since') ? Number(query.get('since')) : null;
+    const { votes, ...delta } = store.listVotes(eventId, since);
+    sendJson(req, res, 200, { success: true, votes: votes.map((vote) => describeVote(vote, caller)), ...delta });
+    return;
+  }
+
+  sendError(req, res, 404, 'Endpoint not found', 'NOT_FOUND');
+}
+
+/**
+ * Serve a file of the app from the repository root
+ */
+function serveStatic(req, res, pathname) {
+  const relativePath = pathname === '/' ? 'index.html' : pathname.slice(1);
+  const filePath = path.resolve(CONFIG.STATIC_ROOT, relativePath);
+  const type = STATIC_TYPES[path.extname(filePath)];
+
+  // Only known file types inside the app directory, never the server itself
+  const outsideRoot = !filePath.startsWith(CONFIG.STATIC_ROOT + path.sep);
+  const internal = filePath.startsWith(__dirname) || relativePath.split('/').some((part) => part.startsWith('.'));
+  if (outsideRoot || internal || !type) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+    return;
+  }
+
+  fs.readFile(filePath, (error, content) => {
+    if (error) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': type });
+    res.end(content);
+  });
+}
+
+/**
+ * Handle every HTTP request
+ */
+async function handleRequest(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  setCorsHeaders(res);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  try {
+    if (CONFIG.API_PREFIX.test(url.pathname)) {
+      await handleApi(req, res, url.pathname.replace(CONFIG.API_PREFIX, ''), url.searchParams);
+    } else if (req.method === 'GET') {
+      serveStatic(req, res, decodeURIComponent(url.pathname));
+    } else {
+      sendError(req, res, 405, 'Method not allowed', 'BAD_REQUEST');
+    }
+  } catch (error) {
+    // decodeURIComponent throws on malformed % escapes in the path
+    if (error instanceof URIError) {
+      sendError(req, res, 400, 'Malformed URL', 'BAD_REQUEST');
+      return;
+    }
+    if (error.status) {
+      sendError(req, res, error.status, error.message, 'BAD_REQUEST');
+      return;
+    }
+    console.error('Unhandled request error:', error);
+    sendError(req, res, 500, 'Internal server error', 'SERVER_ERROR');
+  }
+}
+
+// ============================================================================
+// STARTUP
+// ============================================================================
+
+/**
+ * Start the mock server
+ */
+function start() {
+  store.loadStore(CONFIG.DATA_FILE);
+
+  // Votes may also be cast over the socket
+  websocket.onMessage((socket, message) => {
+    if (message.type !== 'vote') {
+      websocket.sendError(socket, `Unknown message type: ${message.type}`);
+      return;
+    }
+    // Socket votes carry no token, so they need anonymous voting
+    if (!auth.hasRole(auth.ANONYMOUS_ROLE, 'voter')) {
+      websocket.sendError(socket, 'Sign in to vote');
+      return;
+    }
+    const data = message.data || {};
+    const result = store.castVote(data.pollId, { ...data, ipHash: hashAddress(socket.remoteAddress) });
+    if (result.error) {
+      websocket.sendError(socket, result.error);
+      return;
+    }
+    notifyVote(result.vote);
+  });
+
+  const server = http.createServer(handleRequest);
+
+  server.on('upgrade', (req, socket) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== CONFIG.WEBSOCKET_PATH) {
+      socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+      return;
+    }
+    websocket.handleUpgrade(req, socket);
+  });
+
+  server.listen(CONFIG.PORT, () => {
+    console.log(`Vote Tracker mock server running on http://localhost:${CONFIG.PORT}`);
+    console.log(`API: http://localhost:${CONFIG.PORT}/api  WebSocket: ws://localhost:${CONFIG.PORT}${CONFIG.WEBSOCKET_PATH}`);
+    console.log(CONFIG.DATA_FILE ? `Persisting data to ${CONFIG.DATA_FILE}` : 'Using in-memory data');
+  });
+
+  const shutdown = () => {
+    websocket.closeAll();
+    server.close(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  return server;
+}
+
+if (require.main === module) {
+  start();
+}
+
+module.exports = { start, handleRequest };
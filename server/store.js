@@ -0,0 +1,1023 @@
+/**
+ * Vote Tracking System - Mock Server Store
+ * In-memory data store for events (polls) and votes, optionally persisted to a JSON file
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+const SAVE_DELAY = 200; // debounce file writes
+
+const VOTING_POLICIES = ['per_voter', 'per_device', 'unlimited'];
+
+const BALLOT_TYPES = ['single', 'multi', 'approval', 'ranked'];
+
+// Option photos are inline data URLs (resized by the dashboard) or http(s) links
+const IMAGE_URL_PATTERN = /^(data:image\/(png|jpeg|webp|gif);base64,[a-z0-9+/=]+|https?:\/\/\S+)$/i;
+const LINK_URL_PATTERN = /^https?:\/\/\S+$/i;
+const MAX_IMAGE_LENGTH = 200 * 1024; // characters of an inline photo
+const MAX_OPTION_LINKS = 5;
+const MAX_BIO_LENGTH = 2000;
+const MAX_LABEL_LENGTH = 100; // category and team or school
+
+let db = createEmptyDb();
+let dataFile = null;
+let saveTimer = null;
+
+/**
+ * Create an empty database
+ */
+function createEmptyDb() {
+  return {
+    events: [],
+    votes: [],
+    tombstones: [], // removed votes, kept so delta syncs can report them
+    snapshots: [], // options and votes each correction removed or changed
+    images: {}, // inline option photos by SHA-256, so copies refer to them by hash
+    idempotencyKeys: {},
+    audit: [], // append-only, hash-chained log of votes and poll changes
+  };
+}
+
+// ============================================================================
+// PERSISTENCE
+// ============================================================================
+
+/**
+ * Load the store from a JSON file, or seed demo data when there is none
+ */
+function loadStore(file = null) {
+  dataFile = file;
+
+  if (dataFile && fs.existsSync(dataFile)) {
+    try {
+      db = { ...createEmptyDb(), ...JSON.parse(fs.readFileSync(dataFile, 'utf8')) };
+      console.log(`Loaded ${db.events.length} events and ${db.votes.length} votes from ${dataFile}`);
+      // Files written before the audit log start it from a snapshot
+      if (db.audit.length === 0 && (db.events.length > 0 || db.votes.length > 0)) {
+        const events = db.events.map((event) => ({ ...event, options: event.options.map(withImageHash) }));
+        appendAudit('log_started', null, { events, votes: db.votes });
+        saveStore();
+      }
+      return;
+    } catch (error) {
+      console.error(`Error reading ${dataFile}, starting with demo data:`, error.message);
+    }
+  }
+
+  db = createEmptyDb();
+  seedStore();
+  saveStore();
+}
+
+/**
+ * Schedule a write of the store to its JSON file
+ */
+function saveStore() {
+  if (!dataFile || saveTimer) return;
+
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    fs.writeFile(dataFile, JSON.stringify(db, null, 2), (error) => {
+      if (error) console.error(`Error writing ${dataFile}:`, error.message);
+    });
+  }, SAVE_DELAY);
+}
+
+/**
+ * Populate the store with demo events and votes
+ */
+function seedStore() {
+  const now = Date.now();
+  const hour = 3600000;
+
+  const songs = createEvent({
+    name: 'Lan Song Xanh - Song of the Year',
+    description: 'Vote for the best song of the year',
+    startTime: new Date(now - 2 * hour).toISOString(),
+    endTime: new Date(now + 22 * hour).toISOString(),
+    options: [
+      { name: 'Song A', description: 'Ballad' },
+      { name: 'Song B', description: 'Pop' },
+      { name: 'Song C', description: 'Rock' },
+      { name: 'Song D', description: 'Indie' },
+    ],
+  });
+
+  const artists = createEvent({
+    name: 'Lan Song Xanh - New Artist',
+    description: 'Vote for the most promising new artist',
+    startTime: new Date(now - 48 * hour).toISOString(),
+    endTime: new Date(now - 24 * hour).toISOString(),
+    options: [
+      { name: 'Artist A', category: 'Solo', team: 'Hanoi Academy of Music', bio: 'Singer-songwriter from Hanoi.' },
+      { name: 'Artist B', category: 'Band', team: 'Saigon Indie Collective' },
+      { name: 'Artist C', category: 'Solo', team: 'Hue Arts College' },
+    ],
+  });
+
+  createEvent({
+    name: 'Lan Song Xanh - Music Video',
+    description: 'Voting opens tomorrow',
+    startTime: new Date(now + 24 * hour).toISOString(),
+    endTime: new Date(now + 48 * hour).toISOString(),
+    options: [{ name: 'Video A' }, { name: 'Video B' }],
+  });
+
+  // Spread demo votes over the time each poll has been open
+  [
+    [songs, 120, 2 * hour],
+    [artists, 80, 24 * hour],
+  ].forEach(([event, count, span]) => {
+    const openedAt = new Date(event.startTime).getTime();
+    for (let i = 0; i < count; i += 1) {
+      const option = event.options[Math.floor(Math.random() ** 1.5 * event.options.length)];
+      addVote(event, {
+        optionId: option.id,
+        voterId: `voter_${i}`,
+        timestamp: new Date(openedAt + Math.random() * span).toISOString(),
+      });
+    }
+  });
+}
+
+// ============================================================================
+// EVENTS
+// ============================================================================
+
+/**
+ * Generate a short random id with a prefix
+ */
+function generateId(prefix) {
+  return `${prefix}_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+/**
+ * Check that a value parsed from JSON is an object, not null, an array or a primitive
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Resolve the effective status of an event from its stored status and schedule
+ */
+function getEventStatus(event, now = Date.now()) {
+  if (['draft', 'closed', 'archived'].includes(event.status)) return event.status;
+  if (event.startTime && now < new Date(event.startTime).getTime()) return 'scheduled';
+  if (event.endTime && now >= new Date(event.endTime).getTime()) return 'closed';
+  return 'open';
+}
+
+/**
+ * Assign ids to new options and keep the ids of existing ones
+ */
+function normalizeOptions(options, existing = []) {
+  return options.map((option) => {
+    const current = existing.find((o) => o.id === option.id);
+    return {
+      ...current,
+      ...option,
+      id: current ? current.id : generateId('opt'),
+      name: String(option.name || '').trim(),
+    };
+  });
+}
+
+/**
+ * Validate event fields, returning an error message or null. Updates pass the
+ * current event, so a new start or end time is checked against the other.
+ */
+function validateEvent(fields, partial = false, current = null) {
+  if (!partial || fields.name !== undefined) {
+    if (!fields.name || !String(fields.name).trim()) return 'Event name is required';
+  }
+
+  if (!partial || fields.options !== undefined) {
+    const options = fields.options || [];
+    if (!Array.isArray(options) || options.length < 2) return 'At least 2 options are required';
+    if (!options.every(isPlainObject)) return 'Each option must be an object';
+
+    const names = options.map((option) => String(option.name || '').trim().toLowerCase());
+    if (names.some((name) => !name)) return 'Option names are required';
+    if (new Set(names).size !== names.length) return 'Option names must be unique';
+
+    const profileError = options.map(validateOptionProfile).find(Boolean);
+    if (profileError) return profileError;
+  }
+
+  if (fields.votingPolicy !== undefined && !VOTING_POLICIES.includes(fields.votingPolicy)) {
+    return `Voting policy must be one of: ${VOTING_POLICIES.join(', ')}`;
+  }
+
+  if (fields.ballotType !== undefined && !BALLOT_TYPES.includes(fields.ballotType)) {
+    return `Ballot type must be one of: ${BALLOT_TYPES.join(', ')}`;
+  }
+
+  if (fields.groupWeights !== undefined && fields.groupWeights !== null) {
+    const weights = Object.values(fields.groupWeights);
+    // An empty map would weight every group 0; null means no weighting
+    if (!isPlainObject(fields.groupWeights) || weights.length === 0 || weights.some((weight) => !(Number(weight) > 0))) {
+      return 'Group weights must map at least one group name to a positive number';
+    }
+  }
+
+  if (fields.eligibleVoters !== undefined && fields.eligibleVoters !== null) {
+    if (!Number.isInteger(fields.eligibleVoters) || fields.eligibleVoters < 1) {
+      return 'Eligible voters must be a positive integer';
+    }
+  }
+
+  if (fields.maxSelections !== undefined && fields.maxSelections !== null) {
+    if (!Number.isInteger(fields.maxSelections) || fields.maxSelections < 1) {
+      return 'Max selections must be a positive integer';
+    }
+  }
+
+  const isDate = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+  if (fields.startTime !== undefined && fields.startTime !== null && !isDate(fields.startTime)) {
+    return 'Start time must be a valid date';
+  }
+  if (fields.endTime !== undefined && fields.endTime !== null && !isDate(fields.endTime)) {
+    return 'End time must be a valid date';
+  }
+  const startTime = fields.startTime !== undefined ? fields.startTime : current && current.startTime;
+  const endTime = fields.endTime !== undefined ? fields.endTime : current && current.endTime;
+  if (startTime && endTime && Date.parse(endTime) < Date.parse(startTime)) {
+    return 'End time must not be before the start time';
+  }
+
+  return null;
+}
+
+/**
+ * Validate the profile fields of an option, returning an error message or null
+ */
+function validateOptionProfile(option) {
+  const name = String(option.name).trim();
+  if (option.image && (!IMAGE_URL_PATTERN.test(option.image) || option.image.length > MAX_IMAGE_LENGTH)) {
+    return `The photo of ${name} must be an image of up to ${MAX_IMAGE_LENGTH / 1024} KB or an http(s) URL`;
+  }
+  if (option.links !== undefined && option.links !== null) {
+    if (!Array.isArray(option.links) || option.links.length > MAX_OPTION_LINKS) {
+      return `${name} can have up to ${MAX_OPTION_LINKS} links`;
+    }
+    if (option.links.some((link) => !LINK_URL_PATTERN.test(link))) {
+      return `Links of ${name} must be http(s) URLs`;
+    }
+  }
+  if (option.bio && String(option.bio).length > MAX_BIO_LENGTH) {
+    return `The bio of ${name} must be at most ${MAX_BIO_LENGTH} characters`;
+  }
+  if ([option.category, option.team].some((label) => label && String(label).length > MAX_LABEL_LENGTH)) {
+    return `The category and team of ${name} must be at most ${MAX_LABEL_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Copy an option for the audit log or a snapshot. An inline photo is kept
+ * once in the image store and the copy holds its SHA-256 instead.
+ */
+function withImageHash(option) {
+  if (!option.image || !option.image.startsWith('data:')) return option;
+  const imageHash = crypto.createHash('sha256').update(option.image).digest('hex');
+  db.images[imageHash] = option.image;
+  const { image, ...fields } = option;
+  return { ...fields, imageHash };
+}
+
+/**
+ * Put the photo back into an option copied with withImageHash
+ */
+function withImage(option) {
+  const { imageHash, ...fields } = option;
+  if (!imageHash) return option;
+  return db.images[imageHash] ? { ...fields, image: db.images[imageHash] } : fields;
+}
+
+/**
+ * List all events
+ */
+function listEvents() {
+  return db.events.map(serializeEvent);
+}
+
+/**
+ * Find an event by id
+ */
+function findEvent(eventId) {
+  return db.events.find((event) => event.id === eventId) || null;
+}
+
+/**
+ * Get an event with vote counts
+ */
+function getEvent(eventId) {
+  const event = findEvent(eventId);
+  return event ? serializeEvent(event) : null;
+}
+
+/**
+ * Create an event
+ */
+function createEvent(fields, actor = null) {
+  const now = new Date().toISOString();
+  const event = {
+    ...fields,
+    id: generateId('event'),
+    name: String(fields.name).trim(),
+    description: fields.description || '',
+    status: fields.status || 'open',
+    votingPolicy: fields.votingPolicy || 'unlimited',
+    ballotType: fields.ballotType || 'single',
+    maxSelections: fields.maxSelections || null,
+    groupWeights: fields.groupWeights || null,
+    eligibleVoters: fields.eligibleVoters || null,
+    options: normalizeOptions(fields.options || []),
+    startTime: fields.startTime || now,
+    endTime: fields.endTime || null,
+    createdAt: now,
+    updatedAt: now,
+    seq: 0,
+  };
+
+  db.events.push(event);
+  appendAudit('poll_created', event.id, { event: { ...event, options: event.options.map(withImageHash) } }, actor);
+  saveStore();
+  return event;
+}
+
+/**
+ * Update an event, keeping ids of existing options
+ */
+function updateEvent(eventId, fields, actor = null) {
+  const event = findEvent(eventId);
+  if (!event) return null;
+
+  const { id, seq, createdAt, ...changes } = fields;
+  if (changes.options) {
+    changes.options = normalizeOptions(changes.options, event.options);
+  }
+
+  Object.assign(event, changes, { updatedAt: new Date().toISOString() });
+  const logged = changes.options ? { ...changes, options: changes.options.map(withImageHash) } : changes;
+  appendAudit('poll_updated', eventId, { changes: logged }, actor);
+  saveStore();
+  return event;
+}
+
+/**
+ * Delete an event and its votes
+ */
+function deleteEvent(eventId, actor = null) {
+  const event = findEvent(eventId);
+  if (!event) return false;
+
+  db.events = db.events.filter((e) => e.id !== eventId);
+  db.votes = db.votes.filter((vote) => vote.pollId !== eventId);
+  db.tombstones = db.tombstones.filter((tombstone) => tombstone.pollId !== eventId);
+  db.snapshots = db.snapshots.filter((snapshot) => snapshot.pollId !== eventId);
+  appendAudit('poll_deleted', eventId, {}, actor);
+  saveStore();
+  return true;
+}
+
+/**
+ * Add vote counts and effective status to an event for responses
+ */
+function serializeEvent(event) {
+  const stats = getStats(event.id);
+  return {
+    ...event,
+    status: getEventStatus(event),
+    totalVotes: stats.totalVotes,
+    options: event.options.map((option) => ({
+      ...option,
+      votes: stats.votesByCandidate[option.id] || 0,
+      percentage: stats.percentages[option.id] || 0,
+    })),
+  };
+}
+
+// ============================================================================
+// VOTES
+// ============================================================================
+
+/**
+ * Append a vote to an event, assigning the next sequence number. The audit
+ * entry names the signed-in account that cast it, never a voter ID the client sent.
+ */
+function addVote(event, fields, actor = null) {
+  event.seq += 1;
+  const vote = {
+    ...fields,
+    id: generateId('vote'),
+    seq: event.seq,
+    pollId: event.id,
+    candidateId: fields.optionId,
+    timestamp: fields.timestamp || new Date().toISOString(),
+  };
+
+  db.votes.push(vote);
+  if (vote.idempotencyKey) {
+    db.idempotencyKeys[vote.idempotencyKey] = vote.id;
+  }
+  appendAudit('vote_cast', event.id, { vote }, actor);
+  saveStore();
+  return vote;
+}
+
+/**
+ * Cast a vote, returning { vote } or { error, code, status }.
+ * Imported votes were collected elsewhere while the poll ran, so they are
+ * accepted whatever the poll's current status and keep their timestamp,
+ * group, weight and voter ID. Live votes are stamped with the server time,
+ * count once and take the voter ID and group of the signed-in account, never
+ * ones the caller sent.
+ */
+function castVote(eventId, fields, { imported = false, group = null, actor = null } = {}) {
+  if (!isPlainObject(fields)) {
+    return { error: 'A vote must be an object', code: 'BAD_REQUEST', status: 400 };
+  }
+  const event = findEvent(eventId);
+  if (!event) {
+    return { error: 'Event not found', code: 'NOT_FOUND', status: 404 };
+  }
+
+  // An own-property check, so keys such as "constructor" are not found on Object.prototype
+  if (fields.idempotencyKey && Object.prototype.hasOwnProperty.call(db.idempotencyKeys, fields.idempotencyKey)) {
+    return { error: 'Vote already recorded', code: 'DUPLICATE_VOTE', status: 409 };
+  }
+
+  if (!imported && getEventStatus(event) !== 'open') {
+    return { error: 'This poll is not accepting votes', code: 'POLL_NOT_OPEN', status: 400 };
+  }
+
+  if (imported && fields.timestamp !== undefined && Number.isNaN(Date.parse(fields.timestamp))) {
+    return { error: 'Invalid timestamp', code: 'BAD_REQUEST', status: 400 };
+  }
+
+  const ballot = readBallot(event, fields);
+  if (ballot.error) {
+    return { error: ballot.error, code: 'BAD_REQUEST', status: 400 };
+  }
+
+  const groupError = imported ? checkVoteGroup(event, fields) : null;
+  if (groupError) return groupError;
+
+  const voterId = (imported ? fields.voterId : actor) || undefined;
+  const policyError = checkVotingPolicy(event, { ...fields, voterId }, imported);
+  if (policyError) return policyError;
+
+  const vote = addVote(event, {
+    optionId: ballot.choices[0],
+    selections: ballot.selections,
+    rankings: ballot.rankings,
+    voterId,
+    deviceId: fields.deviceId,
+    ipHash: fields.ipHash,
+    group: (imported ? fields.group : getCallerGroup(event, group)) || undefined,
+    weight: imported && fields.weight !== undefined ? Number(fields.weight) : undefined,
+    idempotencyKey: fields.idempotencyKey,
+    timestamp: imported && fields.timestamp ? new Date(fields.timestamp).toISOString() : undefined,
+  }, actor);
+  return { vote };
+}
+
+/**
+ * Import a batch of votes into an event, returning { accepted, rejected, votes }
+ * where rejected lists the index and error of each vote that was refused.
+ * A row that is not an object is refused like any other invalid vote.
+ */
+function importVotes(eventId, votes, actor = null) {
+  const accepted = [];
+  const rejected = [];
+
+  votes.forEach((fields, index) => {
+    if (!isPlainObject(fields)) {
+      rejected.push({ index, error: 'A vote must be an object', code: 'BAD_REQUEST' });
+      return;
+    }
+    const result = castVote(eventId, fields, { imported: true, actor });
+    if (result.error) {
+      rejected.push({ index, error: result.error, code: result.code });
+    } else {
+      accepted.push(result.vote);
+    }
+  });
+
+  return { accepted: accepted.length, rejected, votes: accepted };
+}
+
+/**
+ * Read the chosen options of a ballot for the event's ballot type,
+ * returning { choices, selections, rankings } or { error }
+ */
+function readBallot(event, fields) {
+  const ballotType = event.ballotType || 'single';
+  let choices;
+  if (ballotType === 'ranked') {
+    choices = fields.rankings || [fields.optionId || fields.candidateId];
+  } else if (ballotType === 'single') {
+    choices = [fields.optionId || fields.candidateId];
+  } else {
+    choices = fields.selections || [fields.optionId || fields.candidateId];
+  }
+
+  if (!Array.isArray(choices) || choices.length === 0 || !choices[0]) {
+    return { error: 'At least one option must be chosen' };
+  }
+  if (choices.some((optionId) => !event.options.some((option) => option.id === optionId))) {
+    return { error: 'Unknown option' };
+  }
+  if (new Set(choices).size !== choices.length) {
+    return { error: 'Each option can only be chosen once' };
+  }
+  if (event.maxSelections && choices.length > event.maxSelections) {
+    return { error: `At most ${event.maxSelections} options can be chosen` };
+  }
+
+  return {
+    choices,
+    selections: ['multi', 'approval'].includes(ballotType) ? choices : undefined,
+    rankings: ballotType === 'ranked' ? choices : undefined,
+  };
+}
+
+/**
+ * Get the options a vote counts towards: every selection of approval and
+ * multi-select ballots, the first preference of ranked ballots
+ */
+function getCountedChoices(vote, ballotType) {
+  if (['multi', 'approval'].includes(ballotType) && vote.selections) {
+    return vote.selections;
+  }
+  return [vote.candidateId];
+}
+
+/**
+ * Get the group a live vote counts in: the caller's group when the event
+ * scores it, the default public group otherwise
+ */
+function getCallerGroup(event, group) {
+  return group && event.groupWeights && group in event.groupWeights ? group : null;
+}
+
+/**
+ * Check an imported vote's voter group against the event's group weights and its weight
+ */
+function checkVoteGroup(event, fields) {
+  if (fields.group && event.groupWeights && !(fields.group in event.groupWeights)) {
+    return { error: `Unknown voter group: ${fields.group}`, code: 'BAD_REQUEST', status: 400 };
+  }
+  if (fields.weight !== undefined && !(Number(fields.weight) >= 0)) {
+    return { error: 'Vote weight must be a non-negative number', code: 'BAD_REQUEST', status: 400 };
+  }
+  return null;
+}
+
+/**
+ * Enforce the event's one-vote-per-voter or per-device policy. Live votes in
+ * a one-vote-per-voter poll need a signed-in account, which is their voter ID.
+ */
+function checkVotingPolicy(event, fields, imported = false) {
+  const policy = event.votingPolicy || 'unlimited';
+  if (policy === 'unlimited') return null;
+
+  const key = policy === 'per_voter' ? 'voterId' : 'deviceId';
+  if (!fields[key] && policy === 'per_voter' && !imported) {
+    return { error: 'Sign in to vote in this poll', code: 'UNAUTHORIZED', status: 401 };
+  }
+  if (!fields[key]) {
+    return {
+      error: policy === 'per_voter' ? 'A voter ID is required' : 'A device ID is required',
+      code: 'BAD_REQUEST',
+      status: 400,
+    };
+  }
+
+  const existing = db.votes.find((vote) => vote.pollId === event.id && vote[key] === fields[key]);
+  if (existing) {
+    // Anyone can send any device ID, so the earlier choice is only told to
+    // the signed-in account that cast it
+    const own = policy === 'per_voter' && !imported;
+    return {
+      error: 'You have already voted in this poll',
+      code: 'ALREADY_VOTED',
+      status: 409,
+      vote: own ? { candidateId: existing.candidateId, timestamp: existing.timestamp } : undefined,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * List votes, optionally only those of one event changed after a sequence number
+ */
+function listVotes(eventId = null, since = null) {
+  const inEvent = (item) => !eventId || item.pollId === eventId;
+  const after = (item) => since === null || item.seq > since;
+
+  return {
+    votes: db.votes.filter((vote) => inEvent(vote) && after(vote)),
+    removed: db.tombstones
+      .filter((tombstone) => inEvent(tombstone) && after(tombstone))
+      .map((tombstone) => tombstone.id),
+    cursor: eventId && findEvent(eventId) ? findEvent(eventId).seq : null,
+  };
+}
+
+// ============================================================================
+// CORRECTIONS
+// ============================================================================
+
+// Vote fields a merge or reassignment changes, and its undo puts back
+const CHOICE_FIELDS = ['optionId', 'candidateId', 'selections', 'rankings'];
+
+/**
+ * Start the snapshot of a correction. The correction fills in what it changes:
+ * the options and votes it removes and each vote it changes as it was before,
+ * so undoing it reverses that correction alone.
+ */
+function createSnapshot(event, action, actor = null) {
+  const snapshot = {
+    id: generateId('snap'),
+    pollId: event.id,
+    action,
+    actor,
+    createdAt: new Date().toISOString(),
+    restoredAt: null,
+    removedOptions: [],
+    removedVotes: [],
+    changedVotes: [],
+  };
+  db.snapshots.push(snapshot);
+  return snapshot;
+}
+
+/**
+ * Snapshot fields for responses, without the saved options and votes
+ */
+function describeSnapshot(snapshot) {
+  const { removedOptions, removedVotes, changedVotes, ...fields } = snapshot;
+  return {
+    ...fields,
+    optionCount: removedOptions.length,
+    voteCount: removedVotes.length + changedVotes.length,
+  };
+}
+
+/**
+ * List the snapshots of an event, newest first
+ */
+function listSnapshots(eventId) {
+  return db.snapshots
+    .filter((snapshot) => snapshot.pollId === eventId)
+    .map(describeSnapshot)
+    .reverse();
+}
+
+/**
+ * Remove votes from an event, leaving tombstones so delta syncs report them
+ * and saving them in the snapshot. Returns the ids of the removed votes.
+ */
+function removeVotes(event, voteIds, snapshot) {
+  const ids = new Set(voteIds);
+  const removed = db.votes.filter((vote) => vote.pollId === event.id && ids.has(vote.id));
+  snapshot.removedVotes.push(...JSON.parse(JSON.stringify(removed)));
+  db.votes = db.votes.filter((vote) => !(vote.pollId === event.id && ids.has(vote.id)));
+  removed.forEach((vote) => {
+    event.seq += 1;
+    db.tombstones.push({ id: vote.id, pollId: event.id, seq: event.seq });
+  });
+  return removed.map((vote) => vote.id);
+}
+
+/**
+ * Point every choice of some options at another option, keeping a choice
+ * once on ballots that had both. Each vote is saved in the snapshot as it
+ * was first. Returns the changed votes.
+ */
+function moveVotes(event, fromIds, toId, snapshot) {
+  const from = new Set(fromIds);
+  const move = (optionId) => (from.has(optionId) ? toId : optionId);
+  const moveAll = (choices) => (choices ? Array.from(new Set(choices.map(move))) : choices);
+
+  const moved = [];
+  db.votes.forEach((vote) => {
+    if (vote.pollId !== event.id) return;
+    const choices = [vote.candidateId, ...(vote.selections || []), ...(vote.rankings || [])];
+    if (!choices.some((optionId) => from.has(optionId))) return;
+
+    snapshot.changedVotes.push(JSON.parse(JSON.stringify(vote)));
+    // A new sequence number, so delta syncs pick up the change
+    event.seq += 1;
+    Object.assign(vote, {
+      optionId: move(vote.optionId),
+      candidateId: move(vote.candidateId),
+      selections: moveAll(vote.selections),
+      rankings: moveAll(vote.rankings),
+      seq: event.seq,
+    });
+    moved.push(vote);
+  });
+  return moved;
+}
+
+/**
+ * Remove every vote of an event, returning { snapshot, affected }
+ */
+function resetEvent(eventId, actor = null) {
+  const event = findEvent(eventId);
+  if (!event) return { error: 'Event not found', code: 'NOT_FOUND', status: 404 };
+
+  const snapshot = createSnapshot(event, 'reset', actor);
+  const eventVoteIds = db.votes.filter((vote) => vote.pollId === eventId).map((vote) => vote.id);
+  const voteIds = removeVotes(event, eventVoteIds, snapshot);
+  appendAudit('poll_reset', eventId, { snapshotId: snapshot.id, voteIds }, actor);
+  saveStore();
+  return { snapshot: describeSnapshot(snapshot), affected: voteIds.length };
+}
+
+/**
+ * Void individual votes of an event, returning { snapshot, affected }
+ */
+function voidVotes(eventId, voteIds, reason = '', actor = null) {
+  const event = findEvent(eventId);
+  if (!event) return { error: 'Event not found', code: 'NOT_FOUND', status: 404 };
+  const ids = new Set(voteIds);
+  if (!db.votes.some((vote) => vote.pollId === eventId && ids.has(vote.id))) {
+    return { error: 'Vote not found', code: 'NOT_FOUND', status: 404 };
+  }
+
+  const snapshot = createSnapshot(event, 'void', actor);
+  const removed = removeVotes(event, voteIds, snapshot);
+  appendAudit('votes_voided', eventId, { snapshotId: snapshot.id, voteIds: removed, reason }, actor);
+  saveStore();
+  return { snapshot: describeSnapshot(snapshot), affected: removed.length };
+}
+
+/**
+ * Merge duplicate options into one: their votes move to the target and
+ * the duplicates are removed. Returns { snapshot, affected }.
+ */
+function mergeOptions(eventId, sourceIds, targetId, actor = null) {
+  const event = findEvent(eventId);
+  if (!event) return { error: 'Event not found', code: 'NOT_FOUND', status: 404 };
+  const hasOption = (optionId) => event.options.some((option) => option.id === optionId);
+  if (!hasOption(targetId)) return { error: 'Unknown target option', code: 'BAD_REQUEST', status: 400 };
+  if (sourceIds.length === 0 || !sourceIds.every(hasOption) || sourceIds.includes(targetId)) {
+    return { error: 'Options to merge must be other options of the event', code: 'BAD_REQUEST', status: 400 };
+  }
+  if (event.options.length - sourceIds.length < 2) {
+    return { error: 'At least 2 options must remain', code: 'BAD_REQUEST', status: 400 };
+  }
+
+  const snapshot = createSnapshot(event, 'merge', actor);
+  const votes = moveVotes(event, sourceIds, targetId, snapshot);
+  snapshot.removedOptions = event.options
+    .map((option, index) => ({ index, option: JSON.parse(JSON.stringify(withImageHash(option))) }))
+    .filter(({ option }) => sourceIds.includes(option.id));
+  event.options = event.options.filter((option) => !sourceIds.includes(option.id));
+  event.updatedAt = new Date().toISOString();
+  appendAudit('options_merged', eventId, { snapshotId: snapshot.id, sourceIds, targetId, votes }, actor);
+  saveStore();
+  return { snapshot: describeSnapshot(snapshot), affected: votes.length };
+}
+
+/**
+ * Move the votes of an option that was removed from the event to one of its
+ * options. Returns { snapshot, affected }.
+ */
+function reassignVotes(eventId, fromOptionId, toOptionId, actor = null) {
+  const event = findEvent(eventId);
+  if (!event) return { error: 'Event not found', code: 'NOT_FOUND', status: 404 };
+  if (event.options.some((option) => option.id === fromOptionId)) {
+    return {
+      error: 'Votes can only be reassigned from removed options; merge existing ones',
+      code: 'BAD_REQUEST',
+      status: 400,
+    };
+  }
+  if (!event.options.some((option) => option.id === toOptionId)) {
+    return { error: 'Unknown target option', code: 'BAD_REQUEST', status: 400 };
+  }
+
+  const snapshot = createSnapshot(event, 'reassign', actor);
+  const votes = moveVotes(event, [fromOptionId], toOptionId, snapshot);
+  if (votes.length === 0) {
+    db.snapshots.pop();
+    return { error: 'Vote not found', code: 'NOT_FOUND', status: 404 };
+  }
+  appendAudit('votes_reassigned', eventId, { snapshotId: snapshot.id, fromOptionId, toOptionId, votes }, actor);
+  saveStore();
+  return { snapshot: describeSnapshot(snapshot), affected: votes.length };
+}
+
+/**
+ * Undo a correction and nothing else: the options and votes it removed come
+ * back and the votes it changed get their earlier choices. Later corrections,
+ * options added and votes cast since are kept, and votes a later correction
+ * removed stay removed. Returns { snapshot, affected }.
+ */
+function restoreSnapshot(eventId, snapshotId, actor = null) {
+  const event = findEvent(eventId);
+  const snapshot = db.snapshots.find((s) => s.id === snapshotId && s.pollId === eventId);
+  if (!event || !snapshot) return { error: 'Snapshot not found', code: 'NOT_FOUND', status: 404 };
+  if (snapshot.restoredAt) return { error: 'This correction was already undone', code: 'BAD_REQUEST', status: 400 };
+
+  snapshot.removedOptions.forEach(({ index, option }) => {
+    if (event.options.some((current) => current.id === option.id)) return;
+    event.options.splice(Math.min(index, event.options.length), 0, withImage(JSON.parse(JSON.stringify(option))));
+  });
+  event.updatedAt = new Date().toISOString();
+
+  const removedIds = new Set(snapshot.removedVotes.map((vote) => vote.id));
+  db.tombstones = db.tombstones.filter((tombstone) => !(tombstone.pollId === eventId && removedIds.has(tombstone.id)));
+  const votes = [];
+  snapshot.removedVotes.forEach((saved) => {
+    event.seq += 1;
+    const vote = { ...JSON.parse(JSON.stringify(saved)), seq: event.seq };
+    db.votes.push(vote);
+    votes.push(vote);
+  });
+  snapshot.changedVotes.forEach((saved) => {
+    const vote = db.votes.find((current) => current.pollId === eventId && current.id === saved.id);
+    if (!vote) return;
+    event.seq += 1;
+    CHOICE_FIELDS.forEach((field) => {
+      vote[field] = saved[field];
+    });
+    vote.seq = event.seq;
+    votes.push(vote);
+  });
+
+  snapshot.restoredAt = new Date().toISOString();
+  snapshot.restoredBy = actor;
+  appendAudit('snapshot_restored', eventId, {
+    snapshotId,
+    action: snapshot.action,
+    options: event.options.map(withImageHash),
+    votes,
+  }, actor);
+  saveStore();
+  return { snapshot: describeSnapshot(snapshot), affected: votes.length };
+}
+
+// ============================================================================
+// AUDIT LOG
+// ============================================================================
+
+const AUDIT_GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Hash an audit entry together with the hash of the entry before it.
+ * The dashboard's verifier computes the same value.
+ */
+function hashAuditEntry(entry) {
+  const content = JSON.stringify([entry.seq, entry.type, entry.pollId, entry.actor, entry.timestamp, entry.data]);
+  return crypto.createHash('sha256').update(`${entry.prevHash}\n${content}`).digest('hex');
+}
+
+/**
+ * Append an entry to the audit log; entries are never changed or removed
+ */
+function appendAudit(type, pollId, data, actor = null) {
+  const previous = db.audit[db.audit.length - 1];
+  const entry = {
+    seq: previous ? previous.seq + 1 : 1,
+    type,
+    pollId,
+    actor,
+    timestamp: new Date().toISOString(),
+    // A copy, so later changes to events and votes do not rewrite history
+    data: JSON.parse(JSON.stringify(data)),
+    prevHash: previous ? previous.hash : AUDIT_GENESIS_HASH,
+  };
+  entry.hash = hashAuditEntry(entry);
+  db.audit.push(entry);
+  return entry;
+}
+
+/**
+ * Exclude votes from (or include them in) the tallies. The decision is kept on
+ * each vote as its review, with a new sequence number so delta syncs bring it
+ * to every dashboard, and recorded in the audit log. Returns the audit entry.
+ */
+function recordVoteReview(eventId, voteIds, decision, actor = null) {
+  const event = findEvent(eventId);
+  const ids = new Set(voteIds);
+  const reviewed = [];
+  db.votes.forEach((vote) => {
+    if (vote.pollId !== eventId || !ids.has(vote.id)) return;
+    event.seq += 1;
+    Object.assign(vote, { review: decision, seq: event.seq });
+    reviewed.push(vote.id);
+  });
+
+  const type = decision === 'excluded' ? 'votes_excluded' : 'votes_included';
+  const entry = appendAudit(type, eventId, { voteIds: reviewed }, actor);
+  saveStore();
+  return entry;
+}
+
+/**
+ * List the audit log, optionally only entries after a sequence number
+ */
+function listAudit(since = null) {
+  return db.audit.filter((entry) => since === null || entry.seq > since);
+}
+
+// ============================================================================
+// STATISTICS
+// ============================================================================
+
+/**
+ * Count votes per option for an event, or totals for every event
+ */
+function getStats(eventId = null) {
+  if (!eventId) {
+    const polls = {};
+    db.events.forEach((event) => {
+      polls[event.id] = getStats(event.id);
+    });
+    const totalVotes = Object.values(polls).reduce((sum, stats) => sum + stats.totalVotes, 0);
+    return { totalVotes, polls };
+  }
+
+  const event = findEvent(eventId);
+  const ballotType = (event && event.ballotType) || 'single';
+  const optionIds = new Set(event ? event.options.map((option) => option.id) : []);
+  const isCounted = (candidateId) => optionIds.has(candidateId);
+  // Votes left with only removed options are not counted until they are
+  // reassigned, nor are votes an admin excluded after review
+  const votes = db.votes.filter(
+    (vote) => vote.pollId === eventId && vote.review !== 'excluded' &&
+      getCountedChoices(vote, ballotType).some(isCounted)
+  );
+  const groupWeights = (event && event.groupWeights) || null;
+  const groups = {};
+  const votesByCandidate = {};
+  votes.forEach((vote) => {
+    const weight = vote.weight === undefined ? 1 : vote.weight;
+    const groupName = vote.group || 'public';
+    const group = groups[groupName] || (groups[groupName] = { weightedTotal: 0, votesByCandidate: {} });
+    group.weightedTotal += weight;
+    getCountedChoices(vote, ballotType).filter(isCounted).forEach((candidateId) => {
+      votesByCandidate[candidateId] = (votesByCandidate[candidateId] || 0) + weight;
+      group.votesByCandidate[candidateId] = (group.votesByCandidate[candidateId] || 0) + weight;
+    });
+  });
+
+  // Each group's share is scaled by its weight; groups without votes are left out
+  const shareOf = (group, candidateId) =>
+    group.weightedTotal > 0 ? ((group.votesByCandidate[candidateId] || 0) / group.weightedTotal) * 100 : 0;
+  const scoredGroups = groupWeights ? Object.keys(groups).filter((name) => groupWeights[name] > 0) : [];
+  const totalGroupWeight = scoredGroups.reduce((sum, name) => sum + groupWeights[name], 0);
+  const weightedTotal = Object.values(groups).reduce((sum, group) => sum + group.weightedTotal, 0);
+
+  const percentages = {};
+  Object.keys(votesByCandidate).forEach((candidateId) => {
+    if (!groupWeights) {
+      percentages[candidateId] = weightedTotal > 0 ? (votesByCandidate[candidateId] / weightedTotal) * 100 : 0;
+      return;
+    }
+    percentages[candidateId] = totalGroupWeight > 0
+      ? scoredGroups.reduce((sum, name) => sum + groupWeights[name] * shareOf(groups[name], candidateId), 0) / totalGroupWeight
+      : 0;
+  });
+
+  return { pollId: eventId, totalVotes: votes.length, votesByCandidate, percentages };
+}
+
+module.exports = {
+  isPlainObject,
+  loadStore,
+  saveStore,
+  getEventStatus,
+  validateEvent,
+  listEvents,
+  findEvent,
+  getEvent,
+  createEvent,
+  updateEvent,
+  deleteEvent,
+  castVote,
+  importVotes,
+  listVotes,
+  listSnapshots,
+  resetEvent,
+  voidVotes,
+  mergeOptions,
+  reassignVotes,
+  restoreSnapshot,
+  recordVoteReview,
+  listAudit,
+  getStats,
+};
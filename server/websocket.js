@@ -0,0 +1,300 @@
+/**
+ * Vote Tracking System - Mock Server WebSocket
+ * Minimal RFC 6455 WebSocket server: text frames, ping/pong and per-poll subscriptions
+ */
+
+const crypto = require('crypto');
+
+// ============================================================================
+// CONSTANTS & STATE
+// ============================================================================
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Client messages are small JSON objects; larger frames close the connection
+const MAX_PAYLOAD_SIZE = 64 * 1024;
+
+// Close status sent when a frame is over MAX_PAYLOAD_SIZE
+const CLOSE_TOO_BIG = 1009;
+
+const OPCODES = {
+  TEXT: 0x1,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa,
+};
+
+// socket -> { subscriptions: Set<pollId>, buffer: Buffer }
+const clients = new Map();
+
+let messageHandler = null;
+
+// ============================================================================
+// HANDSHAKE
+// ============================================================================
+
+/**
+ * Accept an HTTP upgrade request and register the client
+ */
+function handleUpgrade(req, socket) {
+  const key = req.headers['sec-websocket-key'];
+  if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write(
+    [
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      '',
+    ].join('\r\n')
+  );
+
+  clients.set(socket, { subscriptions: new Set(), buffer: Buffer.alloc(0) });
+
+  socket.on('data', (chunk) => handleData(socket, chunk));
+  socket.on('close', () => clients.delete(socket));
+  socket.on('error', () => clients.delete(socket));
+}
+
+/**
+ * Register the handler for parsed client messages
+ */
+function onMessage(handler) {
+  messageHandler = handler;
+}
+
+// ============================================================================
+// FRAMING
+// ============================================================================
+
+/**
+ * Buffer incoming bytes and process every complete frame
+ */
+function handleData(socket, chunk) {
+  const client = clients.get(socket);
+  if (!client) return;
+
+  client.buffer = Buffer.concat([client.buffer, chunk]);
+
+  let frame = parseFrame(client.buffer);
+  while (frame) {
+    if (frame.tooBig) {
+      const status = Buffer.alloc(2);
+      status.writeUInt16BE(CLOSE_TOO_BIG);
+      socket.end(createFrame(OPCODES.CLOSE, status));
+      clients.delete(socket);
+      return;
+    }
+    client.buffer = client.buffer.slice(frame.length);
+    handleFrame(socket, frame);
+    if (!clients.has(socket)) return;
+    frame = parseFrame(client.buffer);
+  }
+}
+
+/**
+ * Parse one frame from a buffer, or return null if it is incomplete.
+ * Frames over MAX_PAYLOAD_SIZE come back as { tooBig: true } without waiting
+ * for their payload.
+ */
+function parseFrame(buffer) {
+  if (buffer.length < 2) return null;
+
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let payloadLength = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (payloadLength === 126) {
+    if (buffer.length < 4) return null;
+    payloadLength = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (payloadLength === 127) {
+    if (buffer.length < 10) return null;
+    payloadLength = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+
+  if (payloadLength > MAX_PAYLOAD_SIZE) return { tooBig: true };
+
+  const maskLength = masked ? 4 : 0;
+  if (buffer.length < offset + maskLength + payloadLength) return null;
+
+  const mask = masked ? buffer.slice(offset, offset + 4) : null;
+  offset += maskLength;
+
+  const payload = Buffer.from(buffer.slice(offset, offset + payloadLength));
+  if (mask) {
+    for (let i = 0; i < payload.length; i += 1) {
+      payload[i] ^= mask[i % 4];
+    }
+  }
+
+  return { fin, opcode, payload, length: offset + payloadLength };
+}
+
+/**
+ * Build an unmasked server frame
+ */
+function createFrame(opcode, payload = Buffer.alloc(0)) {
+  const length = payload.length;
+  let header;
+
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * React to a single parsed frame
+ */
+function handleFrame(socket, frame) {
+  switch (frame.opcode) {
+    case OPCODES.TEXT:
+      if (!frame.fin) {
+        // Fragmented messages are not needed by the client
+        sendError(socket, 'Fragmented messages are not supported');
+        return;
+      }
+      handleText(socket, frame.payload.toString('utf8'));
+      break;
+    case OPCODES.PING:
+      socket.write(createFrame(OPCODES.PONG, frame.payload));
+      break;
+    case OPCODES.CLOSE:
+      socket.end(createFrame(OPCODES.CLOSE));
+      clients.delete(socket);
+      break;
+    default:
+      break;
+  }
+}
+
+// ============================================================================
+// MESSAGES
+// ============================================================================
+
+/**
+ * Handle a JSON message from a client
+ */
+function handleText(socket, text) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch (error) {
+    sendError(socket, 'Invalid JSON message');
+    return;
+  }
+
+  if (!message || typeof message !== 'object' || Array.isArray(message) || typeof message.type !== 'string') {
+    sendError(socket, 'Messages must be objects with a type');
+    return;
+  }
+
+  const client = clients.get(socket);
+
+  switch (message.type) {
+    case 'ping':
+      send(socket, 'pong', {});
+      break;
+    case 'subscribe':
+    case 'unsubscribe': {
+      const pollIds = readPollIds(message.data);
+      if (!pollIds) {
+        sendError(socket, 'data.pollIds must be an array of poll ids');
+        return;
+      }
+      pollIds.forEach((pollId) => {
+        if (message.type === 'subscribe') {
+          client.subscriptions.add(pollId);
+        } else {
+          client.subscriptions.delete(pollId);
+        }
+      });
+      break;
+    }
+    default:
+      if (messageHandler) {
+        messageHandler(socket, message);
+      } else {
+        sendError(socket, `Unknown message type: ${message.type}`);
+      }
+  }
+}
+
+/**
+ * Read the poll ids of a subscribe or unsubscribe message, or null if invalid
+ */
+function readPollIds(data) {
+  if (data === undefined || data === null) return [];
+  if (typeof data !== 'object' || !Array.isArray(data.pollIds || [])) return null;
+  const pollIds = data.pollIds || [];
+  return pollIds.every((pollId) => typeof pollId === 'string') ? pollIds : null;
+}
+
+/**
+ * Send a typed JSON message to one client
+ */
+function send(socket, type, data) {
+  if (!clients.has(socket) || socket.destroyed) return;
+
+  const payload = JSON.stringify({ type, data, timestamp: new Date().toISOString() });
+  socket.write(createFrame(OPCODES.TEXT, Buffer.from(payload, 'utf8')));
+}
+
+/**
+ * Send an error message to one client
+ */
+function sendError(socket, message) {
+  send(socket, 'error', { message });
+}
+
+/**
+ * Send a message to every client subscribed to a poll.
+ * Clients without subscriptions receive everything.
+ */
+function broadcast(pollId, type, data) {
+  clients.forEach((client, socket) => {
+    if (!pollId || client.subscriptions.size === 0 || client.subscriptions.has(pollId)) {
+      send(socket, type, data);
+    }
+  });
+}
+
+/**
+ * Close every client connection
+ */
+function closeAll() {
+  clients.forEach((client, socket) => {
+    socket.end(createFrame(OPCODES.CLOSE));
+  });
+  clients.clear();
+}
+
+module.exports = {
+  handleUpgrade,
+  onMessage,
+  send,
+  sendError,
+  broadcast,
+  closeAll,
+};
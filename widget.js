@@ -0,0 +1,403 @@
+/**
+ * Vote Tracking System - Embeddable Results Widget
+ * Read-only <lsx-results> element for partner sites. It is independent of the
+ * dashboard: it only fetches the polls it shows and leaves the host page alone.
+ *
+ *   <script src="https://votes.example.com/widget.js"></script>
+ *   <lsx-results poll="POLL_ID" top="5" layout="full" theme="dark"></lsx-results>
+ */
+
+(function () {
+  // ============================================================================
+  // CONFIGURATION
+  // ============================================================================
+
+  const WIDGET_TAG = 'lsx-results';
+
+  const WIDGET_LAYOUT = {
+    FULL: 'full', // the dashboard's results card
+    COMPACT: 'compact', // one line per candidate
+  };
+
+  const WIDGET_DEFAULT_TOP = 5;
+  const REFRESH_INTERVAL = 15000; // 15 seconds between fetches while the WebSocket is down
+  const REFRESH_DELAY = 500; // collapse bursts of vote messages into one fetch
+  const RECONNECT_MAX = 60000; // 1 minute cap between WebSocket reconnect attempts
+
+  // The API sits next to this script unless a widget names another with api="..."
+  const SCRIPT_SRC = document.currentScript ? document.currentScript.src : window.location.href;
+  const DEFAULT_API_BASE = new URL('api', SCRIPT_SRC).href;
+
+  // Shadow DOM styles; partners can theme through the --lsx-* custom properties
+  const WIDGET_STYLES = `
+    :host {
+      display: block;
+      font-family: var(--lsx-font, -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif);
+    }
+    .widget {
+      --bg: var(--lsx-bg, #ffffff);
+      --text: var(--lsx-text, #0f172a);
+      --muted: var(--lsx-muted, #64748b);
+      --track: var(--lsx-bar-bg, #e2e8f0);
+      background: var(--bg);
+      color: var(--text);
+      border-radius: var(--lsx-radius, 12px);
+      padding: 1rem 1.25rem;
+      box-sizing: border-box;
+    }
+    .widget[data-theme="dark"] {
+      --bg: var(--lsx-bg, #1e293b);
+      --text: var(--lsx-text, #f1f5f9);
+      --muted: var(--lsx-muted, #94a3b8);
+      --track: var(--lsx-bar-bg, #334155);
+    }
+    h3 { margin: 0 0 0.25rem; font-size: 1.1rem; }
+    p { margin: 0 0 0.75rem; }
+    .results-total, .results-note, .widget-footer { color: var(--muted); font-size: 0.8rem; }
+    .result-item { margin-bottom: 0.75rem; }
+    .candidate-info { display: flex; justify-content: space-between; gap: 1rem; margin-bottom: 0.25rem; font-size: 0.9rem; }
+    .vote-count { color: var(--muted); white-space: nowrap; }
+    .progress-bar { background: var(--track); border-radius: 999px; height: 10px; overflow: hidden; }
+    .progress-fill { height: 100%; border-radius: 999px; transition: width 0.4s ease; }
+    .widget[data-accent] .progress-fill { background-color: var(--lsx-accent) !important; }
+    .compact-list { list-style: none; margin: 0; padding: 0; }
+    .compact-list li { display: grid; grid-template-columns: 1.5rem 1fr auto; align-items: center; gap: 0.25rem 0.5rem; margin-bottom: 0.5rem; font-size: 0.85rem; }
+    .compact-list .rank { color: var(--muted); }
+    .compact-list .name { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    .compact-list .progress-bar { grid-column: 2 / 4; height: 6px; }
+    .compact-list .progress-fill { background-color: var(--lsx-accent, #6366f1); }
+    .widget-footer { display: flex; align-items: center; gap: 0.375rem; margin-top: 0.5rem; }
+    .live-dot { width: 6px; height: 6px; border-radius: 50%; background: #10b981; }
+    .no-data { color: var(--muted); }
+  `;
+
+  // API base -> { socket, live, attempts, pollIds: Set }
+  const connections = new Map();
+
+  // "apiBase|pollId" -> { poll, error, updatedAt }
+  const results = new Map();
+
+  const refreshTimers = new Map();
+
+  // ============================================================================
+  // UTILITIES
+  // ============================================================================
+
+  /**
+   * Escape HTML special characters
+   */
+  function escapeHtml(text) {
+    return String(text === undefined || text === null ? '' : text).replace(/[&<>"']/g, (char) => ({
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#039;',
+    })[char]);
+  }
+
+  /**
+   * Format a vote count with thousands separators
+   */
+  function formatVoteCount(count) {
+    return Number(count || 0).toLocaleString();
+  }
+
+  /**
+   * Pick a bar colour for a percentage, as the dashboard does
+   */
+  function getBarColor(percentage) {
+    if (percentage >= 40) return '#27ae60'; // Green
+    if (percentage >= 20) return '#f39c12'; // Orange
+    return '#e74c3c'; // Red
+  }
+
+  /**
+   * Get the WebSocket URL of an API base, e.g. https://host/api -> wss://host/ws
+   */
+  function getWebSocketUrl(apiBase) {
+    const url = new URL(apiBase);
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    url.pathname = url.pathname.replace(/\/api(\/v1)?\/?$/, '') + '/ws';
+    return url.href;
+  }
+
+  // ============================================================================
+  // DATA
+  // ============================================================================
+
+  /**
+   * Fetch one poll with its server-side tallies and redraw its widgets
+   */
+  async function refreshPoll(apiBase, pollId) {
+    const key = `${apiBase}|${pollId}`;
+    const entry = results.get(key) || {};
+    try {
+      const response = await fetch(`${apiBase}/events/${encodeURIComponent(pollId)}`, {
+        headers: { Accept: 'application/json' },
+      });
+      if (response.status === 404) {
+        results.set(key, { ...entry, poll: null, error: 'Poll not found', updatedAt: Date.now() });
+      } else if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      } else {
+        const body = await response.json();
+        results.set(key, { poll: body.data, error: null, updatedAt: Date.now() });
+      }
+    } catch (error) {
+      // Keep showing the last results; the next refresh tries again
+      console.warn(`lsx-results: could not load poll ${pollId}:`, error.message);
+      results.set(key, { ...entry, error: entry.poll ? null : 'Results unavailable' });
+    }
+    renderWidgets(apiBase, pollId);
+  }
+
+  /**
+   * Refresh a poll shortly, once for a burst of updates
+   */
+  function refreshPollSoon(apiBase, pollId) {
+    const key = `${apiBase}|${pollId}`;
+    if (refreshTimers.has(key)) return;
+    refreshTimers.set(key, setTimeout(() => {
+      refreshTimers.delete(key);
+      refreshPoll(apiBase, pollId);
+    }, REFRESH_DELAY));
+  }
+
+  // ============================================================================
+  // LIVE UPDATES
+  // ============================================================================
+
+  /**
+   * Follow a poll: fetch it now, then on every WebSocket update, or every
+   * REFRESH_INTERVAL while the WebSocket is down
+   */
+  function watchPoll(apiBase, pollId) {
+    let connection = connections.get(apiBase);
+    if (!connection) {
+      connection = { socket: null, live: false, attempts: 0, pollIds: new Set() };
+      connections.set(apiBase, connection);
+      setInterval(() => {
+        if (!connection.live) {
+          connection.pollIds.forEach((id) => refreshPoll(apiBase, id));
+        }
+      }, REFRESH_INTERVAL);
+      connect(apiBase, connection);
+    }
+
+    if (!connection.pollIds.has(pollId)) {
+      connection.pollIds.add(pollId);
+      sendSubscriptions(connection);
+    }
+    refreshPoll(apiBase, pollId);
+  }
+
+  /**
+   * Open the WebSocket of an API base, reconnecting with backoff
+   */
+  function connect(apiBase, connection) {
+    if (typeof WebSocket === 'undefined') return;
+
+    let socket;
+    try {
+      socket = new WebSocket(getWebSocketUrl(apiBase));
+    } catch (error) {
+      return;
+    }
+    connection.socket = socket;
+
+    socket.addEventListener('open', () => {
+      connection.live = true;
+      connection.attempts = 0;
+      sendSubscriptions(connection);
+      // Catch up on anything missed while disconnected
+      connection.pollIds.forEach((pollId) => refreshPoll(apiBase, pollId));
+    });
+
+    socket.addEventListener('message', (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        return;
+      }
+      const pollId = message && message.data && message.data.pollId;
+      if (pollId && connection.pollIds.has(pollId)) {
+        refreshPollSoon(apiBase, pollId);
+      }
+    });
+
+    socket.addEventListener('close', () => {
+      connection.live = false;
+      connection.socket = null;
+      renderWidgets(apiBase);
+      const delay = Math.min(RECONNECT_MAX, 1000 * 2 ** connection.attempts);
+      connection.attempts += 1;
+      setTimeout(() => connect(apiBase, connection), delay);
+    });
+  }
+
+  /**
+   * Subscribe the WebSocket to the followed polls
+   */
+  function sendSubscriptions(connection) {
+    if (!connection.socket || connection.socket.readyState !== 1) return;
+    connection.socket.send(JSON.stringify({ type: 'subscribe', data: { pollIds: Array.from(connection.pollIds) } }));
+  }
+
+  // ============================================================================
+  // RENDERING
+  // ============================================================================
+
+  /**
+   * Build the markup shown inside a results widget
+   */
+  function buildWidgetHtml(apiBase, pollId, { top = WIDGET_DEFAULT_TOP, layout = WIDGET_LAYOUT.FULL } = {}) {
+    const entry = results.get(`${apiBase}|${pollId}`);
+    if (!pollId) return '<p class="no-data">No poll selected</p>';
+    if (!entry || (!entry.poll && !entry.error)) return '<p class="no-data">Loading results...</p>';
+    if (!entry.poll) return `<p class="no-data">${escapeHtml(entry.error)}</p>`;
+
+    const { poll } = entry;
+    const options = (poll.options || [])
+      .slice()
+      .sort((a, b) => (b.percentage || 0) - (a.percentage || 0))
+      .slice(0, top);
+
+    let html = `<h3>${escapeHtml(poll.name)}</h3>`;
+    html += `<p class="results-total">${formatVoteCount(poll.totalVotes)} votes</p>`;
+
+    if (!poll.totalVotes) {
+      html += '<p class="no-data">No votes yet</p>';
+    } else if (layout === WIDGET_LAYOUT.COMPACT) {
+      html += '<ol class="compact-list">';
+      options.forEach((option, index) => {
+        html += `
+          <li>
+            <span class="rank">${index + 1}</span>
+            <span class="name">${escapeHtml(option.name)}</span>
+            <span class="vote-count">${(option.percentage || 0).toFixed(1)}%</span>
+            <div class="progress-bar"><div class="progress-fill" style="width: ${option.percentage || 0}%;"></div></div>
+          </li>
+        `;
+      });
+      html += '</ol>';
+    } else {
+      options.forEach((option) => {
+        const percentage = option.percentage || 0;
+        html += `
+          <div class="result-item">
+            <div class="candidate-info">
+              <span class="candidate-name">${escapeHtml(option.name)}</span>
+              <span class="vote-count">${formatVoteCount(option.votes)} votes (${percentage.toFixed(1)}%)</span>
+            </div>
+            <div class="progress-bar">
+              <div class="progress-fill" style="width: ${percentage}%; background-color: ${getBarColor(percentage)};"></div>
+            </div>
+          </div>
+        `;
+      });
+      if (poll.ballotType === 'ranked') {
+        html += '<p class="results-note">First preferences; the winner is decided by instant runoff.</p>';
+      }
+    }
+
+    const connection = connections.get(apiBase);
+    html += `
+      <div class="widget-footer">
+        ${connection && connection.live ? '<span class="live-dot"></span>Live' : 'Updated'}
+        ${entry.updatedAt ? `&middot; ${escapeHtml(new Date(entry.updatedAt).toLocaleTimeString())}` : ''}
+      </div>
+    `;
+    return html;
+  }
+
+  /**
+   * Redraw the widgets of an API base, optionally only those of one poll
+   */
+  function renderWidgets(apiBase, pollId) {
+    const widgets = Array.from(document.querySelectorAll(WIDGET_TAG)).filter(
+      (widget) => widget.render && widget.apiBase === apiBase &&
+        (pollId === undefined || widget.getAttribute('poll') === String(pollId))
+    );
+    widgets.forEach((widget) => widget.render());
+
+    // Inside an iframe, tell the host page how tall the widget is
+    if (widgets.length > 0 && window.parent && window.parent !== window) {
+      window.parent.postMessage(
+        { type: 'lsx-results:resize', height: document.documentElement.scrollHeight },
+        '*'
+      );
+    }
+  }
+
+  // ============================================================================
+  // ELEMENT
+  // ============================================================================
+
+  /**
+   * Register the <lsx-results> element.
+   *   poll    poll id (required)
+   *   top     number of candidates shown, default 5
+   *   layout  "full" or "compact"
+   *   theme   "light" or "dark"
+   *   accent  bar colour, e.g. "#e11d48"
+   *   api     API base URL, default the api/ path next to this script
+   */
+  function defineResultsWidget() {
+    if (typeof customElements === 'undefined' || customElements.get(WIDGET_TAG)) return;
+
+    class ResultsWidget extends HTMLElement {
+      static get observedAttributes() {
+        return ['poll', 'top', 'layout', 'theme', 'accent', 'api'];
+      }
+
+      constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+      }
+
+      get apiBase() {
+        const api = this.getAttribute('api');
+        return (api ? new URL(api, window.location.href).href : DEFAULT_API_BASE).replace(/\/$/, '');
+      }
+
+      connectedCallback() {
+        this.watch();
+        this.render();
+      }
+
+      attributeChangedCallback(name) {
+        if (!this.isConnected) return;
+        if (name === 'poll' || name === 'api') this.watch();
+        this.render();
+      }
+
+      watch() {
+        const pollId = this.getAttribute('poll');
+        if (pollId) watchPoll(this.apiBase, pollId);
+      }
+
+      render() {
+        const accent = this.getAttribute('accent');
+        const layout = this.getAttribute('layout') === WIDGET_LAYOUT.COMPACT ? WIDGET_LAYOUT.COMPACT : WIDGET_LAYOUT.FULL;
+        const top = Math.max(1, parseInt(this.getAttribute('top'), 10) || WIDGET_DEFAULT_TOP);
+        const theme = this.getAttribute('theme') === 'dark' ? 'dark' : 'light';
+
+        if (accent) this.style.setProperty('--lsx-accent', accent);
+        else this.style.removeProperty('--lsx-accent');
+
+        this.shadowRoot.innerHTML = `
+          <style>${WIDGET_STYLES}</style>
+          <div class="widget ${layout}" part="widget" data-theme="${theme}" ${accent ? 'data-accent' : ''}>
+            ${buildWidgetHtml(this.apiBase, this.getAttribute('poll'), { top, layout })}
+          </div>
+        `;
+      }
+    }
+
+    customElements.define(WIDGET_TAG, ResultsWidget);
+  }
+
+  defineResultsWidget();
+})();